@@ -0,0 +1,98 @@
+// Runs an analysis against the configured provider: validates the reply and,
+// if needed, asks the model to repair its own output.
+import { RESPONSE_FORMAT, parseAnalysis, validateRecipe } from './schema.js';
+import { ApiError, ErrorCodes } from './errors.js';
+import { createAnalysisStreamParser } from './streamParser.js';
+
+// Default output budget; requests can ask for more (meal plans are long)
+const MAX_TOKENS = 1500;
+
+// One repair round-trip is enough to fix most shape slips; more just burns tokens.
+const MAX_REPAIR_ATTEMPTS = 1;
+
+const repairPrompt = (errors, format) => `Your previous response did not match the required JSON format. Problems found:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Reply again with the corrected JSON only, in this exact format:
+${format}`;
+
+// Streams one attempt, forwarding the ingredient list and each recipe that
+// validates on its own as soon as it is complete.
+const streamAttempt = (provider, messages, { transformRecipe, mapIngredients, maxTokens }, { onIngredients, onRecipe }) => {
+  const parser = createAnalysisStreamParser({
+    onIngredients: (raw) => {
+      if (!Array.isArray(raw)) return;
+      if (mapIngredients) {
+        const { ingredients, ingredientSources } = mapIngredients(raw);
+        onIngredients?.(ingredients, ingredientSources);
+      } else {
+        onIngredients?.(raw.filter(i => typeof i === 'string'));
+      }
+    },
+    onRecipe: (raw, index) => {
+      const { value, errors } = validateRecipe(raw, `recipes[${index}]`);
+      const recipe = errors.length ? null : transformRecipe(value);
+      if (recipe) onRecipe?.(recipe, index);
+    },
+  });
+  return provider.stream({ messages, maxTokens, onText: parser.push });
+};
+
+// Usage is summed across attempts so impact figures stay honest. `format` is
+// the JSON shape the prompt asked for and `transformRecipe` post-processes each
+// validated recipe, returning null to drop it. `mapIngredients`, when given,
+// replaces the ingredient list with one built from the raw model output and
+// may add `ingredientSources`. `maxTokens` caps each reply. Passing `events`
+// streams partial results through its callbacks; `onRetry` fires before a
+// repair attempt so listeners can discard what they were sent.
+export const runAnalysis = async (provider, request, events) => {
+  const { content, format = RESPONSE_FORMAT, transformRecipe = r => r, mapIngredients, maxTokens = MAX_TOKENS } = request;
+  const messages = [{ role: 'user', content }];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const streaming = Boolean(events && provider.stream);
+  let errors = [];
+  let text = '';
+  let allRejected = false;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      messages.push(
+        { role: 'assistant', content: text || '(empty response)' },
+        { role: 'user', content: repairPrompt(errors, format) },
+      );
+      if (streaming) events.onRetry?.();
+    }
+
+    const response = streaming
+      ? await streamAttempt(provider, messages, { transformRecipe, mapIngredients, maxTokens }, events)
+      : await provider.complete({ messages, maxTokens });
+    usage.input_tokens += response.usage.input_tokens;
+    usage.output_tokens += response.usage.output_tokens;
+
+    text = response.text;
+    const result = parseAnalysis(text);
+    allRejected = false;
+    if (!result.errors.length) {
+      const recipes = result.value.recipes.map(transformRecipe).filter(Boolean);
+      if (recipes.length) {
+        const ingredients = mapIngredients ? mapIngredients(result.raw.ingredients) : {};
+        return { analysis: { ...result.value, ...ingredients, recipes }, usage, repaired: attempt > 0 };
+      }
+      // Every recipe was dropped by post-processing; ask for different ones
+      allRejected = true;
+      result.errors.push('recipes: every recipe broke the constraints above; suggest different recipes that follow them');
+    }
+    errors = result.errors;
+    console.error(`Invalid AI response (attempt ${attempt + 1}):`, errors);
+  }
+
+  if (allRejected) {
+    throw new ApiError(ErrorCodes.NO_MATCHING_RECIPES, 'None of the suggested recipes fit your preferences', {
+      status: 422,
+    });
+  }
+  throw new ApiError(ErrorCodes.INVALID_AI_RESPONSE, 'Could not parse AI response', {
+    status: 502,
+    details: errors,
+  });
+};
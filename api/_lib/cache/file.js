@@ -0,0 +1,34 @@
+// One JSON file per key. On Vercel only /tmp is writable and it is per
+// instance; locally it keeps results across dev server restarts.
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+export const createFileCache = (env = process.env) => {
+  const dir = env.CACHE_DIR || join(tmpdir(), 'fridge-check-cache');
+  // Keys are hex digests, so they are safe file names as-is
+  const pathFor = (key) => join(dir, `${key}.json`);
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(pathFor(key), 'utf8'));
+      } catch {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        await rm(pathFor(key), { force: true });
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(pathFor(key), JSON.stringify({ value, expiresAt: Date.now() + ttlSeconds * 1000 }));
+    },
+  };
+};
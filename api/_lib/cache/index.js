@@ -0,0 +1,35 @@
+// Response cache selection. CACHE_DRIVER picks the backend:
+//   memory (default) - per-instance Map
+//   file             - JSON files under CACHE_DIR (default: OS temp dir)
+//   none             - caching disabled
+// CACHE_TTL_SECONDS sets how long entries live (default one day).
+//
+// Every cache exposes { name, get(key), set(key, value, ttlSeconds) }; both
+// methods are async so a shared store (Redis, KV) can slot in later.
+import { createFileCache } from './file.js';
+import { createMemoryCache } from './memory.js';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+const factories = {
+  memory: createMemoryCache,
+  file: createFileCache,
+  none: () => null,
+};
+
+let cache;
+
+// Cached at module scope so the memory driver keeps its entries between requests
+export const getCache = (env = process.env) => {
+  if (cache !== undefined) return cache;
+  const name = (env.CACHE_DRIVER || 'memory').toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown CACHE_DRIVER "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  cache = factory(env);
+  return cache;
+};
+
+export const getCacheTtl = (env = process.env) =>
+  Number(env.CACHE_TTL_SECONDS) > 0 ? Number(env.CACHE_TTL_SECONDS) : DEFAULT_TTL_SECONDS;
@@ -0,0 +1,28 @@
+// In-process cache. Survives between requests only while the function
+// instance stays warm, which is plenty for repeated Quick List requests.
+const MAX_ENTRIES = 500;
+
+export const createMemoryCache = () => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      // Map keeps insertion order, so the first key is the oldest
+      entries.delete(key);
+      if (entries.size >= MAX_ENTRIES) entries.delete(entries.keys().next().value);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+  };
+};
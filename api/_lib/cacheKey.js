@@ -0,0 +1,84 @@
+// Cache keys: requests that would produce the same answer share a key, so
+// "eggs, rice, spinach" and "Rice, spinach, eggs" only cost tokens once.
+import { createHash } from 'node:crypto';
+
+// Bump when prompts or the response shape change so old entries stop matching
+const KEY_VERSION = 4;
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+const singular = (word) => {
+  if (word.length <= 3 || word.endsWith('ss') || word.endsWith('us')) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(?:ches|shes|xes|oes)$/.test(word)) return word.slice(0, -2);
+  return word.endsWith('s') ? word.slice(0, -1) : word;
+};
+
+// "  Cherry Tomatoes " -> "cherry tomato"
+export const normalizeIngredient = (name) => name
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}()., -]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .split(' ')
+  .map(singular)
+  .join(' ');
+
+// Free text -> sorted, de-duplicated set of normalized ingredient names
+export const normalizeIngredientList = (text) => [...new Set(
+  String(text)
+    .split(/,|\n|;|\band\b|&/i)
+    .map(normalizeIngredient)
+    .filter(Boolean),
+)].sort();
+
+export const hashImage = (base64) => sha256(base64);
+
+const sortedList = (list = []) => [...list].map(s => s.toLowerCase()).sort();
+
+// Returns null when the request shouldn't be cached
+export const cacheKeyFor = (body, preferences, provider) => {
+  const { mode } = body;
+  let input;
+
+  if (mode === 'photo' && body.images) {
+    input = { images: body.images.map(image => [hashImage(image.data), image.location]) };
+  } else if (mode === 'photo') input = { image: hashImage(body.image) };
+  else if (mode === 'text') input = { ingredients: normalizeIngredientList(body.ingredients) };
+  else if (mode === 'use-it-up') {
+    input = {
+      items: body.items
+        .map(item => ({ name: normalizeIngredient(item.name), daysLeft: item.daysLeft ?? null, freshness: item.freshness ?? null }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    };
+  } else if (mode === 'refine') {
+    const { recipes, instruction, target, action, count, ingredients } = body.refinement;
+    input = {
+      ingredients: normalizeIngredientList(ingredients.join(',')),
+      recipes: sha256(JSON.stringify(recipes)),
+      instruction: instruction.toLowerCase(),
+      target,
+      action,
+      count,
+    };
+  } else if (mode === 'meal-plan') {
+    const { ingredients, atRisk, days, people, meals } = body.mealPlan;
+    input = { ingredients: normalizeIngredientList(ingredients.join(',')), atRisk: sortedList(atRisk), days, people, meals };
+  } else return null;
+
+  const prefs = preferences && {
+    ...preferences,
+    allergens: sortedList(preferences.allergens),
+    dislikes: sortedList(preferences.dislikes),
+    cuisines: sortedList(preferences.cuisines),
+  };
+
+  return sha256(JSON.stringify({
+    v: KEY_VERSION,
+    provider: provider.name,
+    model: provider.model,
+    mode,
+    input,
+    prefs,
+  }));
+};
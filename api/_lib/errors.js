@@ -0,0 +1,50 @@
+// Error codes shared with the client so it can tell a bad AI response apart
+// from a network or upstream failure.
+export const ErrorCodes = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  FORBIDDEN_ORIGIN: 'FORBIDDEN_ORIGIN',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  INVALID_AI_RESPONSE: 'INVALID_AI_RESPONSE',
+  NO_MATCHING_RECIPES: 'NO_MATCHING_RECIPES',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  INVALID_INVITE: 'INVALID_INVITE',
+  NOT_A_MEMBER: 'NOT_A_MEMBER',
+  HOUSEHOLD_FULL: 'HOUSEHOLD_FULL',
+};
+
+export class ApiError extends Error {
+  // `retryAfter` (seconds) is sent as a Retry-After header
+  constructor(code, message, { status = 500, details, retryAfter } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Anything that isn't an ApiError came from the provider or the network
+export const toErrorBody = (error) => {
+  if (error instanceof ApiError) {
+    return {
+      error: error.message,
+      code: error.code,
+      ...(error.details !== undefined && { details: error.details }),
+    };
+  }
+  return {
+    error: error.message || 'Failed to analyze',
+    code: ErrorCodes.UPSTREAM_ERROR,
+    details: error.status || error.code,
+  };
+};
+
+export const sendError = (res, error) => {
+  if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+  return res.status(error instanceof ApiError ? error.status : 502).json(toErrorBody(error));
+};
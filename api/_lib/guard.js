@@ -0,0 +1,69 @@
+// Checks that run before any request reaches a provider: which origins may
+// call the API, how big a request may be, and who is asking (for rate limits).
+import { ApiError, ErrorCodes } from './errors.js';
+
+// Vercel turns away bodies over 4.5 MB before the function runs, so stay
+// under that to answer with our own 413
+const DEFAULT_MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Client tokens are random ids the app keeps in localStorage; anything else
+// is ignored and the request is limited by IP alone
+const CLIENT_TOKEN = /^[A-Za-z0-9-]{8,64}$/;
+
+// ALLOWED_ORIGINS is a comma-separated list of origins that may call the API
+// from another site, or "*" for any. The app's own origin is always allowed.
+const allowedOrigins = (env) => (env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+const isSameOrigin = (origin, host) => {
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+};
+
+// Sets the CORS headers for an allowed origin and throws for any other.
+// Requests without an Origin header (same-origin navigations, server-side
+// callers) aren't CORS requests and pass through.
+export const applyCors = (req, res, env = process.env) => {
+  const { origin } = req.headers;
+  res.setHeader('Vary', 'Origin');
+  if (!origin || isSameOrigin(origin, req.headers.host)) return;
+
+  const allowed = allowedOrigins(env);
+  if (!allowed.includes('*') && !allowed.includes(origin)) {
+    throw new ApiError(ErrorCodes.FORBIDDEN_ORIGIN, `Origin ${origin} is not allowed`, { status: 403 });
+  }
+  res.setHeader('Access-Control-Allow-Origin', allowed.includes('*') ? '*' : origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Client-Token');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+};
+
+export const maxBodyBytes = (env = process.env) =>
+  Number(env.MAX_BODY_BYTES) > 0 ? Number(env.MAX_BODY_BYTES) : DEFAULT_MAX_BODY_BYTES;
+
+// Content-Length when the client sent one, otherwise the parsed body's size
+export const checkBodySize = (req, env = process.env) => {
+  const declared = Number(req.headers['content-length']);
+  const bytes = declared > 0 ? declared : Buffer.byteLength(JSON.stringify(req.body ?? ''));
+  const limit = maxBodyBytes(env);
+  if (bytes > limit) {
+    const max = limit < 1024 * 1024 ? `${Math.round(limit / 1024)} KB` : `${Number((limit / 1024 / 1024).toFixed(1))} MB`;
+    throw new ApiError(ErrorCodes.PAYLOAD_TOO_LARGE, `Request is too large (max ${max})`, {
+      status: 413,
+      details: { bytes, limit },
+    });
+  }
+};
+
+// { ip, client } for the rate limiter. Behind Vercel's proxy the caller is the
+// first address in X-Forwarded-For.
+export const identify = (req) => {
+  const forwarded = req.headers['x-forwarded-for']?.split(',')[0].trim();
+  const token = req.headers['x-client-token'];
+  return {
+    ip: forwarded || req.headers['x-real-ip'] || req.socket?.remoteAddress || null,
+    client: typeof token === 'string' && CLIENT_TOKEN.test(token) ? token : null,
+  };
+};
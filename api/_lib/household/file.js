@@ -0,0 +1,47 @@
+// One JSON file per key, for development: households survive dev server
+// restarts. Updates of a key are queued in this process and each write goes
+// to a temp file that is renamed over the old one, so a crash never leaves
+// half a file. Other processes writing the same directory aren't coordinated.
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+export const createFileHouseholdStore = (env = process.env) => {
+  const dir = env.HOUSEHOLD_DIR || join(tmpdir(), 'fridge-check-households');
+  // Keys are "<kind>:<id>" with ids the API generated or validated
+  const pathFor = (key) => join(dir, `${key.replace(/[^A-Za-z0-9-]/g, '_')}.json`);
+  const queues = new Map();
+
+  const read = async (key) => {
+    try {
+      return JSON.parse(await readFile(pathFor(key), 'utf8'));
+    } catch {
+      return undefined;
+    }
+  };
+
+  return {
+    name: 'file',
+
+    get: read,
+
+    update(key, fn) {
+      const run = (queues.get(key) ?? Promise.resolve()).then(async () => {
+        const next = fn(await read(key));
+        if (next === undefined) return next;
+        await mkdir(dir, { recursive: true });
+        const temp = `${pathFor(key)}.${process.pid}.tmp`;
+        await writeFile(temp, JSON.stringify(next));
+        await rename(temp, pathFor(key));
+        return next;
+      });
+      // Later updates wait for this one, whether or not it failed
+      const settled = run.catch(() => {});
+      queues.set(key, settled);
+      settled.then(() => {
+        if (queues.get(key) === settled) queues.delete(key);
+      });
+      return run;
+    },
+  };
+};
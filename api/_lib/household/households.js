@@ -0,0 +1,128 @@
+// Households, invite codes and members. Creating or joining a household gives
+// the device a member id and a secret token that every later call must carry;
+// only a hash of the token is stored.
+import { createHash, randomBytes, randomInt, randomUUID, timingSafeEqual } from 'node:crypto';
+import { ApiError, ErrorCodes } from '../errors.js';
+import { changesSince, emptyRecords, mergeChanges, pruneTombstones } from './sync.js';
+
+// No 0/O or 1/I/L, so a code read out loud can't be mistyped
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_LENGTH = 8;
+const MAX_MEMBERS = 12;
+const MAX_NAME = 40;
+const ID = /^[0-9a-f-]{36}$/;
+
+const hashToken = (token) => createHash('sha256').update(String(token)).digest();
+
+const cleanName = (value, fallback) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_NAME) : fallback);
+
+// "abcd-2345" -> "ABCD2345"
+export const normalizeInvite = (code) => String(code ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const newInviteCode = () => Array.from({ length: INVITE_LENGTH }, () => INVITE_ALPHABET[randomInt(INVITE_ALPHABET.length)]).join('');
+
+const invalidInvite = () =>
+  new ApiError(ErrorCodes.INVALID_INVITE, "That invite code doesn't match a household", { status: 404 });
+
+const notAMember = () =>
+  new ApiError(ErrorCodes.NOT_A_MEMBER, 'This device is not a member of that household', { status: 403 });
+
+// What members may see: no token hashes
+const publicHousehold = ({ id, name, inviteCode, members }) => ({
+  id,
+  name,
+  inviteCode,
+  members: members.map(({ id: memberId, name: memberName, joinedAt, lastSeenAt }) => ({ id: memberId, name: memberName, joinedAt, lastSeenAt })),
+});
+
+const addMember = (household, deviceName, now) => {
+  const token = randomBytes(32).toString('base64url');
+  const member = {
+    id: randomUUID(),
+    name: cleanName(deviceName, `Device ${household.members.length + 1}`),
+    tokenHash: hashToken(token).toString('hex'),
+    joinedAt: now,
+    lastSeenAt: now,
+  };
+  household.members.push(member);
+  return { id: member.id, token };
+};
+
+// The member that `memberId` and `token` prove to be, or a 403
+const authenticate = (household, memberId, token) => {
+  const member = household?.members.find(m => m.id === memberId);
+  if (!member || !timingSafeEqual(Buffer.from(member.tokenHash, 'hex'), hashToken(token))) throw notAMember();
+  return member;
+};
+
+const householdKey = (id) => {
+  if (typeof id !== 'string' || !ID.test(id)) throw notAMember();
+  return `household:${id}`;
+};
+
+export const createHousehold = async (store, { name, deviceName }, now = Date.now()) => {
+  const id = randomUUID();
+  // Claim an unused invite code first; a clash is unlikely but possible
+  let inviteCode = null;
+  for (let attempt = 0; attempt < 5 && !inviteCode; attempt++) {
+    const code = newInviteCode();
+    const claimed = await store.update(`invite:${code}`, current => (current ? undefined : { householdId: id }));
+    if (claimed) inviteCode = code;
+  }
+  if (!inviteCode) throw new Error('Could not allocate an invite code');
+
+  const household = {
+    id,
+    name: cleanName(name, 'Our household'),
+    inviteCode,
+    createdAt: now,
+    seq: 0,
+    prunedSeq: 0,
+    members: [],
+    records: emptyRecords(),
+  };
+  const member = addMember(household, deviceName, now);
+  await store.update(householdKey(id), () => household);
+  return { household: publicHousehold(household), member };
+};
+
+export const joinHousehold = async (store, { inviteCode, deviceName }, now = Date.now()) => {
+  const code = normalizeInvite(inviteCode);
+  const invite = code.length === INVITE_LENGTH ? await store.get(`invite:${code}`) : undefined;
+  if (!invite) throw invalidInvite();
+
+  let member;
+  const household = await store.update(householdKey(invite.householdId), (current) => {
+    if (!current) return undefined;
+    if (current.members.length >= MAX_MEMBERS) {
+      throw new ApiError(ErrorCodes.HOUSEHOLD_FULL, `A household can have at most ${MAX_MEMBERS} devices`, { status: 409 });
+    }
+    member = addMember(current, deviceName, now);
+    return current;
+  });
+  if (!household) throw invalidInvite();
+  return { household: publicHousehold(household), member };
+};
+
+// Merges the device's changes and returns what it hasn't seen yet, from
+// `cursor` (the last sync's cursor, 0 for none) on
+export const syncHousehold = async (store, { householdId, memberId, token, cursor, changes }, now = Date.now()) => {
+  let result;
+  const household = await store.update(householdKey(householdId), (current) => {
+    authenticate(current, memberId, token).lastSeenAt = now;
+    const lost = mergeChanges(current, changes, memberId, now);
+    pruneTombstones(current, now);
+    result = changesSince(current, Number.isSafeInteger(cursor) && cursor > 0 ? cursor : 0, lost);
+    return current;
+  });
+  return { ...result, household: publicHousehold(household) };
+};
+
+// The device's copy of the shared data stays on it; it just stops syncing
+export const leaveHousehold = async (store, { householdId, memberId, token }) => {
+  await store.update(householdKey(householdId), (current) => {
+    authenticate(current, memberId, token);
+    current.members = current.members.filter(m => m.id !== memberId);
+    return current;
+  });
+};
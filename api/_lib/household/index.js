@@ -0,0 +1,33 @@
+// Household storage selection. HOUSEHOLD_DRIVER picks the backend:
+//   memory (default) - per-instance Map, for local runs and single instances
+//   file             - JSON files under HOUSEHOLD_DIR (default: OS temp dir)
+//   none             - household sharing disabled
+// Devices only see each other's changes when they reach the same store, so a
+// deployment with several instances needs a shared backend.
+//
+// Every store exposes { name, get(key), update(key, fn) }. `update` calls `fn`
+// with the current value (or undefined) and saves what it returns unless
+// that's undefined; a store must not run two updates of one key at once.
+// Both methods are async so a shared store (Redis, KV) can slot in later.
+import { createFileHouseholdStore } from './file.js';
+import { createMemoryHouseholdStore } from './memory.js';
+
+const factories = {
+  memory: createMemoryHouseholdStore,
+  file: createFileHouseholdStore,
+  none: () => null,
+};
+
+let store;
+
+// Cached at module scope so the memory store keeps its households between requests
+export const getHouseholdStore = (env = process.env) => {
+  if (store !== undefined) return store;
+  const name = (env.HOUSEHOLD_DRIVER || 'memory').toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown HOUSEHOLD_DRIVER "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  store = factory(env);
+  return store;
+};
@@ -0,0 +1,19 @@
+// In-process household store. Updates run synchronously between reads and
+// writes, so they can't interleave. Households are lost on restart.
+export const createMemoryHouseholdStore = () => {
+  const values = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return structuredClone(values.get(key));
+    },
+
+    async update(key, fn) {
+      const next = fn(structuredClone(values.get(key)));
+      if (next !== undefined) values.set(key, structuredClone(next));
+      return next;
+    },
+  };
+};
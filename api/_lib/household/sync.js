@@ -0,0 +1,108 @@
+// Merging shared household data. Each collection maps item keys to records
+// { value | deleted, updatedAt, by, seq }: `updatedAt` is when a device made
+// the change, `by` the member who made it and `seq` the household's change
+// counter when the server accepted it. The newest write wins per item, and
+// deletions stay behind as tombstones so devices that were offline still
+// learn about them.
+import { ApiError, ErrorCodes } from '../errors.js';
+
+export const COLLECTIONS = ['pantry', 'favourites', 'picked', 'shopping'];
+
+const MAX_CHANGES = 500;
+const MAX_RECORDS = 5000;
+const MAX_KEY_LENGTH = 200;
+const MAX_VALUE_BYTES = 64 * 1024;
+
+// Devices away for longer than this get a full copy instead of the changes
+export const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const badRequest = (message) => new ApiError(ErrorCodes.BAD_REQUEST, message, { status: 400 });
+
+export const emptyRecords = () => Object.fromEntries(COLLECTIONS.map(collection => [collection, {}]));
+
+// Client changes, [{ collection, key, value | deleted, updatedAt }], checked
+// and stripped of anything else
+export const validateChanges = (raw) => {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) throw badRequest('`changes` must be an array');
+  if (raw.length > MAX_CHANGES) throw badRequest(`Send at most ${MAX_CHANGES} changes at a time`);
+
+  return raw.map((change, i) => {
+    const { collection, key, value, deleted, updatedAt } = change ?? {};
+    if (!COLLECTIONS.includes(collection)) {
+      throw badRequest(`changes[${i}].collection must be one of: ${COLLECTIONS.join(', ')}`);
+    }
+    if (typeof key !== 'string' || !key || key.length > MAX_KEY_LENGTH) {
+      throw badRequest(`changes[${i}].key must be a string of 1 to ${MAX_KEY_LENGTH} characters`);
+    }
+    if (!Number.isFinite(updatedAt) || updatedAt <= 0) throw badRequest(`changes[${i}].updatedAt must be a timestamp`);
+    if (deleted === true) return { collection, key, deleted: true, updatedAt };
+    if (value === undefined || JSON.stringify(value).length > MAX_VALUE_BYTES) {
+      throw badRequest(`changes[${i}].value is missing or too large`);
+    }
+    return { collection, key, value, updatedAt };
+  });
+};
+
+// Equal times fall back to the member id, so every device picks the same winner
+const isNewer = (a, b) => a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.by > b.by);
+
+// Applies a member's changes to `household` in place and returns the ones
+// that lost to a newer write. Device clocks can't claim the future: times are
+// capped at the server's `now`.
+export const mergeChanges = (household, changes, memberId, now) => {
+  const lost = [];
+  for (const change of changes) {
+    const records = household.records[change.collection];
+    const existing = records[change.key];
+    const record = {
+      ...(change.deleted ? { deleted: true } : { value: change.value }),
+      updatedAt: Math.min(change.updatedAt, now),
+      by: memberId,
+    };
+    if (existing && !isNewer(record, existing)) {
+      lost.push(change);
+      continue;
+    }
+    if (!existing && Object.keys(records).length >= MAX_RECORDS) {
+      throw new ApiError(ErrorCodes.PAYLOAD_TOO_LARGE, `The shared ${change.collection} is full (max ${MAX_RECORDS} items)`, { status: 413 });
+    }
+    household.seq += 1;
+    records[change.key] = { ...record, seq: household.seq };
+  }
+  return lost;
+};
+
+// Drops tombstones older than TOMBSTONE_TTL_MS. `prunedSeq` remembers how far
+// that went: a device whose cursor is behind it may have missed a deletion.
+export const pruneTombstones = (household, now) => {
+  for (const records of Object.values(household.records)) {
+    for (const [key, record] of Object.entries(records)) {
+      if (record.deleted && now - record.updatedAt > TOMBSTONE_TTL_MS) {
+        household.prunedSeq = Math.max(household.prunedSeq, record.seq);
+        delete records[key];
+      }
+    }
+  }
+};
+
+const toChange = (collection, key, { value, deleted, updatedAt, by }) =>
+  ({ collection, key, ...(deleted ? { deleted: true } : { value }), updatedAt, by });
+
+// Everything accepted after `cursor`, plus the winning version of anything in
+// `lost`, so the device that lost catches up. When `full` is set the device
+// gets every live item instead and should drop what isn't among them.
+export const changesSince = (household, cursor, lost = []) => {
+  const full = cursor < household.prunedSeq;
+  const lostKeys = new Set(lost.map(change => `${change.collection}/${change.key}`));
+  const changes = [];
+  for (const collection of COLLECTIONS) {
+    for (const [key, record] of Object.entries(household.records[collection])) {
+      const include = full
+        ? !record.deleted
+        : record.seq > cursor || lostKeys.has(`${collection}/${key}`);
+      if (include) changes.push(toChange(collection, key, record));
+    }
+  }
+  return { changes, cursor: household.seq, full };
+};
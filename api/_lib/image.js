@@ -0,0 +1,50 @@
+// Server-side checks on uploaded photos: only formats the vision API accepts,
+// identified from the bytes themselves, and nothing oversized.
+import { ApiError, ErrorCodes } from './errors.js';
+
+// Preprocessed uploads are far smaller. Base64 adds a third, so this keeps
+// one photo inside the default request body limit (see guard.js).
+const DEFAULT_MAX_IMAGE_BYTES = 2.5 * 1024 * 1024;
+
+const SIGNATURES = [
+  { mediaType: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mediaType: 'image/png', test: (b) => b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47 },
+  { mediaType: 'image/gif', test: (b) => b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46 },
+  { mediaType: 'image/webp', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+];
+
+export const maxImageBytes = (env = process.env) =>
+  Number(env.MAX_IMAGE_BYTES) > 0 ? Number(env.MAX_IMAGE_BYTES) : DEFAULT_MAX_IMAGE_BYTES;
+
+// Accepts raw base64 or a data URL. Returns { data, mediaType } where the
+// media type comes from the file signature; a declared type must agree with it.
+export const validateImage = (image, declaredType, env = process.env) => {
+  if (typeof image !== 'string' || !image) {
+    throw new ApiError(ErrorCodes.BAD_REQUEST, 'Invalid request: image must be a base64 string', { status: 400 });
+  }
+  const data = image.replace(/^data:[^,]*,/, '');
+
+  // base64 is 4 chars per 3 bytes; check before decoding anything
+  const bytes = Math.floor(data.length * 3 / 4);
+  const limit = maxImageBytes(env);
+  if (bytes > limit) {
+    throw new ApiError(ErrorCodes.PAYLOAD_TOO_LARGE, `Photo is too large (max ${Number((limit / 1024 / 1024).toFixed(1))} MB)`, {
+      status: 413,
+      details: { bytes, limit },
+    });
+  }
+
+  const header = Buffer.from(data.slice(0, 24), 'base64');
+  const match = SIGNATURES.find(sig => sig.test(header));
+  if (!match) {
+    throw new ApiError(ErrorCodes.UNSUPPORTED_MEDIA_TYPE, 'Unsupported image format. Use JPEG, PNG, WebP or GIF.', {
+      status: 415,
+    });
+  }
+  if (declaredType && declaredType !== match.mediaType) {
+    throw new ApiError(ErrorCodes.UNSUPPORTED_MEDIA_TYPE, `Image was sent as ${declaredType} but is ${match.mediaType}`, {
+      status: 415,
+    });
+  }
+  return { data, mediaType: match.mediaType };
+};
@@ -0,0 +1,100 @@
+// Meal-plan mode: several days of breakfast, lunch and dinner from one
+// ingredient list. Each planned meal is an ordinary recipe tagged with the
+// `day` (1-based) and `meal` it's for, so plans stream like other results.
+import { runAnalysis } from './analysis.js';
+import { ApiError, ErrorCodes } from './errors.js';
+import { prepareUseItUp } from './useItUp.js';
+
+export const MEALS = ['breakfast', 'lunch', 'dinner'];
+const MAX_DAYS = 7;
+const MAX_PEOPLE = 12;
+const DEFAULT_DAYS = 3;
+const DEFAULT_PEOPLE = 2;
+
+// Plans are many short recipes; allow enough output for every slot
+const TOKENS_PER_MEAL = 350;
+const BASE_TOKENS = 400;
+
+// A week of every meal in one reply takes longer than the function may run,
+// so plans are asked for a few meals at a time, in parallel. Three meals keep
+// each reply within the default budget of the other modes.
+export const MAX_MEALS_PER_CALL = 3;
+
+const badRequest = (message) => new ApiError(ErrorCodes.BAD_REQUEST, `Invalid request: ${message}`, { status: 400 });
+
+const wholeNumber = (value, name, fallback, max) => {
+  if (value === undefined || value === null) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) throw badRequest(`${name} must be a whole number from 1 to ${max}`);
+  return number;
+};
+
+// Returns { ingredients, atRisk, days, people, meals }. Pantry
+// `items` with freshness hints take priority over free text, so perishables
+// can be named; otherwise the model judges what spoils first.
+export const prepareMealPlan = ({ ingredients, items, days, people, meals }) => {
+  let list;
+  let atRisk = [];
+  if (Array.isArray(items) && items.length) {
+    const prepared = prepareUseItUp(items);
+    list = prepared.items.map(item => item.name);
+    atRisk = prepared.atRisk;
+  } else {
+    list = String(ingredients ?? '').split(/,|\n/).map(item => item.trim()).filter(Boolean);
+  }
+  if (!list.length) throw badRequest('provide ingredients to plan with');
+
+  const chosen = meals === undefined ? MEALS : MEALS.filter(meal => Array.isArray(meals) && meals.includes(meal));
+  if (!chosen.length) throw badRequest(`meals must include at least one of ${MEALS.join(', ')}`);
+
+  return {
+    ingredients: list,
+    atRisk,
+    days: wholeNumber(days, 'days', DEFAULT_DAYS, MAX_DAYS),
+    people: wholeNumber(people, 'people', DEFAULT_PEOPLE, MAX_PEOPLE),
+    meals: chosen,
+  };
+};
+
+// Splits the plan into runs of whole days, `{ first, last, maxTokens }`, with
+// at most MAX_MEALS_PER_CALL meals each (or one day, if a day has more)
+export const planChunks = ({ days, meals }) => {
+  const daysPerCall = Math.max(1, Math.floor(MAX_MEALS_PER_CALL / meals.length));
+  const chunks = [];
+  for (let first = 1; first <= days; first += daysPerCall) {
+    const last = Math.min(days, first + daysPerCall - 1);
+    chunks.push({ first, last, maxTokens: BASE_TOKENS + (last - first + 1) * meals.length * TOKENS_PER_MEAL });
+  }
+  return chunks;
+};
+
+// Drops recipes the model put outside the chunk's days and the plan's meals
+export const placeInPlan = ({ first, last }, meals) => (recipe) =>
+  (recipe.day >= first && recipe.day <= last && meals.includes(recipe.meal) ? recipe : null);
+
+// Index of a day and meal in the finished plan
+const slotOf = ({ meals }, recipe) => (recipe.day - 1) * meals.length + meals.indexOf(recipe.meal);
+
+// Runs one analysis per chunk (`request.parts`) side by side and joins them
+// in day order. Streamed recipes carry their slot index, so a chunk that is
+// being repaired overwrites what its first attempt sent; `onRetry` isn't
+// passed on, as listeners would throw away the other chunks' meals too. The
+// plan fails if any chunk does, once they have all settled.
+export const runMealPlan = async (provider, { parts, mealPlan }, events) => {
+  const settled = await Promise.allSettled(parts.map((part, i) => runAnalysis(provider, part, events && {
+    onIngredients: i === 0 ? events.onIngredients : undefined,
+    onRecipe: (recipe) => events.onRecipe(recipe, slotOf(mealPlan, recipe)),
+  })));
+  const failed = settled.find(result => result.status === 'rejected');
+  if (failed) throw failed.reason;
+
+  const results = settled.map(result => result.value);
+  return {
+    analysis: { ...results[0].analysis, recipes: results.flatMap(result => result.analysis.recipes) },
+    usage: {
+      input_tokens: results.reduce((sum, result) => sum + result.usage.input_tokens, 0),
+      output_tokens: results.reduce((sum, result) => sum + result.usage.output_tokens, 0),
+    },
+    repaired: results.some(result => result.repaired),
+  };
+};
@@ -0,0 +1,127 @@
+// Nutrient table for recipe estimates: a rounded subset of USDA FoodData
+// Central (SR Legacy) values per 100 g of the food as usually bought (raw
+// meat and veg, dry grains and pasta). `names` are matched against recipe
+// ingredient text, the first is the canonical one. `each` is the weight in g
+// of one whole item (one egg, one clove of garlic) and `density` is g per ml
+// for foods measured by volume; water's 1 g/ml is assumed otherwise.
+//
+// per100g: [kcal, protein g, carbs g, fat g, fiber g]
+
+export const NUTRIENTS = [
+  // Meat, fish and protein
+  { names: ['chicken breast', 'chicken', 'chicken fillet'], per100g: [120, 22.5, 0, 2.6, 0], each: 174 },
+  { names: ['chicken thigh', 'chicken leg', 'chicken drumstick'], per100g: [121, 19.7, 0, 4.1, 0], each: 115 },
+  { names: ['ground beef', 'beef mince', 'minced beef', 'mince'], per100g: [254, 17.2, 0, 20, 0] },
+  { names: ['beef', 'steak', 'sirloin', 'stewing beef'], per100g: [160, 21, 0, 8, 0], each: 225 },
+  { names: ['pork', 'pork chop', 'pork loin', 'pork tenderloin'], per100g: [143, 21.2, 0, 5.7, 0], each: 170 },
+  { names: ['ground pork', 'pork mince'], per100g: [263, 16.9, 0, 21.2, 0] },
+  { names: ['bacon', 'pancetta', 'bacon rasher'], per100g: [417, 13, 1.4, 40, 0], each: 12 },
+  { names: ['sausage', 'chorizo'], per100g: [301, 13, 1.4, 27, 0], each: 75 },
+  { names: ['ham'], per100g: [145, 21, 1.5, 5.5, 0], each: 28 },
+  { names: ['lamb', 'ground lamb', 'lamb mince'], per100g: [282, 16.6, 0, 23.4, 0] },
+  { names: ['turkey', 'ground turkey', 'turkey breast'], per100g: [148, 19.7, 0, 7.7, 0] },
+  { names: ['salmon', 'salmon fillet'], per100g: [208, 20.4, 0, 13.4, 0], each: 125 },
+  { names: ['tuna', 'canned tuna', 'tinned tuna'], per100g: [116, 25.5, 0, 0.8, 0], each: 140 },
+  { names: ['cod', 'white fish', 'haddock', 'pollock', 'tilapia'], per100g: [82, 17.8, 0, 0.7, 0], each: 140 },
+  { names: ['shrimp', 'prawn'], per100g: [85, 20.1, 0, 0.5, 0], each: 12 },
+  { names: ['tofu', 'firm tofu'], per100g: [144, 17.3, 2.8, 8.7, 2.3] },
+  { names: ['egg', 'large egg'], per100g: [143, 12.6, 0.7, 9.5, 0], each: 50 },
+
+  // Dairy
+  { names: ['milk', 'whole milk'], per100g: [61, 3.2, 4.8, 3.3, 0], density: 1.03 },
+  { names: ['semi-skimmed milk', 'skimmed milk', 'low-fat milk', '2% milk'], per100g: [50, 3.3, 4.8, 2, 0], density: 1.03 },
+  { names: ['butter', 'ghee'], per100g: [717, 0.9, 0.1, 81.1, 0], density: 0.91 },
+  { names: ['cheese', 'cheddar'], per100g: [403, 24.9, 1.3, 33.1, 0], density: 0.45 },
+  { names: ['mozzarella'], per100g: [300, 22.2, 2.2, 22.4, 0], density: 0.45, each: 125 },
+  { names: ['parmesan', 'parmigiano', 'pecorino'], per100g: [392, 35.8, 3.2, 25.8, 0], density: 0.4 },
+  { names: ['feta', 'goat cheese'], per100g: [264, 14.2, 4.1, 21.3, 0], density: 0.6 },
+  { names: ['cream cheese', 'ricotta'], per100g: [342, 6, 4.1, 34, 0], density: 0.95 },
+  { names: ['yoghurt', 'yogurt', 'plain yoghurt', 'plain yogurt'], per100g: [61, 3.5, 4.7, 3.3, 0], density: 1.03 },
+  { names: ['greek yoghurt', 'greek yogurt'], per100g: [97, 9, 3.9, 5, 0], density: 1.05 },
+  { names: ['cream', 'double cream', 'heavy cream', 'whipping cream'], per100g: [340, 2.8, 2.7, 36, 0], density: 1 },
+  { names: ['sour cream', 'creme fraiche', 'crème fraîche'], per100g: [198, 2.4, 4.6, 19.4, 0], density: 1 },
+
+  // Grains, pasta and bread (dry)
+  { names: ['rice', 'white rice', 'basmati rice', 'jasmine rice', 'arborio rice'], per100g: [365, 7.1, 80, 0.7, 1.3], density: 0.8 },
+  { names: ['brown rice'], per100g: [370, 7.9, 77.2, 2.9, 3.5], density: 0.8 },
+  { names: ['cooked rice', 'leftover rice', 'day-old rice'], per100g: [130, 2.7, 28.2, 0.3, 0.4], density: 0.66 },
+  { names: ['pasta', 'spaghetti', 'penne', 'fusilli', 'macaroni', 'linguine', 'tagliatelle', 'lasagne sheet', 'lasagna sheet'], per100g: [371, 13, 74.7, 1.5, 3.2], density: 0.45 },
+  { names: ['noodle', 'egg noodle', 'ramen noodle', 'udon noodle'], per100g: [384, 14.2, 71.3, 4.4, 3.3] },
+  { names: ['rice noodle', 'vermicelli'], per100g: [364, 6, 80.2, 0.6, 1.6] },
+  { names: ['couscous'], per100g: [376, 12.8, 77.4, 0.6, 5], density: 0.73 },
+  { names: ['quinoa'], per100g: [368, 14.1, 64.2, 6.1, 7], density: 0.72 },
+  { names: ['oats', 'rolled oats', 'porridge oats', 'oatmeal'], per100g: [379, 13.2, 67.7, 6.5, 10.1], density: 0.34 },
+  { names: ['flour', 'plain flour', 'all-purpose flour', 'self-raising flour'], per100g: [364, 10.3, 76.3, 1, 2.7], density: 0.53 },
+  { names: ['cornstarch', 'cornflour', 'corn starch'], per100g: [381, 0.3, 91.3, 0.1, 0.9], density: 0.54 },
+  { names: ['bread', 'white bread', 'bread slice', 'slice of bread', 'breadcrumb', 'sourdough'], per100g: [266, 8.9, 49.4, 3.3, 2.7], each: 30, density: 0.25 },
+  { names: ['wholemeal bread', 'whole wheat bread', 'whole-wheat bread'], per100g: [252, 12.4, 42.7, 3.5, 6], each: 30 },
+  { names: ['tortilla', 'wrap', 'flour tortilla'], per100g: [306, 8.2, 50.5, 7.5, 3.5], each: 45 },
+
+  // Vegetables
+  { names: ['potato'], per100g: [77, 2, 17.5, 0.1, 2.2], each: 213 },
+  { names: ['sweet potato'], per100g: [86, 1.6, 20.1, 0.1, 3], each: 130 },
+  { names: ['onion', 'red onion', 'shallot'], per100g: [40, 1.1, 9.3, 0.1, 1.7], each: 110 },
+  { names: ['spring onion', 'green onion', 'scallion'], per100g: [32, 1.8, 7.3, 0.2, 2.6], each: 15 },
+  { names: ['leek'], per100g: [61, 1.5, 14.2, 0.3, 1.8], each: 89 },
+  { names: ['garlic', 'garlic clove', 'clove of garlic'], per100g: [149, 6.4, 33.1, 0.5, 2.1], each: 3 },
+  { names: ['ginger'], per100g: [80, 1.8, 17.8, 0.8, 2], each: 10, density: 0.6 },
+  { names: ['tomato', 'cherry tomato', 'plum tomato'], per100g: [18, 0.9, 3.9, 0.2, 1.2], each: 123 },
+  { names: ['canned tomato', 'tinned tomato', 'chopped tomato', 'crushed tomato', 'passata'], per100g: [32, 1.6, 7.3, 0.3, 1.9], density: 1.03 },
+  { names: ['tomato paste', 'tomato puree', 'tomato purée'], per100g: [82, 4.3, 18.9, 0.5, 4.1], density: 1.1 },
+  { names: ['carrot'], per100g: [41, 0.9, 9.6, 0.2, 2.8], each: 61 },
+  { names: ['celery', 'celery stalk'], per100g: [16, 0.7, 3, 0.2, 1.6], each: 40 },
+  { names: ['broccoli', 'broccoli floret', 'tenderstem broccoli'], per100g: [34, 2.8, 6.6, 0.4, 2.6], each: 150, density: 0.38 },
+  { names: ['cauliflower'], per100g: [25, 1.9, 5, 0.3, 2], each: 575, density: 0.45 },
+  { names: ['spinach', 'baby spinach'], per100g: [23, 2.9, 3.6, 0.4, 2.2], density: 0.13 },
+  { names: ['kale', 'cavolo nero'], per100g: [35, 2.9, 4.4, 1.5, 4.1], density: 0.1 },
+  { names: ['cabbage', 'red cabbage'], per100g: [25, 1.3, 5.8, 0.1, 2.5], each: 900, density: 0.37 },
+  { names: ['lettuce', 'romaine', 'salad leaves', 'mixed greens'], per100g: [15, 1.4, 2.9, 0.2, 1.3], each: 300, density: 0.2 },
+  { names: ['bell pepper', 'red pepper', 'green pepper', 'yellow pepper', 'capsicum'], per100g: [31, 1, 6, 0.3, 2.1], each: 119 },
+  { names: ['chili', 'chilli', 'chili pepper', 'jalapeño', 'jalapeno'], per100g: [40, 1.9, 8.8, 0.4, 1.5], each: 14 },
+  { names: ['mushroom', 'button mushroom', 'chestnut mushroom'], per100g: [22, 3.1, 3.3, 0.3, 1], each: 18, density: 0.3 },
+  { names: ['zucchini', 'courgette'], per100g: [17, 1.2, 3.1, 0.3, 1], each: 196 },
+  { names: ['eggplant', 'aubergine'], per100g: [25, 1, 5.9, 0.2, 3], each: 458 },
+  { names: ['cucumber'], per100g: [16, 0.7, 3.6, 0.1, 0.5], each: 300 },
+  { names: ['peas', 'green peas', 'frozen peas'], per100g: [81, 5.4, 14.5, 0.4, 5.7], density: 0.6 },
+  { names: ['green bean', 'french bean', 'string bean'], per100g: [31, 1.8, 7, 0.2, 2.7], density: 0.45 },
+  { names: ['sweetcorn', 'corn', 'sweet corn', 'corn kernel'], per100g: [86, 3.3, 19, 1.4, 2], each: 90, density: 0.65 },
+  { names: ['avocado'], per100g: [160, 2, 8.5, 14.7, 6.7], each: 150 },
+
+  // Fruit
+  { names: ['apple'], per100g: [52, 0.3, 13.8, 0.2, 2.4], each: 182 },
+  { names: ['banana'], per100g: [89, 1.1, 22.8, 0.3, 2.6], each: 118 },
+  { names: ['lemon', 'lemon juice'], per100g: [29, 1.1, 9.3, 0.3, 2.8], each: 60, density: 1.03 },
+  { names: ['lime', 'lime juice'], per100g: [30, 0.7, 10.5, 0.2, 2.8], each: 67, density: 1.03 },
+  { names: ['orange'], per100g: [47, 0.9, 11.8, 0.1, 2.4], each: 131 },
+  { names: ['strawberry'], per100g: [32, 0.7, 7.7, 0.3, 2], each: 12, density: 0.6 },
+  { names: ['blueberry', 'raspberry', 'berries', 'mixed berries'], per100g: [57, 0.7, 14.5, 0.3, 2.4], density: 0.6 },
+
+  // Beans, nuts and seeds
+  { names: ['chickpeas', 'chickpea', 'garbanzo'], per100g: [164, 8.9, 27.4, 2.6, 7.6], density: 0.68 },
+  { names: ['black bean', 'kidney bean', 'cannellini bean', 'white bean', 'pinto bean', 'beans'], per100g: [132, 8.9, 23.7, 0.5, 8.7], density: 0.72 },
+  { names: ['lentil', 'red lentil', 'green lentil'], per100g: [352, 24.6, 63.4, 1.1, 10.7], density: 0.8 },
+  { names: ['peanut butter'], per100g: [588, 25.1, 20, 50.4, 6], density: 1.07 },
+  { names: ['peanut'], per100g: [567, 25.8, 16.1, 49.2, 8.5], density: 0.6 },
+  { names: ['almond', 'cashew', 'nuts', 'mixed nuts', 'hazelnut'], per100g: [579, 21.2, 21.6, 49.9, 12.5], density: 0.6 },
+  { names: ['walnut', 'pecan'], per100g: [654, 15.2, 13.7, 65.2, 6.7], density: 0.5 },
+  { names: ['sesame seed', 'sesame seeds', 'sunflower seed', 'pumpkin seed'], per100g: [573, 17.7, 23.5, 49.7, 11.8], density: 0.6 },
+
+  // Oils, sauces and the store cupboard
+  { names: ['olive oil', 'oil', 'vegetable oil', 'sunflower oil', 'sesame oil', 'rapeseed oil', 'canola oil', 'coconut oil'], per100g: [884, 0, 0, 100, 0], density: 0.92 },
+  { names: ['coconut milk'], per100g: [197, 2, 2.8, 21.3, 0], density: 1 },
+  { names: ['soy sauce', 'tamari'], per100g: [53, 8.1, 4.9, 0.6, 0.8], density: 1.15 },
+  { names: ['fish sauce'], per100g: [35, 5.1, 3.6, 0, 0], density: 1.2 },
+  { names: ['stock', 'broth', 'chicken stock', 'vegetable stock', 'beef stock', 'chicken broth'], per100g: [7, 1.1, 0.4, 0.2, 0], density: 1 },
+  { names: ['honey', 'maple syrup'], per100g: [304, 0.3, 82.4, 0, 0.2], density: 1.42 },
+  { names: ['sugar', 'brown sugar', 'caster sugar'], per100g: [387, 0, 100, 0, 0], density: 0.85 },
+  { names: ['mayonnaise', 'mayo'], per100g: [680, 1, 0.6, 75, 0], density: 0.91 },
+  { names: ['ketchup'], per100g: [101, 1, 27.4, 0.1, 0.3], density: 1.15 },
+  { names: ['mustard', 'dijon mustard'], per100g: [66, 4.4, 5.8, 4, 3.3], density: 1.05 },
+  { names: ['vinegar', 'rice vinegar', 'balsamic vinegar', 'wine vinegar'], per100g: [18, 0, 0.04, 0, 0], density: 1.01 },
+  { names: ['dark chocolate', 'chocolate'], per100g: [598, 7.8, 45.9, 42.6, 10.9] },
+  { names: ['water'], per100g: [0, 0, 0, 0, 0] },
+  { names: ['salt', 'sea salt'], per100g: [0, 0, 0, 0, 0], density: 1.2 },
+  // Averages: a teaspoon of any of these barely moves the totals
+  { names: ['pepper', 'black pepper', 'paprika', 'cumin', 'chili powder', 'chilli powder', 'chili flakes', 'chilli flakes', 'red pepper flakes', 'pepper flakes', 'turmeric', 'cinnamon', 'oregano', 'thyme', 'curry powder', 'garam masala', 'spice', 'dried herbs', 'italian seasoning'], per100g: [300, 12, 60, 10, 30], density: 0.5 },
+  { names: ['parsley', 'coriander', 'cilantro', 'basil', 'mint', 'dill', 'chives', 'rosemary', 'fresh herbs'], per100g: [36, 3, 6.3, 0.8, 3.3], density: 0.1, each: 5 },
+];
@@ -0,0 +1,79 @@
+// Nutrition estimates computed from each recipe's structured ingredients and
+// the bundled nutrient table, so the numbers never depend on the model's
+// arithmetic. Ingredients that can't be matched or weighed are listed in
+// `unmatched` and left out, which makes the totals a lower bound.
+import { NUTRIENTS } from './nutrients.js';
+import { normalizeIngredient } from './cacheKey.js';
+
+const FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// Weight units straight to grams; volume units to ml, then grams by density.
+// "can" and "pinch" are what recipes usually mean by them.
+const GRAMS_PER_UNIT = { g: 1, kg: 1000, oz: 28.35, lb: 453.6, can: 400, tin: 400, pinch: 0.4, handful: 30 };
+const ML_PER_UNIT = { ml: 1, l: 1000, tsp: 5, tbsp: 15, cup: 240, 'fl oz': 29.57 };
+// Counted units weigh one `each` of the ingredient
+const PIECE_UNITS = ['', 'clove', 'cloves', 'slice', 'slices', 'piece', 'pieces', 'fillet', 'fillets', 'stalk', 'stalks', 'whole', 'large', 'medium', 'small'];
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest names first, so "chicken stock" wins over "chicken"
+const MATCHERS = NUTRIENTS
+  .flatMap(entry => entry.names.map(name => {
+    const key = normalizeIngredient(name);
+    return { key, entry, pattern: new RegExp(`(?:^|[^\\p{L}])${escape(key)}(?![\\p{L}])`, 'u') };
+  }))
+  .sort((a, b) => b.key.length - a.key.length);
+
+export const findNutrients = (item) => {
+  const text = normalizeIngredient(item);
+  return MATCHERS.find(({ pattern }) => pattern.test(text))?.entry ?? null;
+};
+
+const gramsOf = ({ quantity, unit }, entry) => {
+  const key = unit.toLowerCase();
+  if (GRAMS_PER_UNIT[key]) return quantity * GRAMS_PER_UNIT[key];
+  if (ML_PER_UNIT[key]) return quantity * ML_PER_UNIT[key] * (entry.density ?? 1);
+  if (PIECE_UNITS.includes(key) && entry.each) return quantity * entry.each;
+  return null;
+};
+
+const round = (totals, servings) => ({
+  calories: Math.round(totals.calories / servings),
+  protein: Math.round(totals.protein / servings),
+  carbs: Math.round(totals.carbs / servings),
+  fat: Math.round(totals.fat / servings),
+  fiber: Math.round((totals.fiber / servings) * 10) / 10,
+});
+
+// Returns { perServing, total, servings, matched, unmatched, complete }.
+// "To taste" lines (no quantity) don't count either way.
+export const estimateNutrition = (recipe) => {
+  const totals = Object.fromEntries(FIELDS.map(field => [field, 0]));
+  const unmatched = [];
+  let matched = 0;
+
+  for (const line of recipe.ingredients) {
+    if (line.quantity === null) continue;
+    const entry = findNutrients(line.item);
+    const grams = entry && gramsOf(line, entry);
+    if (!grams) {
+      unmatched.push(line.item);
+      continue;
+    }
+    matched++;
+    entry.per100g.forEach((value, i) => { totals[FIELDS[i]] += (value * grams) / 100; });
+  }
+
+  const servings = recipe.servings || 1;
+  return {
+    perServing: round(totals, servings),
+    total: round(totals, 1),
+    servings,
+    matched,
+    unmatched,
+    complete: unmatched.length === 0,
+  };
+};
+
+// Recipe transform for runAnalysis; passes dropped (null) recipes through
+export const addNutrition = (recipe) => recipe && { ...recipe, nutrition: estimateNutrition(recipe) };
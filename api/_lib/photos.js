@@ -0,0 +1,62 @@
+// Multi-photo scans: several shots of one kitchen (shelves, door, freezer,
+// cupboard) analyzed in a single request.
+import { ApiError, ErrorCodes } from './errors.js';
+import { validateImage } from './image.js';
+import { normalizeIngredient } from './cacheKey.js';
+
+export const MAX_IMAGES = 6;
+
+export const LOCATIONS = ['fridge', 'fridge door', 'freezer', 'pantry', 'counter', 'other'];
+
+// [{ data, mediaType, location }] -> validated list with known locations only
+export const validateImages = (images) => {
+  if (!Array.isArray(images) || !images.length) {
+    throw new ApiError(ErrorCodes.BAD_REQUEST, 'Invalid request: provide at least one image', { status: 400 });
+  }
+  if (images.length > MAX_IMAGES) {
+    throw new ApiError(ErrorCodes.PAYLOAD_TOO_LARGE, `Too many photos (max ${MAX_IMAGES} per scan)`, { status: 413 });
+  }
+  return images.map((image, i) => {
+    if (!image || typeof image !== 'object') {
+      throw new ApiError(ErrorCodes.BAD_REQUEST, `Invalid request: images[${i}] must be an object`, { status: 400 });
+    }
+    return {
+      ...validateImage(image.data, image.mediaType),
+      location: LOCATIONS.includes(image.location) ? image.location : null,
+    };
+  });
+};
+
+export const describePhotos = (images) => images
+  .map((image, i) => `Photo ${i + 1}${image.location ? ` (${image.location})` : ''}`)
+  .join(', ');
+
+const toPhotoNumbers = (value, count) => [].concat(value ?? [])
+  .map(Number)
+  .filter(n => Number.isInteger(n) && n >= 1 && n <= count);
+
+// Builds runAnalysis' `mapIngredients`: merges duplicates across photos and
+// tags each ingredient with the photos and locations it was seen in.
+export const mergeIngredientSources = (images) => (rawIngredients) => {
+  const merged = new Map();
+
+  for (const item of Array.isArray(rawIngredients) ? rawIngredients : []) {
+    const entry = typeof item === 'string' ? { name: item } : item;
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!name) continue;
+
+    const key = normalizeIngredient(name);
+    const source = merged.get(key) ?? { name, photos: [] };
+    for (const photo of toPhotoNumbers(entry.photos ?? entry.photo, images.length)) {
+      if (!source.photos.includes(photo)) source.photos.push(photo);
+    }
+    merged.set(key, source);
+  }
+
+  const ingredientSources = [...merged.values()].map(source => ({
+    name: source.name,
+    photos: source.photos.sort((a, b) => a - b),
+    locations: [...new Set(source.photos.map(p => images[p - 1].location).filter(Boolean))],
+  }));
+  return { ingredients: ingredientSources.map(s => s.name), ingredientSources };
+};
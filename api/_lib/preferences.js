@@ -0,0 +1,136 @@
+// Dietary preferences: turned into prompt constraints, then enforced again on
+// the model's output because prompts alone are not a safety guarantee.
+
+const DIETS = ['vegetarian', 'vegan', 'pescatarian'];
+
+// Plant-based stand-ins that shouldn't count as the real thing
+const NOT_DAIRY = '(?<!coconut |almond |oat |soy |rice |peanut |cashew |nut |plant |vegan |dairy-free )';
+const NOT_MEAT = '(?<!veggie |vegan |vegetarian |plant-based |meatless |meat-free |tofu |mushroom )';
+const NOT_GLUTEN = '(?<!rice |almond |corn |coconut |chickpea |buckwheat |gluten-free |tamari )';
+
+const words = (list, prefix = '') => new RegExp(`${prefix}\\b(?:${list.join('|')})\\b`, 'i');
+
+export const ALLERGEN_PATTERNS = {
+  peanuts: words(['peanuts?', 'peanut butter', 'groundnuts?', 'satay']),
+  'tree-nuts': words(['almonds?', 'cashews?', 'walnuts?', 'pecans?', 'hazelnuts?', 'pistachios?', 'macadamias?', 'brazil nuts?', 'pine nuts?', 'praline', 'marzipan', 'nutella']),
+  dairy: words(['milk', 'cheese', 'butter', 'cream', 'yogh?urt', 'ghee', 'parmesan', 'mozzarella', 'cheddar', 'feta', 'ricotta', 'paneer', 'buttermilk', 'whey', 'custard'], NOT_DAIRY),
+  eggs: words(['eggs?', 'egg yolks?', 'egg whites?', 'mayonnaise', 'mayo', 'meringue', 'aioli']),
+  gluten: words(['wheat', 'flour', 'bread', 'breadcrumbs?', 'pasta', 'spaghetti', 'noodles?', 'couscous', 'barley', 'rye', 'semolina', 'tortillas?', 'soy sauce', 'seitan', 'croutons?', 'pastry'], NOT_GLUTEN),
+  soy: words(['soy', 'soya', 'soy sauce', 'tofu', 'edamame', 'tempeh', 'miso', 'tamari']),
+  fish: words(['fish', 'salmon', 'tuna', 'cod', 'anchov(?:y|ies)', 'sardines?', 'tilapia', 'trout', 'mackerel', 'halibut', 'haddock', 'fish sauce']),
+  shellfish: words(['shrimps?', 'prawns?', 'crabs?', 'lobsters?', 'clams?', 'mussels?', 'oysters?', 'scallops?', 'crayfish', 'squid', 'calamari']),
+  sesame: words(['sesame', 'tahini', 'halva']),
+};
+
+const MEAT = words(['chicken', 'beef', 'pork', 'bacon', 'ham', 'lamb', 'turkey', 'sausages?', 'steaks?', 'prosciutto', 'salami', 'chorizo', 'pepperoni', 'veal', 'duck', 'venison', 'gelatine?', 'lard', 'meatballs?', 'mince', 'ground meat'], NOT_MEAT);
+const SEAFOOD = [ALLERGEN_PATTERNS.fish, ALLERGEN_PATTERNS.shellfish];
+const ANIMAL_PRODUCTS = [ALLERGEN_PATTERNS.dairy, ALLERGEN_PATTERNS.eggs, words(['honey'])];
+
+const DIET_EXCLUSIONS = {
+  pescatarian: [MEAT],
+  vegetarian: [MEAT, ...SEAFOOD],
+  vegan: [MEAT, ...SEAFOOD, ...ANIMAL_PRODUCTS],
+};
+
+// Per-serving nutrition targets, checked against the estimate from
+// nutrition.js. `limit` targets are ceilings, the rest are floors.
+export const NUTRITION_TARGETS = {
+  'high-protein': { prompt: 'at least 25 g protein per serving', field: 'protein', min: 25, reason: 'under 25 g protein' },
+  'high-fiber': { prompt: 'at least 8 g fiber per serving', field: 'fiber', min: 8, reason: 'under 8 g fiber' },
+  'low-carb': { prompt: 'at most 20 g carbs per serving', field: 'carbs', limit: 20, reason: 'over 20 g carbs' },
+};
+
+const MAX_LIST = 20;
+
+const cleanList = (value) => (Array.isArray(value) ? value : [])
+  .filter(item => typeof item === 'string' && item.trim())
+  .map(item => item.trim().slice(0, 40))
+  .slice(0, MAX_LIST);
+
+// Drops anything unknown or malformed; returns null when nothing is set
+export const sanitizePreferences = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const prefs = {
+    diet: DIETS.includes(raw.diet) ? raw.diet : null,
+    allergens: cleanList(raw.allergens).filter(a => ALLERGEN_PATTERNS[a]),
+    dislikes: cleanList(raw.dislikes),
+    maxMinutes: Number.isFinite(raw.maxMinutes) && raw.maxMinutes > 0 ? Math.round(raw.maxMinutes) : null,
+    cuisines: cleanList(raw.cuisines),
+    targets: cleanList(raw.targets).filter(t => NUTRITION_TARGETS[t]),
+    maxCalories: Number.isFinite(raw.maxCalories) && raw.maxCalories > 0 ? Math.round(raw.maxCalories) : null,
+  };
+  const isEmpty = !prefs.diet && !prefs.allergens.length && !prefs.dislikes.length && !prefs.maxMinutes && !prefs.cuisines.length
+    && !prefs.targets.length && !prefs.maxCalories;
+  return isEmpty ? null : prefs;
+};
+
+export const constraintsPrompt = (prefs) => {
+  if (!prefs) return '';
+  const lines = [];
+  if (prefs.diet) lines.push(`- Every recipe MUST be ${prefs.diet}.`);
+  if (prefs.allergens.length) {
+    lines.push(`- ALLERGIES: never use or suggest ${prefs.allergens.map(a => a.replace('-', ' ')).join(', ')}, including derived products (sauces, oils, butters, flours), in any recipe, step or "missing" item.`);
+  }
+  if (prefs.dislikes.length) lines.push(`- Avoid these disliked ingredients: ${prefs.dislikes.join(', ')}.`);
+  if (prefs.maxMinutes) lines.push(`- Each recipe must take at most ${prefs.maxMinutes} minutes in total.`);
+  if (prefs.cuisines.length) lines.push(`- Prefer these cuisines where it makes sense: ${prefs.cuisines.join(', ')}.`);
+  const nutrition = [
+    ...prefs.targets.map(t => NUTRITION_TARGETS[t].prompt),
+    prefs.maxCalories && `at most ${prefs.maxCalories} kcal per serving`,
+  ].filter(Boolean);
+  if (nutrition.length) lines.push(`- Each recipe should have ${nutrition.join(', ')}. Give exact quantities so this can be checked.`);
+  return `\nConstraints (these override everything else):\n${lines.join('\n')}\n`;
+};
+
+const recipeText = (recipe) =>
+  [recipe.name, recipe.description, ...recipe.ingredients.map(line => line.item), ...recipe.instructions, ...recipe.missing].join('\n');
+
+// Nutrition target a recipe misses, as an exclusion reason, or null. A floor
+// can only be judged when every ingredient was counted; an estimate that left
+// some out is a lower bound, so it can still prove a ceiling was broken.
+const missedTarget = (prefs, nutrition) => {
+  if (!nutrition) return null;
+  const { perServing, complete } = nutrition;
+  if (prefs.maxCalories && perServing.calories > prefs.maxCalories) return `over ${prefs.maxCalories} kcal per serving`;
+  const missed = prefs.targets
+    .map(t => NUTRITION_TARGETS[t])
+    .find(({ field, min, limit }) => (limit ? perServing[field] > limit : complete && perServing[field] < min));
+  return missed ? missed.reason : null;
+};
+
+// Returns a recipe transform for runAnalysis: recipes that break an allergy,
+// the diet or a nutrition target are dropped (null) and reported via
+// `onExcluded`; dislikes, time limits and unconfirmed targets only add
+// `warnings`.
+export const enforcePreferences = (prefs, onExcluded) => (recipe) => {
+  if (!prefs) return recipe;
+  const text = recipeText(recipe);
+
+  const allergen = prefs.allergens.find(a => ALLERGEN_PATTERNS[a].test(text));
+  if (allergen) {
+    onExcluded?.({ name: recipe.name, reason: `mentions ${allergen.replace('-', ' ')}` });
+    return null;
+  }
+  if (prefs.diet && DIET_EXCLUSIONS[prefs.diet].some(pattern => pattern.test(text))) {
+    onExcluded?.({ name: recipe.name, reason: `not ${prefs.diet}` });
+    return null;
+  }
+  const missed = missedTarget(prefs, recipe.nutrition);
+  if (missed) {
+    onExcluded?.({ name: recipe.name, reason: missed });
+    return null;
+  }
+
+  const warnings = [];
+  const lower = text.toLowerCase();
+  const disliked = prefs.dislikes.filter(d => lower.includes(d.toLowerCase()));
+  if (disliked.length) warnings.push(`Contains ${disliked.join(', ')}`);
+  if (prefs.maxMinutes && recipe.time?.minutes > prefs.maxMinutes) {
+    warnings.push(`Takes longer than ${prefs.maxMinutes} min`);
+  }
+  if (recipe.nutrition && !recipe.nutrition.complete) {
+    const unconfirmed = prefs.targets.filter(t => recipe.nutrition.perServing[NUTRITION_TARGETS[t].field] < NUTRITION_TARGETS[t].min);
+    if (unconfirmed.length) warnings.push(`Couldn't confirm ${unconfirmed.map(t => t.replace('-', ' ')).join(', ')}`);
+  }
+  return warnings.length ? { ...recipe, warnings } : recipe;
+};
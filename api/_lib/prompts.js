@@ -0,0 +1,126 @@
+// Prompt builders for each analysis mode. Every prompt ends by asking for the
+// JSON described by the format it is paired with; `constraints` is the
+// dietary block from preferences.js (or '').
+import { RESPONSE_FORMAT } from './schema.js';
+
+// Shared by every mode: how to fill the structured recipe fields
+const RECIPE_NOTES = `In each recipe, "ingredients" lists every ingredient needed for "servings" people, with a numeric "quantity" (null for "to taste") and a metric or spoon "unit" ("g", "ml", "tsp", "tbsp", or "" for whole items). Set "onHand" to true for the ones I already have. "prepMinutes" and "cookMinutes" are numbers.`;
+
+export const photoPrompt = ({ format = RESPONSE_FORMAT, constraints = '' } = {}) => `Analyze this image of a fridge, pantry, or food items.
+
+1. List all the ingredients/food items you can identify
+2. Suggest 3 recipes that could be made with these ingredients
+${constraints}
+Respond in this exact JSON format:
+${format}
+${RECIPE_NOTES}
+
+Focus on practical, everyday recipes. If you can't identify many ingredients, suggest simple recipes with what you can see.
+Only respond with JSON, no other text.`;
+
+export const multiPhotoPrompt = (photoList, { format = RESPONSE_FORMAT, constraints = '' } = {}) => `These photos all show the same kitchen: ${photoList}.
+
+1. List every distinct ingredient/food item you can identify across all photos. List each item only once, with the number(s) of the photo(s) it appears in.
+2. Suggest 3 recipes that could be made with everything found
+${constraints}
+Respond in this exact JSON format:
+${format}
+${RECIPE_NOTES}
+
+Focus on practical, everyday recipes. If you can't identify many ingredients, suggest simple recipes with what you can see.
+Only respond with JSON, no other text.`;
+
+export const textPrompt = (ingredients, { format = RESPONSE_FORMAT, constraints = '' } = {}) => `I have these ingredients: ${ingredients}
+
+Suggest 3 recipes I could make with these ingredients.
+${constraints}
+Respond in this exact JSON format:
+${format}
+${RECIPE_NOTES}
+
+The top-level "ingredients" array should be a cleaned-up list of what I mentioned.
+Focus on practical, everyday recipes that primarily use my ingredients.
+Only respond with JSON, no other text.`;
+
+const describeFreshness = ({ daysLeft, freshness }) => {
+  if (typeof daysLeft === 'number') {
+    if (daysLeft < 0) return `past its best-before by ${-daysLeft} day${daysLeft === -1 ? '' : 's'}`;
+    if (daysLeft === 0) return 'best before today';
+    return `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`;
+  }
+  return freshness ? freshness.replace(/-/g, ' ') : null;
+};
+
+// Items arrive already sorted most perishable first
+export const perishablesPrompt = (items, atRisk, { format = RESPONSE_FORMAT, constraints = '' } = {}) => `I want to reduce food waste. Here is what I have, most perishable first:
+${items.map(item => {
+    const hint = describeFreshness(item);
+    return `- ${item.name}${hint ? ` (${hint})` : ''}`;
+  }).join('\n')}
+
+These items are at risk of going to waste: ${atRisk.join(', ')}.
+
+Suggest 3 recipes that use up as many of the at-risk items as possible, the most urgent ones first.
+For each recipe, list in "usesAtRisk" exactly which of the at-risk items it uses, spelled as above.
+${constraints}
+Respond in this exact JSON format:
+${format}
+${RECIPE_NOTES}
+
+The top-level "ingredients" array should be a cleaned-up list of what I mentioned.
+Only respond with JSON, no other text.`;
+
+const numbered = (recipes) => recipes.map((recipe, i) => `#${i + 1} ${JSON.stringify(recipe)}`).join('\n');
+
+// Follow-up on recipes already suggested. "more" only needs the names so it
+// doesn't repeat them; a revision needs the recipe(s) being changed in full.
+export const refinePrompt = ({ ingredients, recipes, instruction, target, action, count }, { format = RESPONSE_FORMAT, constraints = '' } = {}) => {
+  const have = ingredients.length ? `I have these ingredients: ${ingredients.join(', ')}\n\n` : '';
+  let task;
+  if (action === 'more') {
+    task = `You already suggested: ${recipes.map(recipe => recipe.name).join(', ')}.
+
+Suggest ${count} more, different recipes${instruction ? ` (${instruction})` : ''}.`;
+  } else if (target !== null) {
+    task = `You suggested this recipe:
+#${target + 1} ${JSON.stringify(recipes[target])}
+
+Rewrite it following my request: ${instruction}
+Keep what my request doesn't change. Rename it if it is now a different dish${recipes.length > 1 ? `, but not to one of the others: ${recipes.filter((_, i) => i !== target).map(recipe => recipe.name).join(', ')}` : ''}.`;
+  } else {
+    task = `You suggested these recipes:
+${numbered(recipes)}
+
+Rewrite all ${count} following my request: ${instruction}
+Keep them in the same order and keep what my request doesn't change.`;
+  }
+
+  return `${have}${task}
+${constraints}
+Return exactly ${count} recipe${count === 1 ? '' : 's'} in this exact JSON format, with an empty top-level "ingredients" array:
+${format}
+${RECIPE_NOTES}
+Only respond with JSON, no other text.`;
+};
+
+// Days `first` to `last` of a plan, in one reply; every recipe says which day
+// and meal it's for. Perishables go in the first days of the plan.
+export const mealPlanPrompt = ({ ingredients, atRisk, days, people, meals }, { first, last }, { format = RESPONSE_FORMAT, constraints = '' } = {}) => {
+  const count = (last - first + 1) * meals.length;
+  const perishables = atRisk.length ? ` (especially ${atRisk.join(', ')})` : ' (fresh meat and fish, leafy greens, soft fruit, dairy)';
+  return `I have these ingredients: ${ingredients.join(', ')}
+
+Plan ${first === last ? `day ${first}` : `days ${first} to ${last}`} of a ${days}-day meal plan with ${meals.join(', ')} for ${people} ${people === 1 ? 'person' : 'people'}: one recipe for each meal of each of ${first === last ? 'that day' : 'those days'}, ${count} in total, in day order. The other days are planned separately.
+- Spread my ingredients across the whole plan instead of using them all up at once; an ingredient can appear in several meals.
+- ${first === 1
+    ? `Schedule meals that use the most perishable ingredients${perishables} on the earliest days.`
+    : `The earlier days use up the most perishable ingredients${perishables}; lean on longer-lasting ones.`}
+- Breakfasts should be quick. Don't repeat a recipe.
+- Keep each recipe short: a one-sentence description and at most 4 instructions.
+${constraints}
+Respond in this exact JSON format, with "day" ${first === last ? `set to ${first}` : `from ${first} to ${last}`} and "meal" one of ${meals.map(meal => `"${meal}"`).join(', ')}:
+${format}
+${RECIPE_NOTES}
+Set "servings" to ${people}. The top-level "ingredients" array should be a cleaned-up list of what I mentioned.
+Only respond with JSON, no other text.`;
+};
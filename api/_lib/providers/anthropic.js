@@ -0,0 +1,49 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+// Provider messages use { type: 'image', mediaType, data } parts; map them to
+// Anthropic's base64 image blocks.
+const toAnthropicContent = (content) => {
+  if (typeof content === 'string') return content;
+  return content.map(part => part.type === 'image'
+    ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+    : part);
+};
+
+const toResult = (message) => ({
+  text: message.content.find(block => block.type === 'text')?.text ?? '',
+  usage: {
+    input_tokens: message.usage.input_tokens,
+    output_tokens: message.usage.output_tokens,
+  },
+});
+
+export const createAnthropicProvider = (env = process.env) => {
+  const model = env.ANTHROPIC_MODEL || DEFAULT_MODEL;
+  let client;
+
+  const getClient = () => (client ??= new Anthropic({ apiKey: env.ANTHROPIC_API_KEY }));
+
+  const request = (messages, maxTokens) => ({
+    model,
+    max_tokens: maxTokens,
+    messages: messages.map(m => ({ role: m.role, content: toAnthropicContent(m.content) })),
+  });
+
+  return {
+    name: 'anthropic',
+    model,
+    isConfigured: () => Boolean(env.ANTHROPIC_API_KEY),
+
+    async complete({ messages, maxTokens }) {
+      return toResult(await getClient().messages.create(request(messages, maxTokens)));
+    },
+
+    async stream({ messages, maxTokens, onText }) {
+      const stream = getClient().messages.stream(request(messages, maxTokens));
+      stream.on('text', onText);
+      return toResult(await stream.finalMessage());
+    },
+  };
+};
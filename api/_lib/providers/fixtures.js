@@ -0,0 +1,152 @@
+// Canned analyses returned by the mock provider.
+
+export const photoFixture = {
+  ingredients: ['eggs', 'milk', 'cheddar cheese', 'spinach', 'bell pepper', 'carrots', 'greek yogurt', 'butter'],
+  recipes: [
+    {
+      name: 'Spinach & Cheddar Omelette',
+      description: 'A fluffy omelette folded around wilted spinach and sharp cheddar.',
+      time: '~15 min',
+      servings: 1,
+      prepMinutes: 5,
+      cookMinutes: 10,
+      ingredients: [
+        { quantity: 3, unit: '', item: 'eggs', onHand: true },
+        { quantity: 2, unit: 'tbsp', item: 'milk', onHand: true },
+        { quantity: 40, unit: 'g', item: 'spinach', onHand: true },
+        { quantity: 30, unit: 'g', item: 'cheddar cheese', onHand: true },
+        { quantity: 10, unit: 'g', item: 'butter', onHand: true },
+        { quantity: null, unit: '', item: 'salt and pepper', onHand: false },
+      ],
+      instructions: [
+        'Whisk 3 eggs with a splash of milk, salt and pepper.',
+        'Melt butter in a non-stick pan over medium heat and wilt the spinach for 1 minute.',
+        'Pour in the eggs and cook for 3 minutes until the edges set.',
+        'Scatter cheddar over one half, fold and cook 1 minute more.',
+      ],
+      missing: ['chives'],
+    },
+    {
+      name: 'Rainbow Veggie Frittata',
+      description: 'Oven-baked eggs packed with pepper, carrot and spinach.',
+      time: '~30 min',
+      servings: 4,
+      prepMinutes: 10,
+      cookMinutes: 20,
+      ingredients: [
+        { quantity: 6, unit: '', item: 'eggs', onHand: true },
+        { quantity: 100, unit: 'ml', item: 'milk', onHand: true },
+        { quantity: 1, unit: '', item: 'bell pepper', onHand: true },
+        { quantity: 2, unit: '', item: 'carrots', onHand: true },
+        { quantity: 60, unit: 'g', item: 'spinach', onHand: true },
+        { quantity: 80, unit: 'g', item: 'cheddar cheese', onHand: true },
+        { quantity: 15, unit: 'g', item: 'butter', onHand: true },
+        { quantity: 1, unit: '', item: 'onion', onHand: false },
+      ],
+      instructions: [
+        'Heat the oven to 190°C (375°F).',
+        'Sauté diced bell pepper and grated carrot in butter for 5 minutes.',
+        'Add spinach, then pour over 6 eggs beaten with milk and cheddar.',
+        'Bake for 15 minutes until just set in the middle.',
+      ],
+      missing: ['onion'],
+    },
+    {
+      name: 'Crunchy Veg with Yogurt Dip',
+      description: 'Crisp carrot and pepper sticks with a garlicky yogurt dip.',
+      time: '~10 min',
+      servings: 2,
+      prepMinutes: 10,
+      cookMinutes: 0,
+      ingredients: [
+        { quantity: 3, unit: '', item: 'carrots', onHand: true },
+        { quantity: 1, unit: '', item: 'bell pepper', onHand: true },
+        { quantity: 200, unit: 'g', item: 'greek yogurt', onHand: true },
+        { quantity: 1, unit: '', item: 'garlic clove', onHand: false },
+        { quantity: 0.5, unit: '', item: 'lemon', onHand: false },
+        { quantity: null, unit: '', item: 'salt', onHand: false },
+      ],
+      instructions: [
+        'Cut carrots and bell pepper into sticks.',
+        'Stir greek yogurt with a pinch of salt, lemon and grated garlic.',
+        'Serve the sticks around the dip.',
+      ],
+      missing: ['garlic', 'lemon'],
+    },
+  ],
+};
+
+export const textFixture = {
+  ingredients: ['chicken', 'broccoli', 'garlic', 'soy sauce', 'rice'],
+  recipes: [
+    {
+      name: 'Garlic Chicken & Broccoli Stir-Fry',
+      description: 'Quick weeknight stir-fry with a savory soy-garlic glaze.',
+      time: '~25 min',
+      servings: 2,
+      prepMinutes: 10,
+      cookMinutes: 15,
+      ingredients: [
+        { quantity: 300, unit: 'g', item: 'chicken breast', onHand: true },
+        { quantity: 250, unit: 'g', item: 'broccoli', onHand: true },
+        { quantity: 3, unit: '', item: 'garlic cloves', onHand: true },
+        { quantity: 3, unit: 'tbsp', item: 'soy sauce', onHand: true },
+        { quantity: 150, unit: 'g', item: 'rice', onHand: true },
+        { quantity: 1, unit: 'tsp', item: 'sesame oil', onHand: false },
+      ],
+      instructions: [
+        'Cook the rice according to the packet.',
+        'Slice chicken thinly and stir-fry in a hot pan for 6 minutes.',
+        'Add broccoli florets and minced garlic and cook for 4 minutes.',
+        'Toss with soy sauce and serve over rice.',
+      ],
+      missing: ['sesame oil', 'green onions'],
+    },
+    {
+      name: 'Chicken Fried Rice',
+      description: 'Leftover-friendly fried rice with chicken and greens.',
+      time: '~20 min',
+      servings: 2,
+      prepMinutes: 5,
+      cookMinutes: 15,
+      ingredients: [
+        { quantity: 200, unit: 'g', item: 'chicken', onHand: true },
+        { quantity: 300, unit: 'g', item: 'cooked rice', onHand: true },
+        { quantity: 150, unit: 'g', item: 'broccoli', onHand: true },
+        { quantity: 2, unit: '', item: 'garlic cloves', onHand: true },
+        { quantity: 2, unit: 'tbsp', item: 'soy sauce', onHand: true },
+        { quantity: 2, unit: '', item: 'eggs', onHand: false },
+        { quantity: 80, unit: 'g', item: 'peas', onHand: false },
+      ],
+      instructions: [
+        'Stir-fry diced chicken until golden, then set aside.',
+        'Fry garlic and chopped broccoli for 3 minutes.',
+        'Add cold cooked rice and soy sauce, then return the chicken and toss.',
+      ],
+      missing: ['eggs', 'peas'],
+    },
+    {
+      name: 'Soy-Glazed Chicken Rice Bowl',
+      description: 'Sticky glazed chicken on rice with steamed broccoli.',
+      time: '~30 min',
+      servings: 2,
+      prepMinutes: 10,
+      cookMinutes: 20,
+      ingredients: [
+        { quantity: 4, unit: '', item: 'chicken thighs', onHand: true },
+        { quantity: 4, unit: 'tbsp', item: 'soy sauce', onHand: true },
+        { quantity: 2, unit: '', item: 'garlic cloves', onHand: true },
+        { quantity: 150, unit: 'g', item: 'rice', onHand: true },
+        { quantity: 200, unit: 'g', item: 'broccoli', onHand: true },
+        { quantity: 1, unit: 'tbsp', item: 'honey', onHand: false },
+      ],
+      instructions: [
+        'Simmer soy sauce with garlic for 2 minutes until syrupy.',
+        'Pan-fry chicken thighs for 12 minutes, turning once.',
+        'Steam broccoli for 5 minutes.',
+        'Glaze the chicken and serve over rice with the broccoli.',
+      ],
+      missing: ['honey'],
+    },
+  ],
+};
@@ -0,0 +1,25 @@
+// Model provider selection. AI_PROVIDER picks the backend:
+//   anthropic (default) - Claude via ANTHROPIC_API_KEY, ANTHROPIC_MODEL
+//   mock                - canned fixtures, no network or key needed
+//   openai              - OpenAI-compatible server at OPENAI_BASE_URL, OPENAI_MODEL
+//
+// Every provider exposes { name, model, isConfigured(), complete({ messages, maxTokens }) }
+// and resolves to { text, usage: { input_tokens, output_tokens } }.
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+import { createOpenAIProvider } from './openai.js';
+
+const factories = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider,
+  openai: createOpenAIProvider,
+};
+
+export const getProvider = (env = process.env) => {
+  const name = (env.AI_PROVIDER || 'anthropic').toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown AI_PROVIDER "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  return factory(env);
+};
@@ -0,0 +1,96 @@
+// Deterministic offline provider: returns fixtures instead of calling a model.
+// MOCK_SCENARIO=malformed makes the first reply invalid so the repair path can
+// be exercised too.
+import { photoFixture, textFixture } from './fixtures.js';
+
+// Streamed replies are cut into chunks of this size, MOCK_LATENCY_MS apart
+const STREAM_CHUNK_CHARS = 48;
+
+// Rough Anthropic-like costs so the impact figures look plausible
+const TOKENS_PER_IMAGE = 1600;
+const CHARS_PER_TOKEN = 4;
+
+const countTokens = (messages) => messages.reduce((sum, { content }) => {
+  const parts = typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+  return sum + parts.reduce((n, part) => n + (part.type === 'image'
+    ? TOKENS_PER_IMAGE
+    : Math.ceil(part.text.length / CHARS_PER_TOKEN)), 0);
+}, 0);
+
+const countImages = (messages) => messages.reduce((sum, { content }) =>
+  sum + (Array.isArray(content) ? content.filter(part => part.type === 'image').length : 0), 0);
+
+// Multi-photo scans expect ingredients tagged with the photo(s) they came
+// from; spread the fixture across the photos, repeating one to show merging.
+const tagPhotos = (fixture, photoCount) => ({
+  ...fixture,
+  ingredients: fixture.ingredients.map((name, i) => ({
+    name,
+    photos: i === 0 && photoCount > 1 ? [1, photoCount] : [(i % photoCount) + 1],
+  })),
+});
+
+// Follow-ups ask for an exact number of recipes; rotate the fixture so a
+// revised recipe visibly changes
+const refineFixture = (fixture, count) => ({
+  ingredients: [],
+  recipes: [...fixture.recipes.slice(1), fixture.recipes[0]].slice(0, count),
+});
+
+// Meal plans need one recipe per day and meal from `first` to `last`; cycle
+// the fixture recipes through the plan's slots, marking repeats so each plan
+// entry has its own name
+const planFixture = (fixture, first, last, meals) => ({
+  ...fixture,
+  recipes: Array.from({ length: (last - first + 1) * meals.length }, (_, i) => {
+    const slot = (first - 1) * meals.length + i;
+    const recipe = fixture.recipes[slot % fixture.recipes.length];
+    const round = Math.floor(slot / fixture.recipes.length);
+    return {
+      ...recipe,
+      name: round ? `${recipe.name} (${round + 1})` : recipe.name,
+      day: Math.floor(slot / meals.length) + 1,
+      meal: meals[slot % meals.length],
+    };
+  }),
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const createMockProvider = (env = process.env) => ({
+  name: 'mock',
+  model: 'mock-fixtures',
+  isConfigured: () => true,
+
+  async stream({ messages, maxTokens, onText }) {
+    const result = await this.complete({ messages, maxTokens });
+    const latency = Number(env.MOCK_LATENCY_MS) || 0;
+    for (let i = 0; i < result.text.length; i += STREAM_CHUNK_CHARS) {
+      if (latency) await sleep(latency);
+      onText(result.text.slice(i, i + STREAM_CHUNK_CHARS));
+    }
+    return result;
+  },
+
+  async complete({ messages }) {
+    const photoCount = countImages(messages);
+    const refineCount = messages[0].content.match?.(/Return exactly (\d+) recipe/)?.[1];
+    const plan = messages[0].content.match?.(/^Plan days? (\d+)(?: to (\d+))? of a \d+-day meal plan with ([a-z, ]+) for /m);
+    const fixture = photoCount > 1 ? tagPhotos(photoFixture, photoCount)
+      : photoCount ? photoFixture
+        : refineCount ? refineFixture(textFixture, Number(refineCount))
+          : plan ? planFixture(textFixture, Number(plan[1]), Number(plan[2] ?? plan[1]), plan[3].split(', ')) : textFixture;
+    const isRepair = messages.length > 1;
+    const text = env.MOCK_SCENARIO === 'malformed' && !isRepair
+      ? JSON.stringify({ ...fixture, recipes: fixture.recipes.map(r => ({ ...r, name: '' })) })
+      : JSON.stringify(fixture, null, 2);
+
+    return {
+      text,
+      usage: {
+        input_tokens: countTokens(messages),
+        output_tokens: Math.ceil(text.length / CHARS_PER_TOKEN),
+      },
+    };
+  },
+});
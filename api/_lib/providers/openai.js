@@ -0,0 +1,87 @@
+// Any server speaking the OpenAI chat completions API: llama.cpp, Ollama,
+// LM Studio, vLLM and so on. Handy for running the full flow offline.
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+const toOpenAIContent = (content) => {
+  if (typeof content === 'string') return content;
+  return content.map(part => part.type === 'image'
+    ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+    : part);
+};
+
+export const createOpenAIProvider = (env = process.env) => {
+  const baseUrl = (env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = env.OPENAI_MODEL;
+
+  const post = async (body) => {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(env.OPENAI_API_KEY && { Authorization: `Bearer ${env.OPENAI_API_KEY}` }),
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: body.maxTokens,
+        messages: body.messages.map(m => ({ role: m.role, content: toOpenAIContent(m.content) })),
+        ...(body.stream && { stream: true, stream_options: { include_usage: true } }),
+      }),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Model server responded with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  };
+
+  const toUsage = (usage) => ({
+    input_tokens: usage?.prompt_tokens ?? 0,
+    output_tokens: usage?.completion_tokens ?? 0,
+  });
+
+  return {
+    name: 'openai',
+    model,
+    isConfigured: () => Boolean(model),
+
+    async complete({ messages, maxTokens }) {
+      const data = await (await post({ messages, maxTokens })).json();
+      return {
+        text: data.choices?.[0]?.message?.content ?? '',
+        usage: toUsage(data.usage),
+      };
+    },
+
+    // Reads the server-sent event stream; usage arrives in the last chunk
+    async stream({ messages, maxTokens, onText }) {
+      const response = await post({ messages, maxTokens, stream: true });
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+      let usage;
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+          const data = JSON.parse(payload);
+          const delta = data.choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onText(delta);
+          }
+          if (data.usage) usage = data.usage;
+        }
+      }
+
+      return { text, usage: toUsage(usage) };
+    },
+  };
+};
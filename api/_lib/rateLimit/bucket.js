@@ -0,0 +1,26 @@
+// Token bucket: holds up to `capacity` tokens and refills continuously at
+// `refillPerSecond`. A request spends `cost` tokens or is turned away with
+// how long until enough have refilled.
+
+// `state` is { tokens, updatedAt } or undefined for a fresh, full bucket.
+// Returns { allowed, state, remaining, retryAfter } with retryAfter in seconds.
+export const takeTokens = (state, { capacity, refillPerSecond }, cost = 1, now = Date.now()) => {
+  const elapsed = state ? Math.max(0, (now - state.updatedAt) / 1000) : 0;
+  const tokens = state ? Math.min(capacity, state.tokens + elapsed * refillPerSecond) : capacity;
+  // A request bigger than the whole bucket would otherwise never fit
+  const spend = Math.min(cost, capacity);
+
+  if (tokens >= spend) {
+    return { allowed: true, state: { tokens: tokens - spend, updatedAt: now }, remaining: Math.floor(tokens - spend), retryAfter: 0 };
+  }
+  return {
+    allowed: false,
+    state: { tokens, updatedAt: now },
+    remaining: Math.floor(tokens),
+    retryAfter: Math.ceil((spend - tokens) / refillPerSecond),
+  };
+};
+
+// Seconds until an untouched bucket is full again, after which its state can
+// be forgotten
+export const refillSeconds = ({ capacity, refillPerSecond }) => Math.ceil(capacity / refillPerSecond);
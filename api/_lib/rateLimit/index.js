@@ -0,0 +1,75 @@
+// Per-IP and per-client rate limits for /api/analyze. RATE_LIMIT_DRIVER picks
+// where bucket state lives:
+//   memory (default) - per-instance Map
+//   none             - no rate limiting
+// Each scope is a token bucket: RATE_LIMIT_<SCOPE>_BURST requests at once,
+// refilled at RATE_LIMIT_<SCOPE>_PER_HOUR.
+//
+// Every store exposes { name, get(key), set(key, state, ttlSeconds) }; both
+// methods are async so a shared store (Redis, KV) can slot in later.
+import { ApiError, ErrorCodes } from '../errors.js';
+import { refillSeconds, takeTokens } from './bucket.js';
+import { createMemoryRateLimitStore } from './memory.js';
+
+const factories = {
+  memory: createMemoryRateLimitStore,
+  none: () => null,
+};
+
+const DEFAULTS = {
+  ip: { burst: 20, perHour: 60 },
+  client: { burst: 10, perHour: 30 },
+};
+
+let store;
+
+// Cached at module scope so the memory store keeps its buckets between requests
+export const getRateLimitStore = (env = process.env) => {
+  if (store !== undefined) return store;
+  const name = (env.RATE_LIMIT_DRIVER || 'memory').toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown RATE_LIMIT_DRIVER "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  store = factory(env);
+  return store;
+};
+
+const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+
+export const getRateLimits = (env = process.env) => Object.fromEntries(
+  Object.entries(DEFAULTS).map(([scope, defaults]) => {
+    const prefix = `RATE_LIMIT_${scope.toUpperCase()}`;
+    return [scope, {
+      capacity: positive(env[`${prefix}_BURST`], defaults.burst),
+      refillPerSecond: positive(env[`${prefix}_PER_HOUR`], defaults.perHour) / 3600,
+    }];
+  }),
+);
+
+// Photos cost the most upstream, so each one spends an extra token
+export const requestCost = ({ image, images }) => 1 + (Array.isArray(images) ? images.length : image ? 1 : 0);
+
+// Spends `cost` from every bucket that applies, or from none: a request
+// turned away by one scope doesn't drain the others. Throws a 429 ApiError
+// carrying the longest wait.
+export const enforceRateLimit = async (rateStore, identity, cost, limits = getRateLimits()) => {
+  if (!rateStore) return;
+  const scopes = Object.entries(identity).filter(([scope, id]) => id && limits[scope]);
+
+  const results = await Promise.all(scopes.map(async ([scope, id]) => {
+    const key = `${scope}:${id}`;
+    return { key, scope, limit: limits[scope], ...takeTokens(await rateStore.get(key), limits[scope], cost) };
+  }));
+
+  const denied = results.filter(result => !result.allowed);
+  if (denied.length) {
+    const retryAfter = Math.max(...denied.map(result => result.retryAfter));
+    throw new ApiError(ErrorCodes.RATE_LIMITED, 'Too many requests. Please wait before trying again.', {
+      status: 429,
+      details: { scope: denied[0].scope, retryAfter },
+      retryAfter,
+    });
+  }
+  await Promise.all(results.map(({ key, state, limit }) => rateStore.set(key, state, refillSeconds(limit))));
+};
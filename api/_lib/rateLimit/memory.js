@@ -0,0 +1,28 @@
+// In-process bucket store for local runs and single instances. Each
+// serverless instance keeps its own buckets, so limits are per instance there.
+const MAX_KEYS = 10000;
+
+export const createMemoryRateLimitStore = () => {
+  const buckets = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = buckets.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        buckets.delete(key);
+        return undefined;
+      }
+      return entry.state;
+    },
+
+    async set(key, state, ttlSeconds) {
+      // Map keeps insertion order, so the first key is the least recently used
+      buckets.delete(key);
+      if (buckets.size >= MAX_KEYS) buckets.delete(buckets.keys().next().value);
+      buckets.set(key, { state, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+  };
+};
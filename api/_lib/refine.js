@@ -0,0 +1,67 @@
+// Follow-up mode: revises the recipes already on screen from a short
+// instruction ("make #2 spicier", "no oven", "give me 3 more") without a new
+// scan. Only a compact copy of the recipes is sent back to the model.
+import { ApiError, ErrorCodes } from './errors.js';
+
+export const MAX_INSTRUCTION_CHARS = 200;
+// A week-long meal plan is 21 recipes
+const MAX_RECIPES = 21;
+const MAX_INGREDIENTS = 100;
+
+// "more" appends new recipes; "revise" rewrites the target recipe, or the
+// whole set when there's no target
+const ACTIONS = ['revise', 'more'];
+// How many recipes "more" adds when the request doesn't say, and at most
+const MORE_COUNT = 3;
+const MAX_MORE = 5;
+
+const badRequest = (message) => new ApiError(ErrorCodes.BAD_REQUEST, `Invalid request: ${message}`, { status: 400 });
+
+const formatQuantity = ({ quantity, unit, item }) => [quantity, unit, item].filter(part => part !== null && part !== '').join(' ');
+
+// Just what the model needs to rewrite a recipe faithfully
+const slimRecipe = (recipe) => ({
+  name: String(recipe.name),
+  ...(recipe.servings && { servings: recipe.servings }),
+  ingredients: Array.isArray(recipe.ingredients)
+    ? recipe.ingredients.filter(line => line && typeof line.item === 'string').map(formatQuantity)
+    : [],
+  instructions: Array.isArray(recipe.instructions) ? recipe.instructions.filter(step => typeof step === 'string') : [],
+});
+
+// Returns { ingredients, recipes, instruction, target, action, count }, where
+// `count` is how many recipes the model should send back. The request's own
+// `count` only applies to "more".
+export const prepareRefinement = ({ ingredients, recipes, instruction, target = null, action = 'revise', count = MORE_COUNT }) => {
+  if (!ACTIONS.includes(action)) throw badRequest(`action must be one of ${ACTIONS.join(', ')}`);
+  if (!Array.isArray(recipes) || !recipes.length || recipes.length > MAX_RECIPES) {
+    throw badRequest(`provide between 1 and ${MAX_RECIPES} recipes to refine`);
+  }
+  if (recipes.some(recipe => !recipe || typeof recipe.name !== 'string')) throw badRequest('every recipe needs a name');
+
+  const text = typeof instruction === 'string' ? instruction.replace(/\s+/g, ' ').trim() : '';
+  if (action === 'revise' && !text) throw badRequest('provide an instruction');
+  if (text.length > MAX_INSTRUCTION_CHARS) throw badRequest(`instruction must be ${MAX_INSTRUCTION_CHARS} characters or fewer`);
+
+  if (target !== null && !(Number.isInteger(target) && target >= 0 && target < recipes.length)) {
+    throw badRequest('target must be the index of one of the recipes');
+  }
+  if (target !== null && action === 'more') throw badRequest('"more" applies to the whole set, not one recipe');
+  if (action === 'more' && !(Number.isInteger(count) && count >= 1 && count <= MAX_MORE)) {
+    throw badRequest(`count must be between 1 and ${MAX_MORE}`);
+  }
+
+  const list = (Array.isArray(ingredients) ? ingredients : String(ingredients ?? '').split(','))
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim())
+    .slice(0, MAX_INGREDIENTS);
+
+  return {
+    ingredients: list,
+    recipes: recipes.map(slimRecipe),
+    instruction: text,
+    target,
+    action,
+    count: action === 'more' ? count : target !== null ? 1 : recipes.length,
+  };
+};
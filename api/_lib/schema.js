@@ -0,0 +1,276 @@
+// Response schema for recipe analyses: validates what the model returned and
+// coerces the fields where the intent is unambiguous.
+
+const formatWith = (extraRecipeFields = '', ingredients = '["ingredient1", "ingredient2", ...]') => `{
+  "ingredients": ${ingredients},
+  "recipes": [
+    {
+      "name": "Recipe Name",
+      "description": "Brief description",
+      "time": "~30 min",
+      "servings": 2,
+      "prepMinutes": 10,
+      "cookMinutes": 20,
+      "ingredients": [{ "quantity": 200, "unit": "g", "item": "chicken breast", "onHand": true }],
+      "instructions": ["Step 1", "Step 2", "Step 3"],
+      "missing": ["optional items that would enhance this recipe"]${extraRecipeFields}
+    }
+  ]
+}`;
+
+export const RESPONSE_FORMAT = formatWith();
+
+export const USE_IT_UP_FORMAT = formatWith(`,
+      "usesAtRisk": ["at-risk items this recipe uses"]`);
+
+// Multi-photo scans: each ingredient says which photo(s) it was seen in
+export const MULTI_PHOTO_FORMAT = formatWith('', '[{ "name": "ingredient1", "photos": [1] }, { "name": "ingredient2", "photos": [1, 3] }, ...]');
+
+// Follow-ups only return recipes; the ingredient list is already known
+export const REFINE_FORMAT = formatWith('', '[]');
+
+// Meal plans: one recipe per day and meal
+export const MEAL_PLAN_FORMAT = formatWith(`,
+      "day": 1,
+      "meal": "breakfast"`);
+
+// Pulls the JSON object out of the model text, tolerating code fences and
+// any prose around it.
+export const extractJson = (text) => {
+  if (typeof text !== 'string') {
+    throw new Error('Response contained no text');
+  }
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('No JSON object found in response');
+  }
+  return JSON.parse(unfenced.slice(start, end + 1));
+};
+
+// "~30 min", "1 hour 15 minutes", "1.5 hrs", "20-25 min" -> minutes (upper bound for ranges)
+export const parseMinutes = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+    return Math.round(value);
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.toLowerCase();
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+  const minutes = text.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/);
+  if (hours || minutes) {
+    const total = (hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0);
+    return Math.round(total) || null;
+  }
+
+  const bare = text.match(/^\D*(\d+)\D*$/);
+  return bare ? parseInt(bare[1], 10) || null : null;
+};
+
+const formatMinutes = (minutes) => {
+  if (minutes < 60) return `~${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `~${hours} hr ${rest} min` : `~${hours} hr`;
+};
+
+const toStringList = (value, path, errors, { splitOn }) => {
+  if (value === undefined || value === null) return [];
+  if (typeof value === 'string') {
+    return value.split(splitOn).map(s => s.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: expected an array of strings`);
+    return [];
+  }
+  return value
+    .map((item, i) => {
+      if (typeof item === 'string') return item.trim();
+      if (typeof item === 'number') return String(item);
+      if (item && typeof item === 'object' && typeof item.name === 'string') return item.name.trim();
+      errors.push(`${path}[${i}]: expected a string`);
+      return '';
+    })
+    .filter(Boolean);
+};
+
+const coerceTime = (value, path, errors) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const minutes = parseMinutes(value.minutes ?? value.label);
+    const label = typeof value.label === 'string' && value.label.trim()
+      ? value.label.trim()
+      : minutes ? formatMinutes(minutes) : '';
+    return { label, minutes };
+  }
+  if (typeof value === 'string') {
+    return { label: value.trim(), minutes: parseMinutes(value) };
+  }
+  if (typeof value === 'number') {
+    const minutes = parseMinutes(value);
+    return { label: minutes ? formatMinutes(minutes) : '', minutes };
+  }
+  if (value !== undefined && value !== null) {
+    errors.push(`${path}: expected a string like "~30 min"`);
+  }
+  return { label: '', minutes: null };
+};
+
+// Canonical spellings for the units the client knows how to scale and convert;
+// anything else ("clove", "can") is kept as written.
+const UNIT_ALIASES = {
+  g: 'g', gram: 'g', grams: 'g', gr: 'g',
+  kg: 'kg', kilogram: 'kg', kilograms: 'kg', kilo: 'kg', kilos: 'kg',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  tsp: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp',
+  tbsp: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp', tbs: 'tbsp',
+  cup: 'cup', cups: 'cup',
+  oz: 'oz', ounce: 'oz', ounces: 'oz',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  'fl oz': 'fl oz', 'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz',
+};
+
+const VULGAR_FRACTIONS = { '½': 0.5, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 0.25, '¾': 0.75, '⅛': 0.125 };
+
+// 2, "2", "1/2", "1 1/2", "1½", "2-3" (lower bound) -> number, else null
+const parseQuantity = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim().replace(/[½⅓⅔¼¾⅛]/g, f => ` ${VULGAR_FRACTIONS[f]}`).trim();
+  const match = text.match(/^(\d+(?:\.\d+)?)(?:\s+(\d+)\/(\d+)|\s+(0?\.\d+)|\/(\d+))?/);
+  if (!match) return null;
+  const [, whole, num, den, decimal, over] = match;
+  if (over) return Number(over) ? Number(whole) / Number(over) : null;
+  const quantity = Number(whole) + (num && Number(den) ? Number(num) / Number(den) : 0) + (decimal ? Number(decimal) : 0);
+  return quantity > 0 ? quantity : null;
+};
+
+const normalizeUnit = (unit) => {
+  const key = unit.trim().toLowerCase().replace(/\.$/, '');
+  return UNIT_ALIASES[key] ?? key;
+};
+
+// "200 g chicken breast", "1 1/2 cups rice", "2 eggs", "salt"
+const QUANTITY = '(\\d+\\s*[½⅓⅔¼¾⅛]|\\d+(?:\\.\\d+)?(?:\\s+\\d+\\/\\d+|\\/\\d+)?|[½⅓⅔¼¾⅛])';
+const UNIT_WORDS = Object.keys(UNIT_ALIASES).sort((a, b) => b.length - a.length).join('|');
+const LINE_PATTERN = new RegExp(`^${QUANTITY}\\s*(?:(${UNIT_WORDS})\\.?\\s+)?(?:of\\s+)?(.+)$`, 'i');
+
+const parseIngredientLine = (text) => {
+  const match = text.trim().match(LINE_PATTERN);
+  if (!match) return { quantity: null, unit: '', item: text.trim() };
+  return { quantity: parseQuantity(match[1]), unit: match[2] ? normalizeUnit(match[2]) : '', item: match[3].trim() };
+};
+
+const coerceIngredientLines = (value, path, errors) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: expected an array of { quantity, unit, item, onHand } objects`);
+    return [];
+  }
+  return value
+    .map((line, i) => {
+      if (typeof line === 'string') return line.trim() ? { ...parseIngredientLine(line), onHand: false } : null;
+      if (!line || typeof line !== 'object' || typeof line.item !== 'string' || !line.item.trim()) {
+        errors.push(`${path}[${i}]: expected an object with a non-empty "item"`);
+        return null;
+      }
+      return {
+        quantity: parseQuantity(line.quantity),
+        unit: typeof line.unit === 'string' ? normalizeUnit(line.unit) : '',
+        item: line.item.trim(),
+        onHand: line.onHand === true || line.onHand === 'true',
+      };
+    })
+    .filter(Boolean);
+};
+
+const positiveInt = (value) => {
+  const number = typeof value === 'string' ? parseInt(value, 10) : value;
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : null;
+};
+
+const coerceRecipe = (recipe, path, errors) => {
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    errors.push(`${path}: expected an object`);
+    return null;
+  }
+
+  const name = typeof recipe.name === 'string' ? recipe.name.trim() : '';
+  if (!name) errors.push(`${path}.name: expected a non-empty string`);
+
+  const instructions = toStringList(recipe.instructions, `${path}.instructions`, errors, {
+    // Free-text instructions: one step per line, dropping "1." / "Step 1:" prefixes
+    splitOn: /\n+/,
+  }).map(step => step.replace(/^(?:step\s*)?\d+[.):]\s*/i, ''));
+  if (!instructions.length) errors.push(`${path}.instructions: expected at least one step`);
+
+  const prepMinutes = parseMinutes(recipe.prepMinutes);
+  const cookMinutes = parseMinutes(recipe.cookMinutes);
+  const time = coerceTime(recipe.time, `${path}.time`, errors);
+  if (!time.minutes && (prepMinutes || cookMinutes)) {
+    time.minutes = (prepMinutes || 0) + (cookMinutes || 0);
+    time.label ||= formatMinutes(time.minutes);
+  }
+
+  return {
+    name,
+    description: typeof recipe.description === 'string' ? recipe.description.trim() : '',
+    time,
+    servings: positiveInt(recipe.servings),
+    prepMinutes,
+    cookMinutes,
+    ingredients: coerceIngredientLines(recipe.ingredients, `${path}.ingredients`, errors),
+    instructions,
+    missing: toStringList(recipe.missing, `${path}.missing`, errors, { splitOn: /,|\n/ }),
+    usesAtRisk: toStringList(recipe.usesAtRisk, `${path}.usesAtRisk`, errors, { splitOn: /,|\n/ }),
+    // Meal plans only
+    ...(recipe.day !== undefined && { day: positiveInt(recipe.day) }),
+    ...(typeof recipe.meal === 'string' && { meal: recipe.meal.trim().toLowerCase() }),
+  };
+};
+
+// Validates a single recipe, e.g. one parsed out of a partial streamed response.
+export const validateRecipe = (recipe, path = 'recipe') => {
+  const errors = [];
+  const value = coerceRecipe(recipe, path, errors);
+  return { value, errors };
+};
+
+// Returns { value, errors }. `value` is only safe to use when `errors` is empty.
+export const validateAnalysis = (data) => {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['root: expected a JSON object'] };
+  }
+
+  const ingredients = toStringList(data.ingredients, 'ingredients', errors, { splitOn: /,|\n/ });
+
+  let rawRecipes = data.recipes;
+  if (rawRecipes && !Array.isArray(rawRecipes) && typeof rawRecipes === 'object') {
+    rawRecipes = [rawRecipes];
+  }
+  if (!Array.isArray(rawRecipes) || !rawRecipes.length) {
+    errors.push('recipes: expected a non-empty array of recipe objects');
+    rawRecipes = [];
+  }
+  const recipes = rawRecipes
+    .map((recipe, i) => coerceRecipe(recipe, `recipes[${i}]`, errors))
+    .filter(Boolean);
+
+  return { value: { ingredients, recipes }, errors };
+};
+
+// Parses and validates raw model text in one go; JSON errors are reported
+// alongside schema errors so they can be fed back to the model.
+// `raw` is the parsed JSON before coercion, for callers that need fields the
+// schema flattens (such as per-photo ingredient tags).
+export const parseAnalysis = (text) => {
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (err) {
+    return { value: null, errors: [`response is not valid JSON: ${err.message}`], raw: null };
+  }
+  return { ...validateAnalysis(data), raw: data };
+};
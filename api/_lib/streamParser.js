@@ -0,0 +1,69 @@
+// Incremental scanner over a streamed analysis JSON document. It fires as soon
+// as the top-level "ingredients" array closes and as each object inside the
+// "recipes" array closes, so results can be sent before the model finishes.
+
+export const createAnalysisStreamParser = ({ onIngredients, onRecipe }) => {
+  let text = '';
+  let pos = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let lastKey = null;
+  let section = null; // { key, start } for the container being read at depth 2
+  let recipeStart = -1;
+  let recipeIndex = 0;
+
+  const parseSlice = (start, end) => {
+    try {
+      return JSON.parse(text.slice(start, end));
+    } catch {
+      return undefined;
+    }
+  };
+
+  const push = (delta) => {
+    text += delta;
+
+    for (; pos < text.length; pos++) {
+      const ch = text[pos];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') {
+          inString = false;
+          if (depth === 1) lastKey = parseSlice(stringStart, pos + 1);
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        if (depth === 0) continue;
+        inString = true;
+        stringStart = pos;
+      } else if (ch === '{' || ch === '[') {
+        if (depth === 1) section = { key: lastKey, start: pos };
+        if (depth === 2 && ch === '{' && section?.key === 'recipes') recipeStart = pos;
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        if (depth === 0) continue;
+        depth--;
+        if (depth === 2 && recipeStart !== -1) {
+          const recipe = parseSlice(recipeStart, pos + 1);
+          if (recipe !== undefined) onRecipe?.(recipe, recipeIndex);
+          recipeIndex++;
+          recipeStart = -1;
+        } else if (depth === 1 && section) {
+          if (section.key === 'ingredients') {
+            const ingredients = parseSlice(section.start, pos + 1);
+            if (ingredients !== undefined) onIngredients?.(ingredients);
+          }
+          section = null;
+        }
+      }
+    }
+  };
+
+  return { push };
+};
@@ -0,0 +1,55 @@
+// "Use it up" mode: orders the client's items by how soon they spoil and
+// checks which at-risk items each returned recipe really uses.
+import { ApiError, ErrorCodes } from './errors.js';
+
+const MAX_ITEMS = 100;
+
+// Items with this many days left or fewer count as at risk
+const AT_RISK_DAYS = 3;
+
+const FRESHNESS_RANK = { expired: -1, expiring: 1, 'use-soon': 2, fresh: 30 };
+
+// Comparable "days left" for sorting; items with no hint sort last
+const urgencyOf = ({ daysLeft, freshness }) => {
+  if (typeof daysLeft === 'number') return daysLeft;
+  return FRESHNESS_RANK[freshness] ?? Infinity;
+};
+
+export const prepareUseItUp = (rawItems) => {
+  if (!Array.isArray(rawItems) || !rawItems.length) {
+    throw new ApiError(ErrorCodes.BAD_REQUEST, 'Invalid request: provide items to use up', { status: 400 });
+  }
+
+  const items = rawItems
+    .slice(0, MAX_ITEMS)
+    .map(item => (typeof item === 'string' ? { name: item } : item))
+    .filter(item => item && typeof item.name === 'string' && item.name.trim())
+    .map(item => ({
+      name: item.name.trim(),
+      daysLeft: Number.isFinite(item.daysLeft) ? Math.round(item.daysLeft) : undefined,
+      freshness: FRESHNESS_RANK[item.freshness] !== undefined ? item.freshness : undefined,
+    }))
+    .sort((a, b) => urgencyOf(a) - urgencyOf(b));
+
+  if (!items.length) {
+    throw new ApiError(ErrorCodes.BAD_REQUEST, 'Invalid request: provide items to use up', { status: 400 });
+  }
+  const atRisk = items.filter(item => urgencyOf(item) <= AT_RISK_DAYS).map(item => item.name);
+
+  // Nothing is close to expiry: fall back to the most perishable few
+  return { items, atRisk: atRisk.length ? atRisk : items.slice(0, 3).map(item => item.name) };
+};
+
+const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9 ]/g, '').trim();
+
+// Keeps only at-risk names the recipe genuinely references, spelled the way
+// the client sent them
+export const tagAtRiskUsage = (atRisk) => (recipe) => {
+  const claimed = recipe.usesAtRisk.map(normalize);
+  const text = normalize(`${recipe.name} ${recipe.ingredients.map(line => line.item).join(' ')} ${recipe.instructions.join(' ')}`);
+  const usesAtRisk = atRisk.filter((name) => {
+    const key = normalize(name);
+    return claimed.some(c => c && (c.includes(key) || key.includes(c))) || text.includes(key);
+  });
+  return { ...recipe, usesAtRisk };
+};
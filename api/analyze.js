@@ -1,146 +1,247 @@
 // Vercel Serverless Function to analyze fridge/pantry images and suggest recipes
-import Anthropic from '@anthropic-ai/sdk';
+import { MEAL_PLAN_FORMAT, MULTI_PHOTO_FORMAT, REFINE_FORMAT, USE_IT_UP_FORMAT } from './_lib/schema.js';
+import { ApiError, ErrorCodes, sendError, toErrorBody } from './_lib/errors.js';
+import { runAnalysis } from './_lib/analysis.js';
+import { mealPlanPrompt, multiPhotoPrompt, photoPrompt, textPrompt, perishablesPrompt, refinePrompt } from './_lib/prompts.js';
+import { prepareUseItUp, tagAtRiskUsage } from './_lib/useItUp.js';
+import { constraintsPrompt, enforcePreferences, sanitizePreferences } from './_lib/preferences.js';
+import { getProvider } from './_lib/providers/index.js';
+import { getCache, getCacheTtl } from './_lib/cache/index.js';
+import { cacheKeyFor } from './_lib/cacheKey.js';
+import { validateImage } from './_lib/image.js';
+import { describePhotos, mergeIngredientSources, validateImages } from './_lib/photos.js';
+import { prepareRefinement } from './_lib/refine.js';
+import { placeInPlan, planChunks, prepareMealPlan, runMealPlan } from './_lib/mealPlan.js';
+import { addNutrition } from './_lib/nutrition.js';
+import { applyCors, checkBodySize, identify } from './_lib/guard.js';
+import { enforceRateLimit, getRateLimitStore, requestCost } from './_lib/rateLimit/index.js';
+
+// NDJSON: one JSON event per line, flushed as soon as it is known
+const sendEvent = (res, event) => res.write(`${JSON.stringify(event)}\n`);
+
+// Turns the request body into the model prompt for its mode, plus any
+// mode-specific response format and recipe post-processing
+const buildPrompt = ({ image, images, mediaType: declaredType, ingredients, items, mode, recipes, instruction, target, action, count, days, people, meals }, constraints) => {
+  if (mode === 'photo' && images) {
+    // Multi-photo vision mode - one merged inventory across all shots
+    const validated = validateImages(images);
+    return {
+      content: [
+        ...validated.map(({ data, mediaType }) => ({ type: 'image', mediaType, data })),
+        { type: 'text', text: multiPhotoPrompt(describePhotos(validated), { format: MULTI_PHOTO_FORMAT, constraints }) },
+      ],
+      format: MULTI_PHOTO_FORMAT,
+      mapIngredients: mergeIngredientSources(validated),
+      images: validated,
+    };
+  }
+
+  if (mode === 'photo' && image) {
+    // Vision mode - analyze image
+    const { data, mediaType } = validateImage(image, declaredType);
+    return {
+      content: [
+        { type: 'image', mediaType, data },
+        { type: 'text', text: photoPrompt({ constraints }) },
+      ],
+    };
+  }
+
+  if (mode === 'text' && ingredients) {
+    // Text mode - just get recipes from ingredient list
+    return { content: textPrompt(ingredients, { constraints }) };
+  }
+
+  if (mode === 'use-it-up') {
+    // Text mode that prioritizes the most perishable items
+    const { items: sorted, atRisk } = prepareUseItUp(items);
+    return {
+      content: perishablesPrompt(sorted, atRisk, { format: USE_IT_UP_FORMAT, constraints }),
+      format: USE_IT_UP_FORMAT,
+      transformRecipe: tagAtRiskUsage(atRisk),
+      items: sorted,
+      atRisk,
+    };
+  }
+
+  if (mode === 'refine') {
+    // Follow-up on recipes already on screen; no image or new inventory
+    const refinement = prepareRefinement({ ingredients, recipes, instruction, target, action, count });
+    return {
+      content: refinePrompt(refinement, { format: REFINE_FORMAT, constraints }),
+      format: REFINE_FORMAT,
+      refinement,
+    };
+  }
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
+  if (mode === 'meal-plan') {
+    // Several days of meals from one ingredient list, a few days per reply
+    const mealPlan = prepareMealPlan({ ingredients, items, days, people, meals });
+    return {
+      parts: planChunks(mealPlan).map(chunk => ({
+        content: mealPlanPrompt(mealPlan, chunk, { format: MEAL_PLAN_FORMAT, constraints }),
+        format: MEAL_PLAN_FORMAT,
+        transformRecipe: placeInPlan(chunk, mealPlan.meals),
+        maxTokens: chunk.maxTokens,
+      })),
+      mealPlan,
+    };
+  }
+
+  throw new ApiError(ErrorCodes.BAD_REQUEST, 'Invalid request: provide image or ingredients', { status: 400 });
+};
+
+// Adds the dietary constraints to the prompt and enforces them on every
+// recipe that comes back, after its nutrition has been estimated so targets
+// can be checked. Dropped recipes are collected in `excluded`. Requests made
+// of several `parts` get the same checks on each part.
+const buildRequest = (body) => {
+  const preferences = sanitizePreferences(body.preferences);
+  const request = { ...buildPrompt(body, constraintsPrompt(preferences)), preferences };
+  const excluded = new Map();
+  const enforce = preferences && enforcePreferences(preferences, (entry) => excluded.set(entry.name, entry));
+  const check = (transform) => (recipe) => {
+    const prepared = addNutrition(transform ? transform(recipe) : recipe);
+    return enforce ? prepared && enforce(prepared) : prepared;
+  };
+  return {
+    ...request,
+    transformRecipe: check(request.transformRecipe),
+    ...(request.parts && { parts: request.parts.map(part => ({ ...part, transformRecipe: check(part.transformRecipe) })) }),
+    ...(preferences && { excluded }),
+  };
+};
+
+// Extra fields some modes add next to the analysis in the final response
+const responseExtras = (request) => ({
+  ...(request.atRisk && { atRisk: request.atRisk }),
+  ...(request.mealPlan && { plan: { days: request.mealPlan.days, people: request.mealPlan.people, meals: request.mealPlan.meals } }),
+  ...(request.excluded?.size && { excluded: [...request.excluded.values()] }),
 });
 
+const NO_USAGE = { input_tokens: 0, output_tokens: 0 };
+
+// A cache that fails to answer counts as a miss, never as a failed request
+const readCache = async (cache, key) =>
+  (cache && key ? cache.get(key).catch((error) => console.error('Cache read failed:', error)) : null);
+
+// Serves repeat requests from the cache (`hit` is what readCache found) and
+// stores fresh results for next time. A hit reports zero usage (no new AI
+// cost) and what it would have cost in `savedUsage`. Cache write failures
+// never fail the request.
+const analyzeWithCache = async (provider, cache, request, hit, events) => {
+  const key = cache && request.cacheKey;
+  if (hit) {
+    events?.onIngredients(hit.ingredients, hit.ingredientSources);
+    hit.recipes.forEach((recipe, index) => events?.onRecipe(recipe, index));
+    return { ...hit, cached: true, usage: NO_USAGE, savedUsage: hit.usage };
+  }
+
+  const run = request.parts ? runMealPlan : runAnalysis;
+  const { analysis, usage, repaired } = await run(provider, request, events);
+  const result = { ...analysis, ...responseExtras(request), repaired, model: provider.model, usage };
+  if (key) {
+    await cache.set(key, result, getCacheTtl()).catch((error) => console.error('Cache write failed:', error));
+  }
+  return { ...result, cached: false };
+};
+
 export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // CORS only for the origins in ALLOWED_ORIGINS
+  try {
+    applyCors(req, res);
+  } catch (error) {
+    return sendError(res, error);
+  }
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return res.status(405).json({ error: 'Method not allowed', code: ErrorCodes.METHOD_NOT_ALLOWED });
   }
 
-  const { image, ingredients, mode } = req.body;
-
-  if (!process.env.ANTHROPIC_API_KEY) {
-    return res.status(500).json({ error: 'API key not configured' });
+  let provider;
+  let cache;
+  let rateStore;
+  try {
+    provider = getProvider();
+    cache = getCache();
+    rateStore = getRateLimitStore();
+  } catch (error) {
+    return res.status(500).json({ error: error.message, code: ErrorCodes.NOT_CONFIGURED });
   }
 
+  // Oversized and malformed requests are turned away before any AI cost
+  const body = req.body && typeof req.body === 'object' ? req.body : null;
   try {
-    let response;
-
-    if (mode === 'photo' && image) {
-      // Vision mode - analyze image
-      response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1500,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'image',
-                source: {
-                  type: 'base64',
-                  media_type: 'image/jpeg',
-                  data: image,
-                },
-              },
-              {
-                type: 'text',
-                text: `Analyze this image of a fridge, pantry, or food items.
-
-1. List all the ingredients/food items you can identify
-2. Suggest 3 recipes that could be made with these ingredients
-
-Respond in this exact JSON format:
-{
-  "ingredients": ["ingredient1", "ingredient2", ...],
-  "recipes": [
-    {
-      "name": "Recipe Name",
-      "description": "Brief description",
-      "time": "~30 min",
-      "instructions": ["Step 1", "Step 2", "Step 3"],
-      "missing": ["optional items that would enhance this recipe"]
-    }
-  ]
-}
-
-Focus on practical, everyday recipes. If you can't identify many ingredients, suggest simple recipes with what you can see.
-Only respond with JSON, no other text.`
-              },
-            ],
-          },
-        ],
-      });
-    } else if (mode === 'text' && ingredients) {
-      // Text mode - just get recipes from ingredient list
-      response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1500,
-        messages: [
-          {
-            role: 'user',
-            content: `I have these ingredients: ${ingredients}
-
-Suggest 3 recipes I could make with these ingredients.
-
-Respond in this exact JSON format:
-{
-  "ingredients": ["ingredient1", "ingredient2", ...],
-  "recipes": [
-    {
-      "name": "Recipe Name",
-      "description": "Brief description",
-      "time": "~30 min",
-      "instructions": ["Step 1", "Step 2", "Step 3"],
-      "missing": ["optional items that would enhance this recipe"]
-    }
-  ]
-}
+    checkBodySize(req);
+    if (!body) throw new ApiError(ErrorCodes.BAD_REQUEST, 'Invalid request: expected a JSON body', { status: 400 });
+  } catch (error) {
+    return sendError(res, error);
+  }
 
-The ingredients array should be a cleaned-up list of what I mentioned.
-Focus on practical, everyday recipes that primarily use my ingredients.
-Only respond with JSON, no other text.`
-          },
-        ],
-      });
-    } else {
-      return res.status(400).json({ error: 'Invalid request: provide image or ingredients' });
-    }
+  if (!provider.isConfigured()) {
+    return res.status(500).json({ error: `AI provider "${provider.name}" is not configured`, code: ErrorCodes.NOT_CONFIGURED });
+  }
 
-    // Parse the response
-    const analysisText = response.content[0].text;
-    let analysis;
+  let request;
 
+  try {
+    request = buildRequest(body);
+  } catch (error) {
+    return sendError(res, error);
+  }
+  request.cacheKey = cacheKeyFor(
+    { ...body, items: request.items, images: request.images, refinement: request.refinement, mealPlan: request.mealPlan },
+    request.preferences,
+    provider,
+  );
+
+  // Only requests that go on to call the provider count against the rate
+  // limit; cache hits are free
+  const hit = await readCache(cache, request.cacheKey);
+  if (!hit) {
     try {
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysis = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError);
-      return res.status(500).json({
-        error: 'Could not parse AI response',
-        raw: analysisText
-      });
+      await enforceRateLimit(rateStore, identify(req), requestCost(body));
+    } catch (error) {
+      return sendError(res, error);
     }
+  }
 
-    return res.status(200).json({
-      ...analysis,
-      usage: {
-        input_tokens: response.usage.input_tokens,
-        output_tokens: response.usage.output_tokens,
-      }
-    });
+  if (body.stream) {
+    return streamAnalysis(res, provider, cache, request, hit);
+  }
 
+  try {
+    return res.status(200).json(await analyzeWithCache(provider, cache, request, hit));
   } catch (error) {
     console.error('Analysis error:', error);
-    return res.status(500).json({
-      error: error.message || 'Failed to analyze',
-      details: error.status || error.code
-    });
+    return sendError(res, error);
   }
 }
+
+// Streaming mode: emits `ingredients`, then one `recipe` per completed recipe,
+// then `done` with the validated result and usage. A `retry` event means the
+// model's output is being repaired and earlier events should be discarded.
+const streamAnalysis = async (res, provider, cache, request, hit) => {
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  try {
+    const result = await analyzeWithCache(provider, cache, request, hit, {
+      onIngredients: (ingredients, ingredientSources) => sendEvent(res, { type: 'ingredients', ingredients, ingredientSources }),
+      onRecipe: (recipe, index) => sendEvent(res, { type: 'recipe', index, recipe }),
+      onRetry: () => sendEvent(res, { type: 'retry' }),
+    });
+    sendEvent(res, { type: 'done', ...result });
+  } catch (error) {
+    console.error('Analysis error:', error);
+    sendEvent(res, { type: 'error', ...toErrorBody(error) });
+  }
+  res.end();
+};
@@ -0,0 +1,65 @@
+// Household sharing: devices that join the same household share their pantry,
+// favourites and shopping list. POST with an `action`:
+//   create { name?, deviceName? }   -> { household, member: { id, token } }
+//   join   { inviteCode, deviceName? } -> the same, for an existing household
+//   sync   { householdId, memberId, token, cursor, changes } -> { changes, cursor, full, household }
+//   leave  { householdId, memberId, token }
+// See api/_lib/household/sync.js for how concurrent edits are merged.
+import { ApiError, ErrorCodes, sendError } from './_lib/errors.js';
+import { getHouseholdStore } from './_lib/household/index.js';
+import { createHousehold, joinHousehold, leaveHousehold, syncHousehold } from './_lib/household/households.js';
+import { validateChanges } from './_lib/household/sync.js';
+import { applyCors, checkBodySize, identify } from './_lib/guard.js';
+import { enforceRateLimit, getRateLimitStore } from './_lib/rateLimit/index.js';
+
+// Guessing invite codes goes through these; syncing is too frequent to count
+const RATE_LIMITED_ACTIONS = ['create', 'join'];
+
+const runAction = (store, body) => {
+  switch (body.action) {
+    case 'create': return createHousehold(store, body);
+    case 'join': return joinHousehold(store, body);
+    case 'sync': return syncHousehold(store, { ...body, changes: validateChanges(body.changes) });
+    case 'leave': return leaveHousehold(store, body).then(() => ({ left: true }));
+    default:
+      throw new ApiError(ErrorCodes.BAD_REQUEST, '`action` must be one of: create, join, sync, leave', { status: 400 });
+  }
+};
+
+export default async function handler(req, res) {
+  try {
+    applyCors(req, res);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed', code: ErrorCodes.METHOD_NOT_ALLOWED });
+  }
+
+  let store;
+  let rateStore;
+  try {
+    store = getHouseholdStore();
+    rateStore = getRateLimitStore();
+  } catch (error) {
+    return res.status(500).json({ error: error.message, code: ErrorCodes.NOT_CONFIGURED });
+  }
+  if (!store) {
+    return res.status(501).json({ error: 'Household sharing is turned off on this server', code: ErrorCodes.NOT_CONFIGURED });
+  }
+
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  try {
+    checkBodySize(req);
+    if (RATE_LIMITED_ACTIONS.includes(body.action)) await enforceRateLimit(rateStore, identify(req), 1);
+    return res.status(200).json(await runAction(store, body));
+  } catch (error) {
+    if (!(error instanceof ApiError)) console.error('Household error:', error);
+    return sendError(res, error);
+  }
+}
@@ -0,0 +1,67 @@
+// Builds public/products.json from an Open Food Facts CSV export, keeping the
+// most scanned products sold in one country:
+//
+//   curl -LO https://static.openfoodfacts.org/data/en.openfoodfacts.org.products.csv.gz
+//   npm run products -- en.openfoodfacts.org.products.csv.gz --country en:united-kingdom
+//
+// The export is tab-separated with a header row and is read as a stream, so
+// the multi-gigabyte file never has to fit in memory. Options:
+//   --country <tag>  countries_tags entry to keep (default en:united-kingdom)
+//   --limit <n>      most products to write (default 5000)
+//   --out <file>     where to write (default public/products.json)
+import { createReadStream, writeFileSync } from 'node:fs'
+import { createInterface } from 'node:readline'
+import { parseArgs } from 'node:util'
+import { createGunzip } from 'node:zlib'
+import { normalizeCode, toProduct } from '../src/lib/barcode.js'
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    country: { type: 'string', default: 'en:united-kingdom' },
+    limit: { type: 'string', default: '5000' },
+    out: { type: 'string', default: 'public/products.json' },
+  },
+})
+
+const [input] = positionals
+if (!input) {
+  console.error('Usage: npm run products -- <openfoodfacts export.csv[.gz]> [--country en:...] [--limit n] [--out file]')
+  process.exit(1)
+}
+
+const stream = createReadStream(input)
+const lines = createInterface({ input: input.endsWith('.gz') ? stream.pipe(createGunzip()) : stream, crlfDelay: Infinity })
+
+let columns = null
+let read = 0
+const found = new Map()
+
+for await (const line of lines) {
+  if (!columns) {
+    columns = line.split('\t')
+    continue
+  }
+  read++
+  const fields = line.split('\t')
+  const row = Object.fromEntries(columns.map((column, i) => [column, fields[i]]))
+  if (!row.countries_tags?.split(',').includes(values.country)) continue
+
+  // Named the same way as live lookups in the app
+  const code = normalizeCode(row.code)
+  const product = toProduct(row)
+  if (!code || !product) continue
+
+  const scans = Number(row.unique_scans_n) || 0
+  if ((found.get(code)?.scans ?? -1) < scans) found.set(code, { scans, ...product })
+}
+
+const kept = [...found.entries()]
+  .sort(([, a], [, b]) => b.scans - a.scans)
+  .slice(0, Number(values.limit))
+  .sort(([a], [b]) => a.localeCompare(b))
+
+// One product per line, so a rebuilt table diffs well
+const entries = kept.map(([code, { name, ingredient }]) => `  ${JSON.stringify(code)}: { "name": ${JSON.stringify(name)}, "ingredient": ${JSON.stringify(ingredient)} }`)
+writeFileSync(values.out, `{\n${entries.join(',\n')}\n}\n`)
+console.log(`Read ${read} products, wrote ${kept.length} from ${values.country} to ${values.out}`)
@@ -1,153 +1,567 @@
-import { useState, useRef } from 'react'
-
-const calculateImpact = (inputTokens, outputTokens) => {
-  const totalTokens = inputTokens + outputTokens;
-  const waterMl = (totalTokens / 1000) * 0.5;
-  const energyKwh = (totalTokens / 1000) * 0.0003;
-  const co2Grams = (totalTokens / 1000) * 0.2;
-
-  return {
-    tokens: { input: inputTokens, output: outputTokens, total: totalTokens },
-    water: waterMl,
-    energy: energyKwh,
-    co2: co2Grams,
-    phoneCharges: energyKwh / 0.01,
-    drinkingGlasses: waterMl / 250,
-  };
-};
+import { useCallback, useEffect, useEffectEvent, useRef, useState } from 'react'
+import { flushSync } from 'react-dom'
+import { ApiRequestError, ErrorKinds, streamAnalysis } from './lib/api.js'
+import { mergeIntoPantry, normalizeName, pantryToIngredientList } from './lib/pantry.js'
+import { usePersistentState } from './hooks/usePersistentState.js'
+import { useOnlineStatus } from './hooks/useOnlineStatus.js'
+import { useHouseholdSync } from './hooks/useHouseholdSync.js'
+import IngredientEditor from './components/IngredientEditor.jsx'
+import PantryView from './components/PantryView.jsx'
+import RecipeCard from './components/RecipeCard.jsx'
+import { rescueScore, toUseItUpItems } from './lib/freshness.js'
+import { DEFAULT_PREFERENCES, hasPreferences, summarizePreferences } from './lib/preferences.js'
+import PreferencesView from './components/PreferencesView.jsx'
+import { addEntry, createEntry, favouriteId, toggleFavourite } from './lib/history.js'
+import LibraryView from './components/LibraryView.jsx'
+import { MAX_PHOTOS, nextLocation, prepareImage } from './lib/image.js'
+import PhotoPicker from './components/PhotoPicker.jsx'
+import { DEFAULT_REGION, REGIONS, calculateImpact, estimateRequest, formatRange, imageTokensFor, textSavingsPercent } from './lib/impact.js'
+import ImpactSources from './components/ImpactSources.jsx'
+import { addToLedger, checkBudget, createLedgerEntry, entriesThisMonth, totalsOf } from './lib/ledger.js'
+import ImpactDashboard from './components/ImpactDashboard.jsx'
+import { EMPTY_LIST, readShareLink, restoreItems, shoppingItems, togglePicked } from './lib/shopping.js'
+import ShoppingListView from './components/ShoppingListView.jsx'
+import RecipeActions from './components/RecipeActions.jsx'
+import CookMode from './components/CookMode.jsx'
+import ExportMenu from './components/ExportMenu.jsx'
+import PrintView from './components/PrintView.jsx'
+import { RECIPE_SUGGESTIONS, SET_SUGGESTIONS, mergeRefinement, parseRefinement } from './lib/refine.js'
+import RefineForm from './components/RefineForm.jsx'
+import { createPlan, planAsPicked, planMealId, replaceMeal, swapInstruction } from './lib/mealPlan.js'
+import MealPlanView from './components/MealPlanView.jsx'
+import BarcodeScanner from './components/BarcodeScanner.jsx'
+import ReceiptImport from './components/ReceiptImport.jsx'
+import { createRequest, discardRequest, enqueueRequest, isOffline, restoreBody } from './lib/offlineQueue.js'
+import { pruneImages } from './lib/imageStore.js'
+import PendingRequests from './components/PendingRequests.jsx'
+import HouseholdView from './components/HouseholdView.jsx'
 
 function App() {
-  const [mode, setMode] = useState('choice');
-  const [image, setImage] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
+  // Opening a shared shopping list link lands on the list
+  const [sharedItems, setSharedItems] = useState(readShareLink);
+  const [mode, setMode] = useState(() => (sharedItems ? 'shopping' : 'choice'));
+  const [photos, setPhotos] = useState([]);
+  const [preparingImage, setPreparingImage] = useState(false);
   const [ingredients, setIngredients] = useState([]);
+  const [ingredientSources, setIngredientSources] = useState([]);
   const [textInput, setTextInput] = useState('');
+  // 'barcode' or 'receipt' while one of the on-device capture panels is open
+  const [capture, setCapture] = useState(null);
+  // Barcodes the user named because the product table didn't know them
+  const [learnedBarcodes, setLearnedBarcodes] = usePersistentState('barcodes', {});
+  // Analyze requests made offline, sent when the connection returns
+  const [pending, setPending] = usePersistentState('pendingRequests', []);
+  const online = useOnlineStatus();
   const [recipes, setRecipes] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [impact, setImpact] = useState(null);
-  const [totalImpact, setTotalImpact] = useState({ water: 0, energy: 0, co2: 0, scans: 0 });
+  const [ledger, setLedger] = usePersistentState('impactLedger', []);
+  const [budget, setBudget] = usePersistentState('impactBudget', null);
+  const [picked, setPicked] = usePersistentState('weekRecipes', []);
+  const [shoppingList, setShoppingList] = usePersistentState('shoppingList', EMPTY_LIST);
+  const [units, setUnits] = usePersistentState('units', 'metric');
+  // The recipe being cooked, its step and timers; survives a reload
+  const [cookSession, setCookSession] = usePersistentState('cookSession', null);
+  const [printing, setPrinting] = useState([]);
+  // { target, action } while a follow-up is in flight
+  const [refining, setRefining] = useState(null);
+  // The latest meal plan; `swapping` is the index of the meal being replaced
+  const [mealPlan, setMealPlan] = usePersistentState('mealPlan', null);
+  const [planning, setPlanning] = useState(false);
+  const [swapping, setSwapping] = useState(null);
+  // Ingredients carried over from a result into the planner form
+  const [planIngredients, setPlanIngredients] = useState('');
+  // AbortController of the request in flight, for the Cancel button
+  const requestRef = useRef(null);
   const [showDevStats, setShowDevStats] = useState(false);
   const [expandedRecipe, setExpandedRecipe] = useState(null);
-  const fileInputRef = useRef(null);
-
-  const handleImageUpload = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      setImage(file);
-      const reader = new FileReader();
-      reader.onloadend = () => setImagePreview(reader.result);
-      reader.readAsDataURL(file);
+  const [ingredientsEdited, setIngredientsEdited] = useState(false);
+  const [pantry, setPantry] = usePersistentState('pantry', []);
+  const [includePantry, setIncludePantry] = useState(false);
+  const [pantryNotice, setPantryNotice] = useState(null);
+  const [atRisk, setAtRisk] = useState([]);
+  const [preferences, setPreferences] = usePersistentState('preferences', DEFAULT_PREFERENCES);
+  const [excluded, setExcluded] = useState([]);
+  const [history, setHistory] = usePersistentState('history', []);
+  const [favourites, setFavourites] = usePersistentState('favourites', []);
+  const [currentEntry, setCurrentEntry] = useState(null);
+  const [reopenedAt, setReopenedAt] = useState(null);
+  const [impactRegion, setImpactRegion] = usePersistentState('impactRegion', DEFAULT_REGION);
+  // Last model the API reported, so estimates match what results will show
+  const [impactModel, setImpactModel] = usePersistentState('impactModel', null);
+  // The shared household this device syncs with, if any (see lib/household.js)
+  const [household, setHousehold] = usePersistentState('household', null);
+  const householdSync = useHouseholdSync({
+    household,
+    setHousehold,
+    data: { pantry, favourites, picked, shoppingList },
+    setData: (data) => {
+      setPantry(data.pantry);
+      setFavourites(data.favourites);
+      setPicked(data.picked);
+      setShoppingList(data.shoppingList);
+    },
+  });
+  const hasResults = recipes.length > 0 || ingredients.length > 0 || ingredientsEdited;
+
+  const impactOptions = { model: impactModel, region: impactRegion };
+  const photoEstimate = estimateRequest('photo', { ...impactOptions, photos });
+  const textEstimate = estimateRequest('text', impactOptions);
+  const refreshEstimate = estimateRequest('text', { ...impactOptions, ingredientCount: ingredients.length });
+  const refineEstimate = estimateRequest('refine', { ...impactOptions, ingredientCount: ingredients.length });
+  const refineSetEstimate = estimateRequest('refine', { ...impactOptions, ingredientCount: ingredients.length, recipeCount: Math.max(recipes.length, 3) });
+  const textSavings = textSavingsPercent(impactOptions);
+  const monthTotals = totalsOf(entriesThisMonth(ledger));
+  const photoBudget = checkBudget(ledger, budget, photoEstimate);
+
+  const onHand = [...ingredients, ...pantry.map(item => item.name)];
+  const shoppingCount = shoppingItems({ picked, ...shoppingList, have: onHand }).filter(item => !item.checked).length;
+  const pickedIds = new Set(picked.map(p => p.id));
+
+  // In "use it up" results, recipes that rescue the most expiring food come first
+  const orderedRecipes = recipes
+    .map((recipe, index) => ({ recipe, index, score: atRisk.length ? rescueScore(recipe, pantry) : 0 }))
+    .filter(({ recipe }) => recipe)
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  // Photos are resized and re-encoded as soon as they're picked, so the
+  // previews show exactly what will be uploaded
+  const handleFiles = async (files) => {
+    // Phones often hand over HEIC files without a MIME type
+    const images = files.filter(file => file.type.startsWith('image/') || /\.hei[cf]$/i.test(file.name));
+    if (!images.length) return;
+    setError(null);
+    setPreparingImage(true);
+    for (const file of images.slice(0, MAX_PHOTOS - photos.length)) {
+      try {
+        const prepared = await prepareImage(file);
+        setPhotos(prev => (prev.length >= MAX_PHOTOS ? prev : [
+          ...prev,
+          { ...prepared, id: crypto.randomUUID(), location: nextLocation(prev) },
+        ]));
+      } catch (err) {
+        setError(err.message);
+      }
     }
+    setPreparingImage(false);
   };
 
-  const handleDrop = (e) => {
-    e.preventDefault();
-    const file = e.dataTransfer.files[0];
-    if (file && file.type.startsWith('image/')) {
-      setImage(file);
-      const reader = new FileReader();
-      reader.onloadend = () => setImagePreview(reader.result);
-      reader.readAsDataURL(file);
+  // Turns a finished response's usage into an impact entry, shows it and logs
+  // it to the ledger. A cache hit costs nothing new; what it would have cost
+  // is the saving.
+  const recordImpact = (data, { mode, refresh = false, imageTokens = 0 }) => {
+    if (!data.usage) return null;
+    const toImpact = (usage) => calculateImpact({
+      inputTokens: usage.input_tokens,
+      outputTokens: usage.output_tokens,
+      imageTokens,
+      model: data.model,
+      region: impactRegion,
+    });
+    const newImpact = toImpact(data.usage);
+    const saved = data.cached && data.savedUsage ? toImpact(data.savedUsage) : null;
+    if (data.model) setImpactModel(data.model);
+    const entryImpact = { ...newImpact, mode, refresh, cached: Boolean(data.cached), saved };
+    setImpact(entryImpact);
+    setLedger(prev => addToLedger(prev, createLedgerEntry({ mode, refresh, impact: entryImpact })));
+    return entryImpact;
+  };
+
+  // Shows the request's own error if it can't be queued either
+  const queueRequest = async (body, fallbackError, options) => {
+    setError(null);
+    try {
+      const request = await createRequest({ body, fallbackError, options, screen: mode });
+      setPending(prev => enqueueRequest(prev, request));
+    } catch {
+      setError(fallbackError);
     }
   };
 
-  const analyzeImage = async () => {
-    if (!image) return;
+  // Streams results into state as they arrive; impact is only known once done.
+  // A refresh keeps the current ingredients on screen and on failure.
+  // `imageTokens` is the photos' share of the input, which is weighted apart.
+  // Offline, the request is queued instead, as it is when the connection
+  // drops before the answer arrives.
+  const runAnalysis = async (body, fallbackError, options = {}) => {
+    const { refresh = false, imageTokens = 0 } = options;
+    if (isOffline()) {
+      await queueRequest(body, fallbackError, options);
+      return;
+    }
     setLoading(true);
     setError(null);
+    if (!refresh) {
+      setIngredients([]);
+      setIngredientSources([]);
+    }
+    setRecipes([]);
+    setImpact(null);
+    setExpandedRecipe(null);
+    setPantryNotice(null);
+    setAtRisk([]);
+    setExcluded([]);
+    setCurrentEntry(null);
+    setReopenedAt(null);
+    const controller = new AbortController();
+    requestRef.current = controller;
 
     try {
-      const reader = new FileReader();
-      reader.onloadend = async () => {
-        const base64 = reader.result.split(',')[1];
-        const response = await fetch('/api/analyze', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ image: base64, mode: 'photo' }),
-        });
-
-        const data = await response.json();
-        if (data.error) {
-          setError(data.error);
-        } else {
-          setIngredients(data.ingredients || []);
-          setRecipes(data.recipes || []);
-          if (data.usage) {
-            const newImpact = calculateImpact(data.usage.input_tokens, data.usage.output_tokens);
-            setImpact(newImpact);
-            setTotalImpact(prev => ({
-              water: prev.water + newImpact.water,
-              energy: prev.energy + newImpact.energy,
-              co2: prev.co2 + newImpact.co2,
-              scans: prev.scans + 1
-            }));
-          }
-        }
-        setLoading(false);
-      };
-      reader.readAsDataURL(image);
+      const data = await streamAnalysis({ ...body, preferences }, {
+        onIngredients: (list, sources) => {
+          setIngredients(list);
+          if (sources) setIngredientSources(sources);
+        },
+        onRecipe: (recipe, index) => setRecipes(prev => {
+          const next = [...prev];
+          next[index] = recipe;
+          return next;
+        }),
+        onRetry: () => setRecipes([]),
+      }, { signal: controller.signal });
+
+      setIngredients(data.ingredients || []);
+      // A text refresh of a photo result keeps the photo locations it knows
+      if (data.ingredientSources || !refresh) setIngredientSources(data.ingredientSources || []);
+      setRecipes(data.recipes || []);
+      setAtRisk(data.atRisk || []);
+      setExcluded(data.excluded || []);
+      setIngredientsEdited(false);
+      const entryImpact = recordImpact(data, { mode: body.mode, refresh, imageTokens });
+      const entry = createEntry({
+        mode: body.mode,
+        ingredients: data.ingredients || [],
+        ingredientSources: data.ingredientSources,
+        recipes: data.recipes || [],
+        impact: entryImpact,
+        atRisk: data.atRisk,
+        excluded: data.excluded,
+      });
+      setHistory(prev => addEntry(prev, entry));
+      setCurrentEntry(entry);
     } catch (err) {
-      setError('Failed to analyze image. Please try again.');
-      setLoading(false);
+      if (!refresh) setIngredients([]);
+      setRecipes([]);
+      if (err.kind === ErrorKinds.NETWORK && isOffline()) await queueRequest(body, fallbackError, options);
+      // Cancelling was the user's choice, so there's nothing to report
+      else if (err.kind !== ErrorKinds.CANCELLED) setError(err instanceof ApiRequestError ? err.message : fallbackError);
     }
+    requestRef.current = null;
+    setLoading(false);
   };
 
-  const analyzeText = async () => {
-    if (!textInput.trim()) return;
-    setLoading(true);
+  const cancelRequest = () => requestRef.current?.abort();
+
+  // Sends the oldest queued request on the screen it was made from. It runs
+  // like any other request, so its result is saved to history as usual and
+  // the rest of the queue follows once it's done.
+  const sendPending = useEffectEvent(async () => {
+    const [next] = pending;
+    const body = await restoreBody(next);
+    setPending(prev => prev.filter(request => request.id !== next.id));
+    discardRequest(next);
+    setMode(next.screen);
+    if (body) runAnalysis(body, next.fallbackError, next.options);
+    else setError(`"${next.label}" couldn't be sent: its photos are no longer stored on this device.`);
+  });
+
+  const removePending = (id) => {
+    const request = pending.find(entry => entry.id === id);
+    setPending(prev => prev.filter(entry => entry.id !== id));
+    if (request) discardRequest(request);
+  };
+
+  // Photos of requests dropped from a full queue, or left over from a closed
+  // tab, are only cleared out here
+  const prunePendingImages = useEffectEvent(() => {
+    pruneImages(pending.map(request => request.id)).catch(() => {});
+  });
+  useEffect(() => prunePendingImages(), []);
+
+  const busy = loading || Boolean(refining) || planning || swapping !== null;
+  useEffect(() => {
+    if (online && pending.length && !busy) sendPending();
+  }, [online, pending.length, busy]);
+
+  const analyzeImage = () => {
+    if (!photos.length) return;
+    runAnalysis(
+      { images: photos.map(({ data, mediaType, location }) => ({ data, mediaType, location })), mode: 'photo' },
+      photos.length > 1 ? 'Failed to analyze photos. Please try again.' : 'Failed to analyze image. Please try again.',
+      { imageTokens: photos.reduce((sum, photo) => sum + imageTokensFor(photo), 0) },
+    );
+  };
+
+  const analyzeText = () => {
+    const usePantry = includePantry && pantry.length > 0;
+    if (!textInput.trim() && !usePantry) return;
+    const list = [textInput.trim(), usePantry && pantryToIngredientList(pantry)].filter(Boolean).join(', ');
+    runAnalysis({ ingredients: list, mode: 'text' }, 'Failed to get recipes. Please try again.');
+  };
+
+  // Scanned and receipt items join whatever was typed, skipping repeats
+  const addCaptured = (names) => {
+    setTextInput(prev => {
+      const list = prev.split(',').map(item => item.trim()).filter(Boolean);
+      const known = new Set(list.map(normalizeName));
+      return [...list, ...names.filter(name => !known.has(normalizeName(name)))].join(', ');
+    });
+    setCapture(null);
+  };
+
+  const cookFromPantry = () => {
+    if (!pantry.length) return;
+    runAnalysis({ ingredients: pantryToIngredientList(pantry), mode: 'text' }, 'Failed to get recipes. Please try again.');
+  };
+
+  // Same text path, but asks for recipes that rescue the most perishable items
+  const useItUp = () => {
+    if (!pantry.length) return;
+    runAnalysis({ items: toUseItUpItems(pantry), mode: 'use-it-up' }, 'Failed to get recipes. Please try again.');
+  };
+
+  // Follow-ups edit the recipes on screen in place (see lib/refine.js) and
+  // are saved as a new history entry. Each is logged as its own small
+  // "refine" request.
+  const refineRecipes = async ({ instruction = '', target = null, action = 'revise', count }) => {
+    const base = recipes;
+    const received = [];
+    setRefining({ target, action });
     setError(null);
+    setReopenedAt(null);
+    const controller = new AbortController();
+    requestRef.current = controller;
 
     try {
-      const response = await fetch('/api/analyze', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ ingredients: textInput, mode: 'text' }),
+      const data = await streamAnalysis({ mode: 'refine', ingredients, recipes: base, instruction, target, action, count, preferences }, {
+        onRecipe: (recipe, index) => {
+          received[index] = recipe;
+          setRecipes(mergeRefinement(base, received, { target, action }));
+        },
+        onRetry: () => {
+          received.length = 0;
+          setRecipes(base);
+        },
+      }, { signal: controller.signal });
+
+      const next = mergeRefinement(base, data.recipes || [], { target, action });
+      setRecipes(next);
+      const nextExcluded = [...excluded, ...(data.excluded || [])];
+      setExcluded(nextExcluded);
+      const entryImpact = recordImpact(data, { mode: 'refine' });
+      const entry = createEntry({
+        mode: currentEntry?.mode ?? 'text',
+        ingredients,
+        ingredientSources,
+        recipes: next,
+        impact: entryImpact,
+        atRisk,
+        excluded: nextExcluded,
       });
+      setHistory(prev => addEntry(prev, entry));
+      setCurrentEntry(entry);
+    } catch (err) {
+      setRecipes(base);
+      if (err.kind !== ErrorKinds.CANCELLED) {
+        setError(err instanceof ApiRequestError ? err.message : 'Failed to refine the recipes. Please try again.');
+      }
+    }
+    requestRef.current = null;
+    setRefining(null);
+  };
+
+  // Meal plans stream into the calendar slot by slot. The previous plan comes
+  // back if the new one fails. Pantry items go with their freshness so the
+  // server can schedule the perishable ones first.
+  const planMeals = async ({ text, usePantry, days, people, meals }) => {
+    const typed = text.split(',').map(item => item.trim()).filter(Boolean);
+    const source = usePantry ? { items: [...toUseItUpItems(pantry), ...typed] } : { ingredients: typed.join(', ') };
+    const previous = mealPlan;
+    const draft = createPlan({ days, people, meals, ingredients: usePantry ? [...pantry.map(item => item.name), ...typed] : typed });
+    const received = [];
+    setMealPlan(draft);
+    setPlanning(true);
+    setError(null);
+    const controller = new AbortController();
+    requestRef.current = controller;
+
+    try {
+      const data = await streamAnalysis({ mode: 'meal-plan', ...source, days, people, meals, preferences }, {
+        onRecipe: (recipe, index) => {
+          received[index] = recipe;
+          setMealPlan({ ...draft, recipes: [...received] });
+        },
+        onRetry: () => {
+          received.length = 0;
+          setMealPlan(draft);
+        },
+      }, { signal: controller.signal });
 
-      const data = await response.json();
-      if (data.error) {
-        setError(data.error);
-      } else {
-        setIngredients(data.ingredients || []);
-        setRecipes(data.recipes || []);
-        if (data.usage) {
-          const newImpact = calculateImpact(data.usage.input_tokens, data.usage.output_tokens);
-          setImpact(newImpact);
-          setTotalImpact(prev => ({
-            water: prev.water + newImpact.water,
-            energy: prev.energy + newImpact.energy,
-            co2: prev.co2 + newImpact.co2,
-            scans: prev.scans + 1
-          }));
-        }
+      const entryImpact = recordImpact(data, { mode: 'meal-plan' });
+      setMealPlan({
+        ...draft,
+        ingredients: data.ingredients?.length ? data.ingredients : draft.ingredients,
+        recipes: data.recipes || [],
+        impact: entryImpact,
+      });
+    } catch (err) {
+      setMealPlan(previous);
+      if (err.kind !== ErrorKinds.CANCELLED) {
+        setError(err instanceof ApiRequestError ? err.message : 'Failed to plan your meals. Please try again.');
+      }
+    }
+    requestRef.current = null;
+    setPlanning(false);
+  };
+
+  // Replaces one meal through a targeted follow-up, leaving the rest of the
+  // plan alone. A picked meal follows its replacement onto the shopping list.
+  const swapMeal = async (index) => {
+    const plan = mealPlan;
+    setSwapping(index);
+    setError(null);
+    const controller = new AbortController();
+    requestRef.current = controller;
+
+    try {
+      const data = await streamAnalysis({
+        mode: 'refine',
+        ingredients: plan.ingredients,
+        recipes: plan.recipes,
+        instruction: swapInstruction(plan.recipes[index]),
+        target: index,
+        action: 'revise',
+        preferences,
+      }, {}, { signal: controller.signal });
+
+      recordImpact(data, { mode: 'refine' });
+      if (data.recipes?.[0]) {
+        const next = replaceMeal(plan, index, data.recipes[0]);
+        const id = planMealId(plan, index);
+        setMealPlan(next);
+        setPicked(prev => prev.map(p => (p.id === id ? { ...p, recipe: next.recipes[index] } : p)));
       }
-      setLoading(false);
     } catch (err) {
-      setError('Failed to get recipes. Please try again.');
-      setLoading(false);
+      if (err.kind !== ErrorKinds.CANCELLED) {
+        setError(err instanceof ApiRequestError ? err.message : 'Failed to swap that meal. Please try again.');
+      }
     }
+    requestRef.current = null;
+    setSwapping(null);
+  };
+
+  const pickWholePlan = () => {
+    const entries = planAsPicked(mealPlan).filter(entry => !pickedIds.has(entry.id));
+    setShoppingList(prev => entries.reduce((list, entry) => restoreItems(list, entry.recipe), prev));
+    setPicked(prev => entries.reduce((list, entry) => togglePicked(list, entry), prev));
+  };
+
+  const saveToPantry = () => {
+    const { pantry: next, added } = mergeIntoPantry(pantry, ingredients);
+    setPantry(next);
+    setPantryNotice(added
+      ? `Added ${added} item${added === 1 ? '' : 's'} to your pantry`
+      : 'Everything here is already in your pantry');
+  };
+
+  const editIngredients = (next) => {
+    setIngredients(next);
+    setIngredientsEdited(true);
+  };
+
+  // Re-runs recipes from the corrected list through the text path, so a photo
+  // result never needs a second vision call
+  const regenerateRecipes = () => {
+    if (!ingredients.length) return;
+    runAnalysis(
+      { ingredients: ingredients.join(', '), mode: 'text' },
+      'Failed to regenerate recipes. Please try again.',
+      { refresh: true },
+    );
   };
 
   const reset = () => {
     setMode('choice');
-    setImage(null);
-    setImagePreview(null);
+    setPhotos([]);
     setIngredients([]);
+    setIngredientSources([]);
     setTextInput('');
+    setCapture(null);
     setRecipes([]);
     setError(null);
     setImpact(null);
     setExpandedRecipe(null);
+    setIngredientsEdited(false);
+    setPantryNotice(null);
+    setAtRisk([]);
+    setExcluded([]);
+    setCurrentEntry(null);
+    setReopenedAt(null);
+  };
+
+  // Shows a saved result exactly as it was; no request is made
+  const openEntry = (entry) => {
+    reset();
+    setMode(entry.mode === 'photo' ? 'photo' : 'text');
+    setIngredients(entry.ingredients);
+    setIngredientSources(entry.ingredientSources || []);
+    setRecipes(entry.recipes);
+    setImpact(entry.impact);
+    setAtRisk(entry.atRisk || []);
+    setExcluded(entry.excluded || []);
+    setCurrentEntry(entry);
+    setReopenedAt(entry.createdAt);
+  };
+
+  const openPlanner = (list = []) => {
+    reset();
+    setPlanIngredients(list.join(', '));
+    setMode('plan');
+  };
+
+  const favouriteIds = new Set(favourites.map(f => f.id));
+  const toggleStar = (index) => {
+    if (currentEntry) setFavourites(prev => toggleFavourite(prev, { entry: currentEntry, index }));
+  };
+
+  // Same id scheme as favourites, so a recipe is picked once wherever it's shown
+  const togglePick = ({ id, recipe, have }) => {
+    if (!pickedIds.has(id)) setShoppingList(prev => restoreItems(prev, recipe));
+    setPicked(prev => togglePicked(prev, { id, recipe, have }));
+  };
+
+  // Reopening the recipe that's already in progress resumes where it was left
+  const startCooking = (id, recipe) => {
+    if (!recipe.instructions?.length) return;
+    setCookSession(prev => (prev?.id === id ? prev : { id, recipe, step: 0, timers: {} }));
+  };
+
+  // Stable so cook mode's keyboard listener isn't re-bound every render
+  const exitCooking = useCallback(() => setCookSession(null), [setCookSession]);
+
+  // The print layout has to be in the DOM before the dialog opens
+  const printRecipes = (list) => {
+    flushSync(() => setPrinting(list));
+    window.print();
+  };
+
+  const finishShared = () => {
+    setSharedItems(null);
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
   };
 
   return (
-    <div className="min-h-screen bg-zinc-950 text-zinc-100">
+    <div className="min-h-screen bg-zinc-950 text-zinc-100 print:bg-white">
+      {cookSession && (
+        <CookMode session={cookSession} setSession={setCookSession} units={units} onExit={exitCooking} />
+      )}
+
       {/* Gradient background */}
-      <div className="fixed inset-0 bg-gradient-to-br from-emerald-950/30 via-zinc-950 to-teal-950/20 pointer-events-none" />
+      <div className="fixed inset-0 bg-gradient-to-br from-emerald-950/30 via-zinc-950 to-teal-950/20 pointer-events-none print:hidden" />
 
       {/* Content */}
-      <div className="relative z-10">
+      <div className="relative z-10 print:hidden">
         {/* Header */}
         <header className="border-b border-zinc-800/50 backdrop-blur-xl bg-zinc-950/80 sticky top-0 z-20">
           <div className="max-w-3xl mx-auto px-6 py-4 flex items-center justify-between">
@@ -161,16 +575,64 @@ function App() {
               </div>
             </button>
 
-            {totalImpact.scans > 0 && (
-              <div className="text-right">
-                <div className="text-xs text-zinc-500">Session</div>
-                <div className="text-sm font-medium text-emerald-400">{totalImpact.water.toFixed(1)}ml H₂O</div>
-              </div>
-            )}
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => { reset(); setMode('impact'); }}
+                title="Impact dashboard"
+                className="text-right hover:opacity-80 transition-opacity"
+              >
+                <div className="text-xs text-zinc-500">This month</div>
+                <div className="text-sm font-medium text-emerald-400">{monthTotals.water.toFixed(1)}ml H₂O</div>
+                {monthTotals.savedWater > 0 && (
+                  <div className="text-xs text-zinc-500">{monthTotals.savedWater.toFixed(1)}ml saved</div>
+                )}
+              </button>
+              <button
+                onClick={() => { reset(); setMode('library'); }}
+                className="text-sm px-3 py-1.5 rounded-lg bg-zinc-900 border border-zinc-800 text-zinc-300 hover:border-zinc-700 transition-colors"
+              >
+                Saved
+              </button>
+              <button
+                onClick={() => { reset(); setMode('preferences'); }}
+                aria-label="Preferences"
+                title={hasPreferences(preferences) ? summarizePreferences(preferences) : 'Preferences'}
+                className={`text-sm px-2.5 py-1.5 rounded-lg bg-zinc-900 border transition-colors ${hasPreferences(preferences) ? 'border-emerald-500/30 text-emerald-400' : 'border-zinc-800 text-zinc-300 hover:border-zinc-700'}`}
+              >
+                ⚙︎
+              </button>
+              <button
+                onClick={() => { reset(); setMode('household'); }}
+                aria-label="Household"
+                title={household ? `Shared with ${household.name}` : 'Share with your household'}
+                className={`text-sm px-2.5 py-1.5 rounded-lg bg-zinc-900 border transition-colors ${household ? 'border-emerald-500/30 text-emerald-400' : 'border-zinc-800 text-zinc-300 hover:border-zinc-700'}`}
+              >
+                ⌂
+              </button>
+              <button
+                onClick={() => { reset(); setMode('shopping'); }}
+                className="text-sm px-3 py-1.5 rounded-lg bg-zinc-900 border border-zinc-800 text-zinc-300 hover:border-zinc-700 transition-colors"
+              >
+                List{shoppingCount > 0 && <span className="ml-1.5 text-zinc-500">{shoppingCount}</span>}
+              </button>
+              <button
+                onClick={() => { reset(); setMode('pantry'); }}
+                className="text-sm px-3 py-1.5 rounded-lg bg-zinc-900 border border-zinc-800 text-zinc-300 hover:border-zinc-700 transition-colors"
+              >
+                Pantry{pantry.length > 0 && <span className="ml-1.5 text-zinc-500">{pantry.length}</span>}
+              </button>
+            </div>
           </div>
         </header>
 
         <main className="max-w-3xl mx-auto px-6 py-12">
+          <PendingRequests
+            pending={pending}
+            online={online}
+            onRemove={removePending}
+            onOpenSaved={() => { reset(); setMode('library'); }}
+          />
+
           {/* Mode Selection */}
           {mode === 'choice' && (
             <div className="space-y-10">
@@ -197,8 +659,11 @@ function App() {
                       Upload a fridge or pantry photo. Vision AI identifies ingredients.
                     </p>
                     <div className="flex gap-2">
-                      <span className="text-xs px-2 py-1 rounded-full bg-zinc-800 text-zinc-400">~2ml water</span>
+                      <span className="text-xs px-2 py-1 rounded-full bg-zinc-800 text-zinc-400">{formatRange(photoEstimate.range.water)} ml water</span>
                       <span className="text-xs px-2 py-1 rounded-full bg-zinc-800 text-zinc-400">Vision AI</span>
+                      {photoBudget?.over && (
+                        <span className="text-xs px-2 py-1 rounded-full bg-amber-500/10 text-amber-400 border border-amber-500/20">Over budget</span>
+                      )}
                     </div>
                   </div>
                 </button>
@@ -215,16 +680,29 @@ function App() {
                     </div>
                     <h3 className="text-lg font-semibold text-zinc-100 mb-1">Quick List</h3>
                     <p className="text-sm text-zinc-500 mb-4">
-                      Type your ingredients. 90% more resource efficient.
+                      Type your ingredients. ~{textSavings}% less energy than a photo scan.
                     </p>
                     <div className="flex gap-2">
-                      <span className="text-xs px-2 py-1 rounded-full bg-emerald-500/10 text-emerald-400 border border-emerald-500/20">~0.2ml water</span>
+                      <span className="text-xs px-2 py-1 rounded-full bg-emerald-500/10 text-emerald-400 border border-emerald-500/20">{formatRange(textEstimate.range.water)} ml water</span>
                       <span className="text-xs px-2 py-1 rounded-full bg-emerald-500/10 text-emerald-400 border border-emerald-500/20">Eco mode</span>
                     </div>
                   </div>
                 </button>
               </div>
 
+              {/* Meal plan */}
+              <button
+                onClick={() => openPlanner()}
+                className="w-full rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5 text-left flex items-center gap-4 hover:border-emerald-500/50 hover:bg-zinc-900/80 transition-all"
+              >
+                <div className="w-10 h-10 rounded-xl bg-zinc-800 flex items-center justify-center text-xl shrink-0">🗓️</div>
+                <div className="flex-1">
+                  <h3 className="font-semibold text-zinc-100">Plan the week</h3>
+                  <p className="text-sm text-zinc-500">Breakfast, lunch and dinner for up to 7 days, with one shopping list.</p>
+                </div>
+                {mealPlan && <span className="text-xs text-zinc-500 shrink-0">{mealPlan.recipes.filter(Boolean).length} meals planned</span>}
+              </button>
+
               {/* Info */}
               <div className="rounded-xl bg-zinc-900/30 border border-zinc-800/50 p-5">
                 <div className="flex items-start gap-3">
@@ -234,8 +712,19 @@ function App() {
                   <div>
                     <h4 className="text-sm font-medium text-zinc-300 mb-1">Why we show environmental impact</h4>
                     <p className="text-sm text-zinc-500 leading-relaxed">
-                      AI uses significant resources. By showing water and energy usage, we help you make informed choices. Quick List mode is ~90% more efficient than image analysis.
+                      AI uses significant resources. By showing water and energy usage, we help you make informed choices. With the {photoEstimate.profile.toLowerCase()} in use, a Quick List uses ~{textSavings}% less energy than a photo scan; most of a request's footprint is the recipes it writes.
                     </p>
+                    <label className="mt-3 flex items-center gap-2 text-xs text-zinc-500">
+                      Data centre grid
+                      <select
+                        value={impactRegion}
+                        onChange={(e) => setImpactRegion(e.target.value)}
+                        className="bg-zinc-950 border border-zinc-800 rounded-lg px-2 py-1 text-xs text-zinc-300 focus:outline-none focus:border-emerald-500/50"
+                      >
+                        {Object.entries(REGIONS).map(([key, region]) => <option key={key} value={key}>{region.label}</option>)}
+                      </select>
+                    </label>
+                    <ImpactSources />
                   </div>
                 </div>
               </div>
@@ -243,7 +732,7 @@ function App() {
           )}
 
           {/* Photo Mode */}
-          {mode === 'photo' && !recipes.length && (
+          {mode === 'photo' && !hasResults && (
             <div className="space-y-6">
               <button onClick={reset} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
@@ -252,41 +741,23 @@ function App() {
 
               <div className="text-center space-y-2">
                 <h2 className="text-2xl font-bold text-zinc-100">Scan Your Fridge</h2>
-                <p className="text-zinc-500">Upload a photo to identify ingredients</p>
+                <p className="text-zinc-500">Add a photo of each shelf, the freezer or the pantry; ingredients are combined</p>
               </div>
 
-              <div
-                onDrop={handleDrop}
-                onDragOver={(e) => e.preventDefault()}
-                onClick={() => fileInputRef.current?.click()}
-                className={`
-                  relative rounded-2xl border-2 border-dashed p-8 text-center cursor-pointer transition-all duration-300
-                  ${imagePreview
-                    ? 'border-emerald-500/50 bg-emerald-500/5'
-                    : 'border-zinc-700 hover:border-zinc-600 hover:bg-zinc-900/50'
-                  }
-                `}
-              >
-                {imagePreview ? (
-                  <div className="space-y-4">
-                    <img src={imagePreview} alt="Preview" className="max-h-64 mx-auto rounded-xl" />
-                    <p className="text-sm text-zinc-500">Click to change</p>
-                  </div>
-                ) : (
-                  <div className="space-y-4 py-8">
-                    <div className="w-16 h-16 rounded-2xl bg-zinc-800 flex items-center justify-center text-3xl mx-auto">
-                      📷
-                    </div>
-                    <div>
-                      <p className="text-zinc-300 font-medium">Drop your photo here</p>
-                      <p className="text-zinc-600 text-sm mt-1">or click to browse</p>
-                    </div>
-                  </div>
-                )}
-                <input ref={fileInputRef} type="file" accept="image/*" onChange={handleImageUpload} className="hidden" />
-              </div>
+              <PhotoPicker photos={photos} setPhotos={setPhotos} preparing={preparingImage} onFiles={handleFiles} />
+
+              {photos.length > 0 && photoBudget?.over && (
+                <div className="rounded-xl bg-amber-500/10 border border-amber-500/20 p-4 text-sm text-amber-300 space-y-2">
+                  <p>
+                    This scan would bring you to ~{photoBudget.projected.toFixed(1)} ml of your {photoBudget.budget} ml monthly water budget.
+                  </p>
+                  <button onClick={() => setMode('text')} className="text-xs font-medium text-amber-200 underline hover:text-amber-100">
+                    Type your ingredients instead (~{textSavings}% less)
+                  </button>
+                </div>
+              )}
 
-              {imagePreview && (
+              {photos.length > 0 && (
                 <button
                   onClick={analyzeImage}
                   disabled={loading}
@@ -300,11 +771,22 @@ function App() {
                       </svg>
                       Analyzing...
                     </span>
-                  ) : 'Find Recipes'}
+                  ) : !online ? 'Scan when back online'
+                    : photoBudget?.over ? 'Scan anyway'
+                    : photos.length > 1 ? `Find Recipes from ${photos.length} photos` : 'Find Recipes'}
                 </button>
               )}
 
-              <p className="text-center text-xs text-zinc-600">Uses ~2ml water for AI processing</p>
+              {loading && (
+                <button onClick={cancelRequest} className="w-full py-2 text-sm text-zinc-500 hover:text-zinc-300 transition-colors">
+                  Cancel
+                </button>
+              )}
+
+              <p className="text-center text-xs text-zinc-600">
+                Estimated {formatRange(photoEstimate.range.water)} ml water and {formatRange(photoEstimate.range.energy.map(kwh => kwh * 1000), 2)} Wh
+                {photos.length > 1 && ` for ${photos.length} photos`}
+              </p>
 
               {error && (
                 <div className="rounded-xl bg-red-500/10 border border-red-500/20 p-4 text-red-400 text-sm">
@@ -314,8 +796,103 @@ function App() {
             </div>
           )}
 
+          {/* Impact dashboard */}
+          {mode === 'impact' && (
+            <ImpactDashboard
+              ledger={ledger}
+              budget={budget}
+              setBudget={setBudget}
+              estimateOptions={impactOptions}
+              onClear={() => setLedger([])}
+              onBack={reset}
+            />
+          )}
+
+          {/* Saved recipes and history */}
+          {mode === 'library' && (
+            <LibraryView
+              history={history}
+              favourites={favourites}
+              onToggleFavourite={(fav) => setFavourites(prev => prev.filter(f => f.id !== fav.id))}
+              pickedIds={pickedIds}
+              onTogglePicked={(fav) => togglePick({ id: fav.id, recipe: fav.recipe, have: fav.ingredients })}
+              onCook={(fav) => startCooking(fav.id, fav.recipe)}
+              onPrint={printRecipes}
+              units={units}
+              onUnitsChange={setUnits}
+              onOpen={openEntry}
+              onClearHistory={() => setHistory([])}
+              onBack={reset}
+            />
+          )}
+
+          {/* Shopping list */}
+          {mode === 'shopping' && (
+            <ShoppingListView
+              picked={picked}
+              setPicked={setPicked}
+              list={shoppingList}
+              setList={setShoppingList}
+              have={onHand}
+              shared={sharedItems}
+              onSharedDone={finishShared}
+              onBack={reset}
+            />
+          )}
+
+          {/* Household */}
+          {mode === 'household' && (
+            <HouseholdView household={household} sync={householdSync} onBack={reset} />
+          )}
+
+          {/* Preferences */}
+          {mode === 'preferences' && (
+            <PreferencesView preferences={preferences} setPreferences={setPreferences} onBack={reset} />
+          )}
+
+          {/* Pantry */}
+          {mode === 'pantry' && !hasResults && (
+            <PantryView
+              pantry={pantry}
+              setPantry={setPantry}
+              onCook={cookFromPantry}
+              onUseItUp={useItUp}
+              onBack={reset}
+              onCancel={cancelRequest}
+              loading={loading}
+              error={error}
+              sharedWith={household?.name}
+            />
+          )}
+
+          {/* Meal plan */}
+          {mode === 'plan' && (
+            <MealPlanView
+              plan={mealPlan}
+              defaultIngredients={planIngredients}
+              pantryCount={pantry.length}
+              online={online}
+              loading={planning}
+              swapping={swapping}
+              error={error}
+              estimateOptions={impactOptions}
+              pickedIds={pickedIds}
+              have={onHand}
+              units={units}
+              onUnitsChange={setUnits}
+              onGenerate={planMeals}
+              onSwap={swapMeal}
+              onCancel={cancelRequest}
+              onTogglePick={(index) => togglePick({ id: planMealId(mealPlan, index), recipe: mealPlan.recipes[index], have: mealPlan.ingredients })}
+              onCook={(index) => startCooking(planMealId(mealPlan, index), mealPlan.recipes[index])}
+              onPickAll={pickWholePlan}
+              onPrint={printRecipes}
+              onBack={reset}
+            />
+          )}
+
           {/* Text Mode */}
-          {mode === 'text' && !recipes.length && (
+          {mode === 'text' && !hasResults && (
             <div className="space-y-6">
               <button onClick={reset} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
@@ -328,7 +905,7 @@ function App() {
                   Eco Mode
                 </div>
                 <h2 className="text-2xl font-bold text-zinc-100">Quick List</h2>
-                <p className="text-zinc-500">Type your ingredients - 90% less resources</p>
+                <p className="text-zinc-500">Type your ingredients - ~{textSavings}% less energy than a photo</p>
               </div>
 
               <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-6">
@@ -341,11 +918,49 @@ function App() {
                   placeholder="chicken, broccoli, garlic, soy sauce, rice..."
                   className="w-full h-32 bg-zinc-950 border border-zinc-800 rounded-xl p-4 text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50 focus:ring-1 focus:ring-emerald-500/20 resize-none transition-all"
                 />
+                {pantry.length > 0 && (
+                  <label className="mt-3 flex items-center gap-2 text-sm text-zinc-400 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={includePantry}
+                      onChange={(e) => setIncludePantry(e.target.checked)}
+                      className="accent-emerald-500"
+                    />
+                    Also use my pantry ({pantry.length} items)
+                  </label>
+                )}
+                <div className="mt-4 flex flex-wrap items-center gap-2">
+                  <button
+                    onClick={() => setCapture(capture === 'barcode' ? null : 'barcode')}
+                    aria-pressed={capture === 'barcode'}
+                    className="text-xs px-3 py-1.5 rounded-full bg-zinc-900 border border-zinc-800 text-zinc-400 hover:border-zinc-700 hover:text-zinc-200 transition-colors"
+                  >
+                    ▥ Scan barcodes
+                  </button>
+                  <button
+                    onClick={() => setCapture(capture === 'receipt' ? null : 'receipt')}
+                    aria-pressed={capture === 'receipt'}
+                    className="text-xs px-3 py-1.5 rounded-full bg-zinc-900 border border-zinc-800 text-zinc-400 hover:border-zinc-700 hover:text-zinc-200 transition-colors"
+                  >
+                    🧾 Import a receipt
+                  </button>
+                  <span className="text-xs text-zinc-600">Read on your device, no AI cost</span>
+                </div>
               </div>
 
+              {capture === 'barcode' && (
+                <BarcodeScanner
+                  learned={learnedBarcodes}
+                  onLearn={(code, name) => setLearnedBarcodes(prev => ({ ...prev, [code]: name }))}
+                  onAdd={addCaptured}
+                  onClose={() => setCapture(null)}
+                />
+              )}
+              {capture === 'receipt' && <ReceiptImport onAdd={addCaptured} onClose={() => setCapture(null)} />}
+
               <button
                 onClick={analyzeText}
-                disabled={loading || !textInput.trim()}
+                disabled={loading || (!textInput.trim() && !(includePantry && pantry.length))}
                 className="w-full py-4 rounded-xl font-semibold bg-gradient-to-r from-teal-500 to-emerald-500 text-zinc-950 hover:from-teal-400 hover:to-emerald-400 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg shadow-teal-500/20 hover:shadow-teal-500/30"
               >
                 {loading ? (
@@ -356,9 +971,15 @@ function App() {
                     </svg>
                     Finding recipes...
                   </span>
-                ) : 'Get Recipe Ideas'}
+                ) : online ? 'Get Recipe Ideas' : 'Get recipes when back online'}
               </button>
 
+              {loading && (
+                <button onClick={cancelRequest} className="w-full py-2 text-sm text-zinc-500 hover:text-zinc-300 transition-colors">
+                  Cancel
+                </button>
+              )}
+
               {error && (
                 <div className="rounded-xl bg-red-500/10 border border-red-500/20 p-4 text-red-400 text-sm">
                   {error}
@@ -368,13 +989,19 @@ function App() {
           )}
 
           {/* Results */}
-          {recipes.length > 0 && (
+          {hasResults && (
             <div className="space-y-6">
               <button onClick={reset} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
                 Start over
               </button>
 
+              {reopenedAt && (
+                <div className="rounded-xl bg-zinc-900/30 border border-zinc-800/50 px-4 py-3 text-sm text-zinc-500">
+                  Saved result from {new Date(reopenedAt).toLocaleString()}. Reopened without a new AI request.
+                </div>
+              )}
+
               {/* Impact */}
               {impact && (
                 <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5">
@@ -387,23 +1014,45 @@ function App() {
                       {showDevStats ? 'Hide' : 'Dev stats'}
                     </button>
                   </div>
+                  {impact.cached ? (
+                    <div className="mb-4 text-xs px-3 py-2 rounded-lg bg-emerald-500/10 text-emerald-400 border border-emerald-500/20">
+                      Served from cache: no new AI cost{impact.saved && `, saved ~${impact.saved.water.toFixed(1)}ml water`}
+                    </div>
+                  ) : impact.mode === 'refine' ? (
+                    <div className="mb-4 text-xs px-3 py-2 rounded-lg bg-emerald-500/10 text-emerald-400 border border-emerald-500/20">
+                      Follow-up on these recipes: text only, no new scan
+                    </div>
+                  ) : impact.refresh && (
+                    <div className="mb-4 text-xs px-3 py-2 rounded-lg bg-emerald-500/10 text-emerald-400 border border-emerald-500/20">
+                      Refreshed from your edited list using text-only Quick List mode, no second photo scan
+                    </div>
+                  )}
                   <div className="grid grid-cols-3 gap-3">
                     <div className="text-center p-3 rounded-xl bg-blue-500/5 border border-blue-500/10">
                       <div className="text-xl font-bold text-blue-400">{impact.water.toFixed(1)}</div>
                       <div className="text-xs text-zinc-500">ml water</div>
+                      {impact.range && <div className="text-[10px] text-zinc-600">{formatRange(impact.range.water)}</div>}
                     </div>
                     <div className="text-center p-3 rounded-xl bg-amber-500/5 border border-amber-500/10">
                       <div className="text-xl font-bold text-amber-400">{(impact.energy * 1000).toFixed(1)}</div>
                       <div className="text-xs text-zinc-500">Wh energy</div>
+                      {impact.range && <div className="text-[10px] text-zinc-600">{formatRange(impact.range.energy.map(kwh => kwh * 1000), 2)}</div>}
                     </div>
                     <div className="text-center p-3 rounded-xl bg-emerald-500/5 border border-emerald-500/10">
                       <div className="text-xl font-bold text-emerald-400">{impact.co2.toFixed(2)}</div>
                       <div className="text-xs text-zinc-500">g CO₂</div>
+                      {impact.range && <div className="text-[10px] text-zinc-600">{formatRange(impact.range.co2, 2)}</div>}
                     </div>
                   </div>
+                  {impact.range && (
+                    <p className="mt-3 text-xs text-zinc-600">
+                      Best estimate with likely range for a {impact.profile.toLowerCase()} on the {REGIONS[impact.region].label} grid.
+                    </p>
+                  )}
                   {showDevStats && (
                     <div className="mt-4 p-3 rounded-lg bg-zinc-950 text-xs font-mono text-zinc-600">
-                      <div>Input: {impact.tokens.input} tokens</div>
+                      {impact.model && <div>Model: {impact.model}</div>}
+                      <div>Input: {impact.tokens.input} tokens{impact.tokens.image > 0 && ` (~${impact.tokens.image} image)`}</div>
                       <div>Output: {impact.tokens.output} tokens</div>
                       <div>Total: {impact.tokens.total} tokens</div>
                     </div>
@@ -412,79 +1061,142 @@ function App() {
               )}
 
               {/* Ingredients */}
-              {ingredients.length > 0 && (
-                <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5">
-                  <h3 className="text-sm font-medium text-zinc-400 mb-3">Ingredients Found</h3>
-                  <div className="flex flex-wrap gap-2">
-                    {ingredients.map((ing, i) => (
-                      <span key={i} className="px-3 py-1.5 rounded-full bg-zinc-800 text-zinc-300 text-sm">
-                        {ing}
-                      </span>
-                    ))}
+              <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5">
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-sm font-medium text-zinc-400">Ingredients Found</h3>
+                  <div className="flex items-center gap-3">
+                    <span className="text-xs text-zinc-600">Click to edit</span>
+                    <button
+                      onClick={saveToPantry}
+                      disabled={loading || !ingredients.length}
+                      className="text-xs text-emerald-400 hover:text-emerald-300 disabled:opacity-50 transition-colors"
+                    >
+                      Save to pantry
+                    </button>
+                    <button
+                      onClick={() => openPlanner(ingredients)}
+                      disabled={loading || !ingredients.length}
+                      className="text-xs text-emerald-400 hover:text-emerald-300 disabled:opacity-50 transition-colors"
+                    >
+                      Plan meals
+                    </button>
                   </div>
                 </div>
+                <IngredientEditor ingredients={ingredients} sources={ingredientSources} onChange={editIngredients} disabled={loading} />
+                {pantryNotice && <p className="mt-3 text-xs text-zinc-500">{pantryNotice}</p>}
+                {ingredientsEdited && (
+                  <button
+                    onClick={regenerateRecipes}
+                    disabled={loading || !ingredients.length}
+                    className="mt-4 w-full py-3 rounded-xl text-sm font-semibold bg-gradient-to-r from-teal-500 to-emerald-500 text-zinc-950 hover:from-teal-400 hover:to-emerald-400 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                  >
+                    Regenerate recipes <span className="font-normal opacity-75">· text only, {formatRange(refreshEstimate.range.water)} ml water</span>
+                  </button>
+                )}
+              </div>
+
+              {error && (
+                <div className="rounded-xl bg-red-500/10 border border-red-500/20 p-4 text-red-400 text-sm">
+                  {error}
+                </div>
               )}
 
               {/* Recipes */}
               <div className="space-y-3">
-                <h3 className="text-sm font-medium text-zinc-400">Recipe Ideas</h3>
-                {recipes.map((recipe, i) => (
-                  <div
-                    key={i}
-                    className="rounded-2xl bg-zinc-900/50 border border-zinc-800 overflow-hidden hover:border-zinc-700 transition-colors"
-                  >
-                    <button
-                      onClick={() => setExpandedRecipe(expandedRecipe === i ? null : i)}
-                      className="w-full p-5 text-left flex items-start justify-between gap-4"
-                    >
-                      <div>
-                        <h4 className="font-semibold text-zinc-100 mb-1">{recipe.name}</h4>
-                        <p className="text-sm text-zinc-500">{recipe.description}</p>
-                      </div>
-                      <div className="flex items-center gap-3 shrink-0">
-                        {recipe.time && (
-                          <span className="text-xs text-zinc-500">{recipe.time}</span>
-                        )}
-                        <svg
-                          className={`w-5 h-5 text-zinc-600 transition-transform ${expandedRecipe === i ? 'rotate-180' : ''}`}
-                          fill="none"
-                          stroke="currentColor"
-                          viewBox="0 0 24 24"
-                        >
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-                        </svg>
-                      </div>
-                    </button>
-
-                    {expandedRecipe === i && (
-                      <div className="px-5 pb-5 pt-0 border-t border-zinc-800/50">
-                        {recipe.instructions && (
-                          <div className="pt-4">
-                            <h5 className="text-xs font-medium text-zinc-500 uppercase tracking-wider mb-3">Instructions</h5>
-                            <ol className="space-y-2">
-                              {recipe.instructions.map((step, j) => (
-                                <li key={j} className="flex gap-3 text-sm">
-                                  <span className="w-5 h-5 rounded-full bg-zinc-800 text-zinc-500 text-xs flex items-center justify-center shrink-0 mt-0.5">
-                                    {j + 1}
-                                  </span>
-                                  <span className="text-zinc-400">{step}</span>
-                                </li>
-                              ))}
-                            </ol>
-                          </div>
-                        )}
-
-                        {recipe.missing && recipe.missing.length > 0 && (
-                          <div className="mt-4 p-3 rounded-lg bg-amber-500/5 border border-amber-500/10">
-                            <span className="text-xs text-amber-400">
-                              You might need: {recipe.missing.join(', ')}
-                            </span>
-                          </div>
+                <div className="flex items-start justify-between gap-3">
+                  <h3 className="text-sm font-medium text-zinc-400">Recipe Ideas</h3>
+                  {!loading && recipes.length > 1 && (
+                    <ExportMenu recipes={orderedRecipes.map(({ recipe }) => recipe)} label="Export all" units={units} onPrint={printRecipes} className="text-right" />
+                  )}
+                </div>
+                {atRisk.length > 0 && (
+                  <p className="text-xs text-zinc-500">Sorted by how much soon-to-expire food each recipe uses up.</p>
+                )}
+                {excluded.length > 0 && (
+                  <p className="text-xs text-zinc-500">
+                    Removed {excluded.length} suggestion{excluded.length === 1 ? '' : 's'} that broke your preferences: {excluded.map(e => `${e.name} (${e.reason})`).join(', ')}
+                  </p>
+                )}
+                {orderedRecipes.map(({ recipe, index }) => (
+                  <RecipeCard
+                    key={index}
+                    recipe={recipe}
+                    expanded={expandedRecipe === index}
+                    onToggle={() => setExpandedRecipe(expandedRecipe === index ? null : index)}
+                    starred={currentEntry && favouriteIds.has(favouriteId(currentEntry.id, index))}
+                    onToggleStar={currentEntry ? () => toggleStar(index) : undefined}
+                    units={units}
+                    onUnitsChange={setUnits}
+                    badges={(recipe.usesAtRisk?.length > 0 || recipe.warnings?.length > 0) && (
+                      <div className="mt-2 flex flex-wrap gap-1.5">
+                        {recipe.usesAtRisk?.length > 0 && (
+                          <span className="text-xs px-2 py-0.5 rounded-full bg-emerald-500/10 text-emerald-400 border border-emerald-500/20">
+                            Uses up {recipe.usesAtRisk.length} expiring
+                          </span>
                         )}
+                        {recipe.usesAtRisk?.map(name => (
+                          <span key={name} className="text-xs px-2 py-0.5 rounded-full bg-amber-500/10 text-amber-400 border border-amber-500/20">
+                            {name}
+                          </span>
+                        ))}
+                        {recipe.warnings?.map(warning => (
+                          <span key={warning} className="text-xs px-2 py-0.5 rounded-full bg-zinc-800 text-zinc-400 border border-zinc-700">
+                            ⚠ {warning}
+                          </span>
+                        ))}
                       </div>
                     )}
-                  </div>
+                  >
+                    {currentEntry && (
+                      <RecipeActions
+                        picked={pickedIds.has(favouriteId(currentEntry.id, index))}
+                        onTogglePick={() => togglePick({ id: favouriteId(currentEntry.id, index), recipe, have: ingredients })}
+                        onCook={() => startCooking(favouriteId(currentEntry.id, index), recipe)}
+                      />
+                    )}
+                    {!loading && (
+                      <RefineForm
+                        suggestions={RECIPE_SUGGESTIONS}
+                        placeholder="Change this recipe, e.g. swap rice for quinoa"
+                        estimate={refineEstimate}
+                        busy={refining?.target === index}
+                        disabled={Boolean(refining) || !online}
+                        online={online}
+                        onSubmit={(instruction) => refineRecipes({ instruction, target: index })}
+                        onCancel={cancelRequest}
+                        className="mt-4 pt-4 border-t border-zinc-800/50"
+                      />
+                    )}
+                    <ExportMenu recipes={[recipe]} units={units} onPrint={printRecipes} className="mt-4" />
+                  </RecipeCard>
                 ))}
+                {(loading || (refining && refining.target === null)) && (
+                  <div className="rounded-2xl border border-dashed border-zinc-800 p-5 flex items-center gap-3 text-sm text-zinc-500">
+                    <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                    </svg>
+                    <span className="flex-1">
+                      {refining?.action === 'revise' ? 'Reworking the recipes...' : recipes.length ? 'Cooking up more recipes...' : 'Writing recipes...'}
+                    </span>
+                    <button onClick={cancelRequest} className="text-xs text-zinc-500 hover:text-zinc-300 transition-colors">Cancel</button>
+                  </div>
+                )}
+                {!loading && recipes.length > 0 && (
+                  <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5">
+                    <h3 className="text-sm font-medium text-zinc-400 mb-3">Refine these recipes</h3>
+                    <RefineForm
+                      suggestions={SET_SUGGESTIONS}
+                      placeholder='e.g. "make #2 spicier" or "swap rice for quinoa"'
+                      estimate={refineSetEstimate}
+                      busy={refining?.target === null}
+                      disabled={Boolean(refining) || !online}
+                      online={online}
+                      onSubmit={(text) => refineRecipes(parseRefinement(text, orderedRecipes.map(({ index }) => index)))}
+                      onMore={() => refineRecipes({ action: 'more' })}
+                    />
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -499,6 +1211,8 @@ function App() {
           </div>
         </footer>
       </div>
+
+      <PrintView recipes={printing} units={units} />
     </div>
   )
 }
@@ -0,0 +1,182 @@
+import { useEffect, useEffectEvent, useRef, useState } from 'react'
+import { createBarcodeDetector, lookupProduct, normalizeCode } from '../lib/barcode.js'
+
+// Frames checked per second is 1000 / this; plenty for a barcode held still
+const SCAN_INTERVAL_MS = 250;
+
+const inputClass = 'flex-1 min-w-0 bg-zinc-950 border border-zinc-800 rounded-xl px-3 py-2 text-sm text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50';
+
+// A scanned code that isn't in the product table: the user names it once and
+// this browser remembers it
+function UnknownProduct({ code, onName }) {
+  const [name, setName] = useState('');
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (name.trim()) onName(name.trim());
+      }}
+      className="flex gap-2"
+    >
+      <input value={name} onChange={(e) => setName(e.target.value)} placeholder={`What is ${code}?`} className={inputClass} />
+      <button type="submit" disabled={!name.trim()} className="px-3 rounded-xl bg-zinc-800 text-zinc-200 text-xs font-medium hover:bg-zinc-700 disabled:opacity-50 transition-colors">
+        Save
+      </button>
+    </form>
+  );
+}
+
+// Camera barcode scanning for the Quick List. Nothing is sent anywhere:
+// codes are read on the device and looked up in the bundled product table
+// and `learned` (code -> name, taught through `onLearn`). `onAdd` gets the
+// ingredient names the user kept.
+function BarcodeScanner({ learned, onLearn, onAdd, onClose }) {
+  const videoRef = useRef(null);
+  const seenRef = useRef(new Set());
+  const [status, setStatus] = useState('starting');
+  const [native, setNative] = useState(true);
+  const [scanned, setScanned] = useState([]);
+  const [manual, setManual] = useState('');
+  const [notice, setNotice] = useState(null);
+
+  const addCode = async (raw) => {
+    const code = normalizeCode(raw);
+    if (!code) {
+      setNotice(`${raw} isn't a valid EAN or UPC barcode`);
+      return;
+    }
+    if (seenRef.current.has(code)) return;
+    seenRef.current.add(code);
+    navigator.vibrate?.(80);
+    const product = await lookupProduct(code, learned);
+    setNotice(product ? `Added ${product.name}` : `Scanned ${code}; tell us what it is below`);
+    setScanned(prev => [...prev, { code, name: product?.name ?? null, ingredient: product?.ingredient ?? '', keep: true }]);
+  };
+
+  const onDetected = useEffectEvent((code) => addCode(code));
+
+  // Starts the rear camera and checks a frame every SCAN_INTERVAL_MS until
+  // the scanner closes
+  useEffect(() => {
+    let stream;
+    let timer;
+    let stopped = false;
+
+    const start = async () => {
+      try {
+        const detector = await createBarcodeDetector();
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setNative(detector.native);
+        setStatus('scanning');
+
+        const tick = async () => {
+          try {
+            const codes = await detector.detect(videoRef.current);
+            codes.forEach(code => onDetected(code));
+          } catch {
+            // The frame wasn't ready; try the next one
+          }
+          if (!stopped) timer = setTimeout(tick, SCAN_INTERVAL_MS);
+        };
+        tick();
+      } catch {
+        if (!stopped) setStatus('no-camera');
+      }
+    };
+
+    start();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  const name = (code, ingredient) => {
+    onLearn(code, ingredient);
+    setScanned(prev => prev.map(item => (item.code === code ? { ...item, name: ingredient, ingredient } : item)));
+  };
+
+  const kept = scanned.filter(item => item.keep && item.ingredient);
+
+  return (
+    <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-zinc-400">Scan barcodes</h3>
+        <button onClick={onClose} className="text-xs text-zinc-500 hover:text-zinc-300 transition-colors">Close</button>
+      </div>
+
+      {status !== 'no-camera' ? (
+        <div className="relative rounded-xl overflow-hidden bg-black aspect-video">
+          <video ref={videoRef} muted playsInline className="w-full h-full object-cover" />
+          <div className="absolute inset-x-8 top-1/2 h-0.5 bg-emerald-400/70 pointer-events-none" />
+          {status === 'starting' && (
+            <p className="absolute inset-0 flex items-center justify-center text-sm text-zinc-400">Starting the camera...</p>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-zinc-500">The camera isn't available here. Type the numbers under the barcode instead.</p>
+      )}
+      {status === 'scanning' && (
+        <p className="text-xs text-zinc-600">
+          Hold the barcode flat along the line.{!native && ' Your browser has no built-in scanner, so a slower one is used.'}
+        </p>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (manual.trim()) addCode(manual.trim());
+          setManual('');
+        }}
+        className="flex gap-2"
+      >
+        <input value={manual} onChange={(e) => setManual(e.target.value)} inputMode="numeric" placeholder="Or type a barcode number" className={inputClass} />
+        <button type="submit" disabled={!manual.trim()} className="px-4 rounded-xl bg-zinc-800 text-zinc-200 text-sm font-medium hover:bg-zinc-700 disabled:opacity-50 transition-colors">
+          Add
+        </button>
+      </form>
+
+      {notice && <p className="text-xs text-zinc-500">{notice}</p>}
+
+      {scanned.length > 0 && (
+        <ul className="space-y-2">
+          {scanned.map(item => (
+            <li key={item.code} className="text-sm">
+              {item.name ? (
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={item.keep}
+                    onChange={() => setScanned(prev => prev.map(other => (other.code === item.code ? { ...other, keep: !other.keep } : other)))}
+                    className="accent-emerald-500"
+                  />
+                  <span className="text-zinc-200">{item.ingredient}</span>
+                  {item.name !== item.ingredient && <span className="ml-auto text-xs text-zinc-600 truncate">{item.name}</span>}
+                </label>
+              ) : (
+                <UnknownProduct code={item.code} onName={(ingredient) => name(item.code, ingredient)} />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        onClick={() => onAdd(kept.map(item => item.ingredient))}
+        disabled={!kept.length}
+        className="w-full py-3 rounded-xl text-sm font-semibold bg-gradient-to-r from-teal-500 to-emerald-500 text-zinc-950 hover:from-teal-400 hover:to-emerald-400 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+      >
+        {kept.length ? `Add ${kept.length} item${kept.length === 1 ? '' : 's'} to my list` : 'Add to my list'}
+      </button>
+    </div>
+  )
+}
+
+export default BarcodeScanner
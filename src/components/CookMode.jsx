@@ -0,0 +1,178 @@
+import { useEffect, useRef, useState } from 'react'
+import { useWakeLock } from '../hooks/useWakeLock.js'
+import { findDurations, formatClock, pauseTimer, playAlarm, secondsLeft, startTimer } from '../lib/timers.js'
+import { convertLine, formatLine } from '../lib/units.js'
+
+const SWIPE_PX = 50;
+
+const navClass = 'flex-1 py-4 rounded-2xl text-lg font-semibold transition-colors disabled:opacity-30';
+
+// Full-screen, one-step-at-a-time view of a recipe. `session` is
+// { id, recipe, step, timers } and is persisted by the caller, so a reload
+// lands back on the same step with timers still counting.
+function CookMode({ session, setSession, units, onExit }) {
+  const { recipe, step } = session;
+  const steps = recipe.instructions;
+  const [now, setNow] = useState(() => Date.now());
+  const [showIngredients, setShowIngredients] = useState(false);
+  const audioRef = useRef(null);
+  const touchRef = useRef(null);
+  const wakeLocked = useWakeLock(true);
+
+  const goTo = (next) => setSession(prev => ({ ...prev, step: Math.min(Math.max(next, 0), prev.recipe.instructions.length - 1) }));
+
+  const setTimer = (key, timer) => setSession(prev => ({ ...prev, timers: { ...prev.timers, [key]: timer } }));
+
+  const running = Object.entries(session.timers).filter(([, timer]) => timer.endsAt);
+
+  // Ticks only while something is counting down; finished timers ring once
+  useEffect(() => {
+    const active = Object.entries(session.timers).filter(([, timer]) => timer.endsAt);
+    if (!active.length) return;
+    const id = setInterval(() => {
+      const tick = Date.now();
+      setNow(tick);
+      const finished = active.filter(([, timer]) => timer.endsAt <= tick);
+      if (!finished.length) return;
+      playAlarm(audioRef.current);
+      navigator.vibrate?.([300, 150, 300]);
+      setSession(prev => {
+        const timers = { ...prev.timers };
+        finished.forEach(([key, timer]) => { timers[key] = { total: timer.total, remaining: 0, done: true }; });
+        return { ...prev, timers };
+      });
+    }, 250);
+    return () => clearInterval(id);
+  }, [session.timers, setSession]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'ArrowRight' || e.key === 'PageDown' || e.key === ' ') {
+        e.preventDefault();
+        setSession(prev => ({ ...prev, step: Math.min(prev.step + 1, prev.recipe.instructions.length - 1) }));
+      } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+        e.preventDefault();
+        setSession(prev => ({ ...prev, step: Math.max(prev.step - 1, 0) }));
+      } else if (e.key === 'Escape') {
+        onExit();
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [setSession, onExit]);
+
+  // Browsers only allow sound from an AudioContext made during a tap
+  const toggleTimer = (key, timer) => {
+    audioRef.current ??= new (window.AudioContext || window.webkitAudioContext)();
+    setNow(Date.now());
+    setTimer(key, timer.endsAt ? pauseTimer(timer) : startTimer(timer));
+  };
+
+  const onTouchEnd = (e) => {
+    const start = touchRef.current;
+    touchRef.current = null;
+    if (start === null) return;
+    const dx = e.changedTouches[0].clientX - start;
+    if (Math.abs(dx) > SWIPE_PX) goTo(step + (dx < 0 ? 1 : -1));
+  };
+
+  const timers = findDurations(steps[step]).map((found, i) => {
+    const key = `${step}:${i}`;
+    return { key, label: found.label, timer: session.timers[key] ?? { total: found.seconds } };
+  });
+  const elsewhere = running.filter(([key]) => !key.startsWith(`${step}:`));
+  const last = step === steps.length - 1;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-zinc-950 text-zinc-100 flex flex-col print:hidden"
+      onTouchStart={(e) => { touchRef.current = e.touches[0].clientX; }}
+      onTouchEnd={onTouchEnd}
+    >
+      <header className="px-6 py-4 border-b border-zinc-800/50 flex items-center gap-4">
+        <div className="flex-1 min-w-0">
+          <h2 className="font-semibold truncate">{recipe.name}</h2>
+          <p className="text-xs text-zinc-500">
+            Step {step + 1} of {steps.length}{wakeLocked && ' · Screen stays on'}
+          </p>
+        </div>
+        {recipe.ingredients?.length > 0 && (
+          <button
+            onClick={() => setShowIngredients(!showIngredients)}
+            className="text-sm px-3 py-1.5 rounded-lg bg-zinc-900 border border-zinc-800 text-zinc-300 hover:border-zinc-700 transition-colors"
+          >
+            Ingredients
+          </button>
+        )}
+        <button onClick={() => onExit()} aria-label="Exit cook mode" className="text-2xl text-zinc-500 hover:text-zinc-300 px-2">×</button>
+      </header>
+
+      <div className="h-1 bg-zinc-900">
+        <div className="h-full bg-emerald-500 transition-all" style={{ width: `${((step + 1) / steps.length) * 100}%` }} />
+      </div>
+
+      {showIngredients ? (
+        <ul className="flex-1 overflow-y-auto px-6 py-8 max-w-2xl w-full mx-auto space-y-3 text-xl">
+          {recipe.ingredients.map((line, i) => (
+            <li key={i} className="text-zinc-300">{formatLine(convertLine(line, { system: units }))}</li>
+          ))}
+        </ul>
+      ) : (
+        <main className="flex-1 overflow-y-auto px-6 py-10 max-w-3xl w-full mx-auto flex flex-col justify-center gap-10">
+          <p className="text-3xl md:text-4xl leading-snug font-medium text-zinc-100">{steps[step]}</p>
+
+          {timers.length > 0 && (
+            <div className="flex flex-wrap gap-3">
+              {timers.map(({ key, label, timer }) => (
+                <div key={key} className={`flex items-center gap-3 rounded-2xl border px-5 py-3 ${timer.done
+                  ? 'bg-amber-500/10 border-amber-500/30 text-amber-300 animate-pulse'
+                  : 'bg-zinc-900 border-zinc-800'}`}
+                >
+                  <span className="text-3xl font-mono tabular-nums">{formatClock(secondsLeft(timer, now))}</span>
+                  {timer.done ? (
+                    <button onClick={() => setTimer(key, { total: timer.total })} className="text-sm text-amber-200 underline">Reset</button>
+                  ) : (
+                    <button
+                      onClick={() => toggleTimer(key, timer)}
+                      className="px-4 py-2 rounded-xl bg-emerald-500 text-zinc-950 text-sm font-semibold hover:bg-emerald-400 transition-colors"
+                    >
+                      {timer.endsAt ? 'Pause' : timer.remaining !== undefined ? 'Resume' : `Start ${label}`}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </main>
+      )}
+
+      {elsewhere.length > 0 && (
+        <div className="px-6 py-2 flex flex-wrap gap-2 justify-center">
+          {elsewhere.map(([key, timer]) => (
+            <button
+              key={key}
+              onClick={() => goTo(Number(key.split(':')[0]))}
+              className="text-xs px-3 py-1 rounded-full bg-zinc-900 border border-zinc-800 text-zinc-400 font-mono"
+            >
+              Step {Number(key.split(':')[0]) + 1} · {formatClock(secondsLeft(timer, now))}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <footer className="px-6 py-4 flex gap-3 max-w-3xl w-full mx-auto">
+        <button onClick={() => goTo(step - 1)} disabled={step === 0} className={`${navClass} bg-zinc-900 text-zinc-300 hover:bg-zinc-800`}>
+          ← Back
+        </button>
+        <button
+          onClick={() => (last ? onExit() : goTo(step + 1))}
+          className={`${navClass} bg-emerald-500 text-zinc-950 hover:bg-emerald-400`}
+        >
+          {last ? 'Done' : 'Next →'}
+        </button>
+      </footer>
+    </div>
+  )
+}
+
+export default CookMode
@@ -0,0 +1,73 @@
+import { useState } from 'react'
+import { exportFileName, toJsonLd, toMarkdown, toText } from '../lib/recipeExport.js'
+
+const optionClass = 'text-xs px-3 py-1.5 rounded-lg bg-zinc-900 border border-zinc-800 text-zinc-300 hover:border-zinc-700 transition-colors';
+
+const REVOKE_DELAY_MS = 10_000;
+
+const download = (name, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  // Some browsers start the download after click() returns, so the URL has
+  // to outlive it
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+// Export options for one recipe or a whole result set. Printing needs a
+// layout rendered by the app, so it's handed back through `onPrint`.
+function ExportMenu({ recipes, label = 'Export', units = 'metric', onPrint, className = '' }) {
+  const [open, setOpen] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const options = { system: units };
+  const title = recipes.length === 1 ? recipes[0].name : `${recipes.length} recipes`;
+
+  const copy = async (text, what) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setNotice(`${what} copied to the clipboard`);
+    } catch {
+      setNotice("Couldn't copy; your browser blocked clipboard access");
+    }
+  };
+
+  const share = async () => {
+    try {
+      await navigator.share({ title, text: toText(recipes, options) });
+    } catch (err) {
+      if (err.name !== 'AbortError') setNotice("Couldn't open the share sheet");
+    }
+  };
+
+  return (
+    <div className={className}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="text-xs text-zinc-500 hover:text-zinc-300 transition-colors"
+      >
+        {label} {open ? '▴' : '▾'}
+      </button>
+      {open && (
+        <div className="mt-2 flex flex-wrap gap-2">
+          {navigator.share && <button onClick={share} className={optionClass}>Share</button>}
+          <button onClick={() => onPrint(recipes)} className={optionClass}>Print</button>
+          <button onClick={() => copy(toMarkdown(recipes, options), 'Markdown')} className={optionClass}>Copy Markdown</button>
+          <button onClick={() => copy(toText(recipes, options), 'Text')} className={optionClass}>Copy text</button>
+          <button
+            onClick={() => download(exportFileName(recipes, 'json'), toJsonLd(recipes, options), 'application/ld+json')}
+            className={optionClass}
+            title="schema.org Recipe JSON-LD, for recipe managers like Paprika or Mealie"
+          >
+            Download JSON-LD
+          </button>
+        </div>
+      )}
+      {open && notice && <p className="mt-2 text-xs text-zinc-500">{notice}</p>}
+    </div>
+  )
+}
+
+export default ExportMenu
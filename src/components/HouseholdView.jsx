@@ -0,0 +1,178 @@
+import { useState } from 'react'
+
+const inputClass = 'w-full bg-zinc-950 border border-zinc-800 rounded-xl px-4 py-3 text-sm text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50';
+
+const timeAgo = (time) => {
+  if (!time) return 'never';
+  const minutes = Math.round((Date.now() - new Date(time).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+// "ABCD2345" -> "ABCD-2345", easier to read out
+const formatInvite = (code) => code.replace(/^(.{4})(.+)$/, '$1-$2');
+
+// Create or join a household, then see who's in it and how syncing is going.
+// `sync` is what useHouseholdSync returns.
+function HouseholdView({ household, sync, onBack }) {
+  const [deviceName, setDeviceName] = useState('');
+  const [householdName, setHouseholdName] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const connect = async (action, fields) => {
+    setBusy(action);
+    setFormError(null);
+    try {
+      await sync.connect(action, { deviceName: deviceName.trim() || undefined, ...fields });
+    } catch (err) {
+      setFormError(err.message);
+    }
+    setBusy(null);
+  };
+
+  const copyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(formatInvite(household.inviteCode));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      // Clipboard blocked; the code is on screen to type in
+    }
+  };
+
+  const pendingCount = household ? Object.keys(household.pending).length : 0;
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
+        Back
+      </button>
+
+      <div className="text-center space-y-2">
+        <h2 className="text-2xl font-bold text-zinc-100">Household</h2>
+        <p className="text-zinc-500">Share the pantry, favourites and shopping list between everyone's phones.</p>
+      </div>
+
+      {!household ? (
+        <>
+          <label className="block">
+            <span className="block text-sm font-medium text-zinc-400 mb-2">This device's name</span>
+            <input value={deviceName} onChange={(e) => setDeviceName(e.target.value)} maxLength={40} placeholder="e.g. Sam's phone" className={inputClass} />
+          </label>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                connect('create', { name: householdName.trim() || undefined });
+              }}
+              className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5 space-y-3"
+            >
+              <h3 className="text-sm font-medium text-zinc-400">Start a household</h3>
+              <input value={householdName} onChange={(e) => setHouseholdName(e.target.value)} maxLength={40} placeholder="Household name (optional)" className={inputClass} />
+              <button type="submit" disabled={busy !== null || !sync.online} className="w-full py-3 rounded-xl text-sm font-semibold bg-gradient-to-r from-emerald-500 to-teal-500 text-zinc-950 hover:from-emerald-400 hover:to-teal-400 disabled:opacity-50 disabled:cursor-not-allowed transition-all">
+                {busy === 'create' ? 'Creating...' : 'Create and get an invite code'}
+              </button>
+            </form>
+
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (inviteCode.trim()) connect('join', { inviteCode: inviteCode.trim() });
+              }}
+              className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5 space-y-3"
+            >
+              <h3 className="text-sm font-medium text-zinc-400">Join with an invite code</h3>
+              <input
+                value={inviteCode}
+                onChange={(e) => setInviteCode(e.target.value.toUpperCase())}
+                maxLength={12}
+                autoCapitalize="characters"
+                placeholder="ABCD-2345"
+                className={`${inputClass} font-mono tracking-widest`}
+              />
+              <button type="submit" disabled={busy !== null || !inviteCode.trim() || !sync.online} className="w-full py-3 rounded-xl text-sm font-semibold bg-zinc-800 text-zinc-200 hover:bg-zinc-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors">
+                {busy === 'join' ? 'Joining...' : 'Join household'}
+              </button>
+            </form>
+          </div>
+
+          {(formError || sync.error) && (
+            <div className="rounded-xl bg-red-500/10 border border-red-500/20 p-4 text-red-400 text-sm">{formError || sync.error}</div>
+          )}
+          <p className="text-center text-xs text-zinc-600">
+            {sync.online
+              ? "What's already on this device is added to the household when you join."
+              : 'You need a connection to start or join a household.'}
+          </p>
+        </>
+      ) : (
+        <>
+          <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5 space-y-4">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h3 className="font-semibold text-zinc-100">{household.name}</h3>
+                <p className="text-xs text-zinc-500 mt-1">
+                  {sync.syncing ? 'Syncing...' : `Synced ${timeAgo(household.lastSyncedAt)}`}
+                  {pendingCount > 0 && ` · ${pendingCount} change${pendingCount === 1 ? '' : 's'} to send`}
+                </p>
+              </div>
+              <button
+                onClick={sync.sync}
+                disabled={sync.syncing || !sync.online}
+                className="text-xs px-3 py-1.5 rounded-lg bg-zinc-900 border border-zinc-800 text-zinc-300 hover:border-zinc-700 disabled:opacity-50 transition-colors"
+              >
+                Sync now
+              </button>
+            </div>
+
+            <div>
+              <span className="block text-xs text-zinc-500 mb-1">Invite code</span>
+              <div className="flex items-center gap-3">
+                <span className="font-mono text-xl tracking-widest text-emerald-400">{formatInvite(household.inviteCode)}</span>
+                <button onClick={copyInvite} className="text-xs text-zinc-500 hover:text-zinc-300 transition-colors">
+                  {copied ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+              <p className="text-xs text-zinc-600 mt-1">Anyone with this code can join, so only share it with your household.</p>
+            </div>
+
+            <div>
+              <span className="block text-xs text-zinc-500 mb-2">Devices</span>
+              <ul className="space-y-1.5">
+                {household.members.map(member => (
+                  <li key={member.id} className="flex items-center justify-between text-sm">
+                    <span className="text-zinc-200">
+                      {member.name}
+                      {member.id === household.memberId && <span className="ml-2 text-xs text-zinc-500">this device</span>}
+                    </span>
+                    <span className="text-xs text-zinc-600">seen {timeAgo(member.lastSeenAt)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          {sync.error && (
+            <div className="rounded-xl bg-red-500/10 border border-red-500/20 p-4 text-red-400 text-sm">{sync.error}</div>
+          )}
+
+          <p className="text-center text-xs text-zinc-600">
+            Edits sync in the background and work offline; when two devices change the same item, the later change wins.
+          </p>
+
+          <button onClick={sync.leave} className="w-full py-3 rounded-xl text-sm text-zinc-500 hover:text-red-400 transition-colors">
+            Leave household (this device keeps a copy)
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default HouseholdView
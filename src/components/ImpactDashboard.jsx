@@ -0,0 +1,157 @@
+import { useState } from 'react'
+import {
+  METRICS, bucketLedger, compareModes, daysLeftInMonth, entriesThisMonth, estimateSavings, formatMetric, totalsOf,
+} from '../lib/ledger.js'
+
+const PERIODS = { day: { label: 'Days', count: 14 }, week: { label: 'Weeks', count: 12 } };
+
+const tabClass = (active) => `px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${active
+  ? 'bg-zinc-800 text-zinc-100'
+  : 'text-zinc-500 hover:text-zinc-300'}`;
+
+const cardClass = 'rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5';
+
+// Stacked bars: photo scans on top of text requests
+function BarChart({ buckets, metric }) {
+  const max = Math.max(...buckets.map(b => b.total[metric]), 0);
+  return (
+    <div className="flex items-end gap-1 h-40" role="img" aria-label={`${METRICS[metric].label} per period`}>
+      {buckets.map(bucket => (
+        <div key={bucket.from.getTime()} className="flex-1 flex flex-col items-center gap-1 h-full">
+          <div
+            className="w-full flex-1 flex flex-col justify-end"
+            title={`${bucket.from.toLocaleDateString()}: ${formatMetric(bucket.total[metric], metric)} · ${bucket.total.requests} requests`}
+          >
+            {max > 0 && (
+              <>
+                <div className="w-full rounded-t bg-blue-400/70" style={{ height: `${(bucket.photo[metric] / max) * 100}%` }} />
+                <div className="w-full bg-emerald-400/70" style={{ height: `${(bucket.text[metric] / max) * 100}%` }} />
+              </>
+            )}
+          </div>
+          <span className="text-[10px] text-zinc-600">{bucket.label}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ImpactDashboard({ ledger, budget, setBudget, estimateOptions, onClear, onBack }) {
+  const [period, setPeriod] = useState('day');
+  const [metric, setMetric] = useState('water');
+
+  const month = totalsOf(entriesThisMonth(ledger));
+  const allTime = totalsOf(ledger);
+  const buckets = bucketLedger(ledger, { period, count: PERIODS[period].count });
+  const modes = compareModes(ledger);
+  const savings = estimateSavings(ledger, estimateOptions);
+  const budgetUsed = budget ? Math.min(100, (month.water / budget) * 100) : 0;
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
+        Back
+      </button>
+
+      <div className="text-center space-y-2">
+        <h2 className="text-2xl font-bold text-zinc-100">Your AI Footprint</h2>
+        <p className="text-zinc-500">Estimated from every request made on this device.</p>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        {Object.keys(METRICS).map(key => (
+          <div key={key} className="text-center p-3 rounded-xl bg-zinc-900/50 border border-zinc-800">
+            <div className="text-lg font-bold text-zinc-100">{formatMetric(month[key], key)}</div>
+            <div className="text-xs text-zinc-500">{METRICS[key].label} this month</div>
+            <div className="text-[10px] text-zinc-600">{formatMetric(allTime[key], key)} all time</div>
+          </div>
+        ))}
+      </div>
+
+      <div className={cardClass}>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <div className="flex gap-1">
+            {Object.entries(METRICS).map(([key, { label }]) => (
+              <button key={key} onClick={() => setMetric(key)} className={tabClass(metric === key)}>{label}</button>
+            ))}
+          </div>
+          <div className="flex gap-1">
+            {Object.entries(PERIODS).map(([key, { label }]) => (
+              <button key={key} onClick={() => setPeriod(key)} className={tabClass(period === key)}>{label}</button>
+            ))}
+          </div>
+        </div>
+        <BarChart buckets={buckets} metric={metric} />
+        <div className="mt-3 flex gap-4 text-xs text-zinc-500">
+          <span className="flex items-center gap-1.5"><span className="w-2.5 h-2.5 rounded-sm bg-blue-400/70" /> Photo scans</span>
+          <span className="flex items-center gap-1.5"><span className="w-2.5 h-2.5 rounded-sm bg-emerald-400/70" /> Text requests</span>
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <h3 className="text-sm font-medium text-zinc-400 mb-3">Photo vs text</h3>
+        <div className="grid grid-cols-2 gap-3 text-sm">
+          {[['photo', 'Photo scans'], ['text', 'Text requests']].map(([key, label]) => (
+            <div key={key} className="p-3 rounded-xl bg-zinc-950/50 border border-zinc-800/50 space-y-1">
+              <div className="text-zinc-300 font-medium">{label}</div>
+              <div className="text-xs text-zinc-500">{modes[key].requests} requests · {formatMetric(modes[key][metric], metric)}</div>
+              <div className="text-xs text-zinc-500">
+                {modes[key].average ? `${formatMetric(modes[key].average[metric], metric)} per request` : 'No requests yet'}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <h3 className="text-sm font-medium text-zinc-400 mb-3">Estimated savings</h3>
+        <ul className="space-y-2 text-sm text-zinc-400">
+          <li>Using Quick List instead of photo scans saved ~{formatMetric(savings.byQuickList[metric], metric)}.</li>
+          <li>Cached answers saved ~{formatMetric(savings.byCache[metric], metric)}.</li>
+          {savings.potential[metric] > 0 && (
+            <li className="text-zinc-500">Typing your ingredients instead of your photo scans could have saved another ~{formatMetric(savings.potential[metric], metric)}.</li>
+          )}
+        </ul>
+      </div>
+
+      <div className={cardClass}>
+        <h3 className="text-sm font-medium text-zinc-400 mb-3">Monthly water budget</h3>
+        <label className="flex items-center gap-2 text-sm text-zinc-500">
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={budget ?? ''}
+            onChange={(e) => setBudget(e.target.value === '' || Number(e.target.value) <= 0 ? null : Number(e.target.value))}
+            placeholder="No budget"
+            className="w-28 bg-zinc-950 border border-zinc-800 rounded-lg px-2 py-1.5 text-sm text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50"
+          />
+          ml per month
+        </label>
+        {budget && (
+          <div className="mt-3 space-y-1">
+            <div className="h-2 rounded-full bg-zinc-800 overflow-hidden">
+              <div
+                className={`h-full ${month.water > budget ? 'bg-red-400' : budgetUsed > 80 ? 'bg-amber-400' : 'bg-emerald-400'}`}
+                style={{ width: `${budgetUsed}%` }}
+              />
+            </div>
+            <p className="text-xs text-zinc-500">
+              {formatMetric(month.water, 'water')} of {budget} ml used · {daysLeftInMonth()} days left this month.
+              You'll be warned before a photo scan that would go over.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {ledger.length > 0 && (
+        <button onClick={onClear} className="w-full text-xs text-zinc-600 hover:text-red-400 transition-colors">
+          Clear impact history
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default ImpactDashboard
@@ -0,0 +1,30 @@
+import { IMAGE_TOKEN_WEIGHT, PUE, SOURCES } from '../lib/impact.js'
+
+// Collapsible "how is this calculated" note with the studies behind the coefficients
+function ImpactSources() {
+  return (
+    <details className="mt-3 text-xs text-zinc-500">
+      <summary className="cursor-pointer text-zinc-400 hover:text-zinc-300">How these numbers are estimated</summary>
+      <div className="mt-2 space-y-2 leading-relaxed">
+        <p>
+          Energy is estimated per token from the model's size class: output tokens cost most, input tokens far less,
+          and photo tokens are weighted ×{IMAGE_TOKEN_WEIGHT.mid} (×{IMAGE_TOKEN_WEIGHT.low}–{IMAGE_TOKEN_WEIGHT.high}) for the vision encoder.
+          Data centre overhead (PUE {PUE.mid}) is added, then water and CO₂ come from the selected grid.
+          Providers don't publish per-request figures, so every number is a range.
+        </p>
+        <ul className="space-y-1.5">
+          {SOURCES.map(source => (
+            <li key={source.id}>
+              <a href={source.url} target="_blank" rel="noreferrer" className="text-zinc-400 underline decoration-zinc-700 hover:text-zinc-300">
+                {source.title}
+              </a>
+              <span className="text-zinc-600"> · {source.note}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </details>
+  )
+}
+
+export default ImpactSources
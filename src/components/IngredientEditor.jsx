@@ -0,0 +1,95 @@
+import { useState } from 'react'
+
+// Editable ingredient chips: click a chip to rename it, × to remove it, and
+// the trailing input to add more (comma-separated works too). `sources` tags
+// multi-photo results with where each item was seen.
+function IngredientEditor({ ingredients, sources = [], onChange, disabled }) {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [newItem, setNewItem] = useState('');
+
+  const startEdit = (i) => {
+    setEditing(i);
+    setDraft(ingredients[i]);
+  };
+
+  const commitEdit = () => {
+    const value = draft.trim();
+    onChange(value
+      ? ingredients.map((ing, i) => (i === editing ? value : ing))
+      : ingredients.filter((_, i) => i !== editing));
+    setEditing(null);
+  };
+
+  const locationsOf = new Map(sources.map(s => [s.name.toLowerCase(), s.locations]));
+
+  const remove = (index) => onChange(ingredients.filter((_, i) => i !== index));
+
+  const add = (e) => {
+    e.preventDefault();
+    const known = new Set(ingredients.map(ing => ing.toLowerCase()));
+    const added = newItem.split(',')
+      .map(s => s.trim())
+      .filter(s => s && !known.has(s.toLowerCase()));
+    if (added.length) onChange([...ingredients, ...added]);
+    setNewItem('');
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {ingredients.map((ing, i) => (
+        editing === i ? (
+          <input
+            key={i}
+            autoFocus
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commitEdit}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitEdit();
+              if (e.key === 'Escape') setEditing(null);
+            }}
+            className="px-3 py-1.5 rounded-full bg-zinc-950 border border-emerald-500/50 text-zinc-100 text-sm w-36 focus:outline-none"
+          />
+        ) : (
+          <span key={i} className="group inline-flex items-center rounded-full bg-zinc-800 text-zinc-300 text-sm">
+            <button
+              type="button"
+              disabled={disabled}
+              onClick={() => startEdit(i)}
+              title="Edit"
+              className="pl-3 pr-1.5 py-1.5 hover:text-zinc-100 transition-colors"
+            >
+              {ing}
+              {locationsOf.get(ing.toLowerCase())?.length > 0 && (
+                <span className="ml-1.5 text-[10px] uppercase tracking-wide text-zinc-500">
+                  {locationsOf.get(ing.toLowerCase()).join(' · ')}
+                </span>
+              )}
+            </button>
+            <button
+              type="button"
+              disabled={disabled}
+              onClick={() => remove(i)}
+              aria-label={`Remove ${ing}`}
+              className="pr-3 pl-1 py-1.5 text-zinc-500 hover:text-red-400 transition-colors"
+            >
+              ×
+            </button>
+          </span>
+        )
+      ))}
+      <form onSubmit={add}>
+        <input
+          value={newItem}
+          disabled={disabled}
+          onChange={(e) => setNewItem(e.target.value)}
+          placeholder="+ Add ingredient"
+          className="px-3 py-1.5 rounded-full bg-transparent border border-dashed border-zinc-700 text-zinc-300 text-sm w-40 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50"
+        />
+      </form>
+    </div>
+  )
+}
+
+export default IngredientEditor
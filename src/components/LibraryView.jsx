@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import RecipeCard from './RecipeCard.jsx'
+import RecipeActions from './RecipeActions.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import { matchesFilter, modeLabel } from '../lib/history.js'
+
+const TIME_FILTERS = [null, 15, 30, 60];
+
+const tabClass = (active) => `flex-1 py-2 rounded-lg text-sm font-medium transition-colors ${active
+  ? 'bg-zinc-800 text-zinc-100'
+  : 'text-zinc-500 hover:text-zinc-300'}`;
+
+function LibraryView({ history, favourites, onToggleFavourite, pickedIds, onTogglePicked, onCook, onPrint, units, onUnitsChange, onOpen, onClearHistory, onBack }) {
+  const [tab, setTab] = useState(favourites.length ? 'favourites' : 'history');
+  const [query, setQuery] = useState('');
+  const [maxMinutes, setMaxMinutes] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const filter = { query, maxMinutes };
+
+  const visibleFavourites = favourites.filter(f => matchesFilter(f.recipe, f.ingredients, filter));
+  const visibleHistory = history.filter(entry =>
+    entry.recipes.some(recipe => matchesFilter(recipe, entry.ingredients, filter)));
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
+        Back
+      </button>
+
+      <div className="text-center space-y-2">
+        <h2 className="text-2xl font-bold text-zinc-100">Saved Recipes</h2>
+        <p className="text-zinc-500">Reopening a saved result doesn't use any AI.</p>
+      </div>
+
+      <div className="flex gap-1 p-1 rounded-xl bg-zinc-900/50 border border-zinc-800">
+        <button onClick={() => setTab('favourites')} className={tabClass(tab === 'favourites')}>
+          Favourites ({favourites.length})
+        </button>
+        <button onClick={() => setTab('history')} className={tabClass(tab === 'history')}>
+          History ({history.length})
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by name or ingredient"
+          className="w-full bg-zinc-950 border border-zinc-800 rounded-xl px-4 py-3 text-sm text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50"
+        />
+        <div className="flex gap-2">
+          {TIME_FILTERS.map(minutes => (
+            <button
+              key={minutes ?? 'any'}
+              onClick={() => setMaxMinutes(minutes)}
+              className={`text-xs px-3 py-1.5 rounded-full border transition-colors ${maxMinutes === minutes
+                ? 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30'
+                : 'bg-zinc-900 text-zinc-400 border-zinc-800 hover:border-zinc-700'}`}
+            >
+              {minutes ? `≤ ${minutes} min` : 'Any time'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {tab === 'favourites' && (
+        <div className="space-y-3">
+          {visibleFavourites.length === 0 && (
+            <p className="text-center text-sm text-zinc-600 py-8">
+              {favourites.length ? 'No favourites match.' : 'Star a recipe to keep it here.'}
+            </p>
+          )}
+          {visibleFavourites.map(fav => (
+            <RecipeCard
+              key={fav.id}
+              recipe={fav.recipe}
+              expanded={expanded === fav.id}
+              onToggle={() => setExpanded(expanded === fav.id ? null : fav.id)}
+              starred
+              onToggleStar={() => onToggleFavourite(fav)}
+              units={units}
+              onUnitsChange={onUnitsChange}
+            >
+              <RecipeActions
+                picked={pickedIds.has(fav.id)}
+                onTogglePick={() => onTogglePicked(fav)}
+                onCook={() => onCook(fav)}
+              />
+              <ExportMenu recipes={[fav.recipe]} units={units} onPrint={onPrint} className="mt-4" />
+            </RecipeCard>
+          ))}
+        </div>
+      )}
+
+      {tab === 'history' && (
+        <div className="space-y-3">
+          {visibleHistory.length === 0 && (
+            <p className="text-center text-sm text-zinc-600 py-8">
+              {history.length ? 'No saved results match.' : 'Your past scans and lists will show up here.'}
+            </p>
+          )}
+          {visibleHistory.map(entry => (
+            <button
+              key={entry.id}
+              onClick={() => onOpen(entry)}
+              className="w-full text-left rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5 hover:border-zinc-700 transition-colors"
+            >
+              <div className="flex items-center justify-between gap-3 mb-1">
+                <span className="text-xs text-zinc-500">
+                  {new Date(entry.createdAt).toLocaleString()} · {modeLabel(entry.mode)}
+                </span>
+                {entry.impact && (
+                  <span className="text-xs text-zinc-600">{entry.impact.water.toFixed(1)}ml H₂O</span>
+                )}
+              </div>
+              <div className="font-medium text-zinc-200">{entry.recipes.map(r => r.name).join(' · ')}</div>
+              <div className="text-sm text-zinc-500 truncate">{entry.ingredients.join(', ')}</div>
+            </button>
+          ))}
+          {history.length > 0 && (
+            <button
+              onClick={onClearHistory}
+              className="w-full py-3 rounded-xl text-sm text-zinc-500 hover:text-zinc-300 transition-colors"
+            >
+              Clear history
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LibraryView
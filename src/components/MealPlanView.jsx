@@ -0,0 +1,261 @@
+import { useState } from 'react'
+import RecipeCard from './RecipeCard.jsx'
+import RecipeActions from './RecipeActions.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import { estimateRequest, formatRange } from '../lib/impact.js'
+import { DEFAULT_SETTINGS, MAX_DAYS, MAX_PEOPLE, MEALS, dayLabel, planAsPicked, planCalls, planMealId, slotIndex } from '../lib/mealPlan.js'
+import { groupByAisle, shoppingItems } from '../lib/shopping.js'
+
+const numberClass = 'w-full bg-zinc-950 border border-zinc-800 rounded-xl px-3 py-2 text-sm text-zinc-100 focus:outline-none focus:border-emerald-500/50';
+
+// Static so Tailwind sees every class
+const COLUMNS = { 1: 'sm:grid-cols-1', 2: 'sm:grid-cols-2', 3: 'sm:grid-cols-3' };
+
+const Spinner = () => (
+  <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+  </svg>
+);
+
+// Several days of meals from one ingredient list. The form starts from the
+// last plan's settings; `defaultIngredients` prefills the list. Meals are
+// identified by their index in `plan.recipes`. `swapping` is the index being
+// replaced; other meals stay put while it's in flight. Plans aren't queued
+// like scans, so planning and swapping wait until the device is `online`.
+function MealPlanView({
+  plan, defaultIngredients, pantryCount, online, loading, swapping, error, estimateOptions, pickedIds, have, units,
+  onUnitsChange, onGenerate, onSwap, onCancel, onTogglePick, onCook, onPickAll, onPrint, onBack,
+}) {
+  const [text, setText] = useState(defaultIngredients);
+  const [usePantry, setUsePantry] = useState(pantryCount > 0 && !defaultIngredients);
+  const [days, setDays] = useState(plan?.days ?? DEFAULT_SETTINGS.days);
+  const [people, setPeople] = useState(plan?.people ?? DEFAULT_SETTINGS.people);
+  const [meals, setMeals] = useState(plan?.meals ?? DEFAULT_SETTINGS.meals);
+  const [selected, setSelected] = useState(null);
+
+  const canGenerate = (text.trim() || (usePantry && pantryCount > 0)) && meals.length > 0 && !loading && online;
+  const ingredientCount = text.split(',').filter(item => item.trim()).length + (usePantry ? pantryCount : 0);
+  const estimate = estimateRequest('meal-plan', { ...estimateOptions, ingredientCount, recipeCount: days * meals.length, calls: planCalls(days, meals) });
+  const swapEstimate = estimateRequest('refine', { ...estimateOptions, ingredientCount: plan?.ingredients.length });
+
+  const recipes = plan?.recipes ?? [];
+  const planned = plan ? planAsPicked(plan) : [];
+  const groups = groupByAisle(shoppingItems({ picked: planned, have }));
+  const allPicked = planned.length > 0 && planned.every(p => pickedIds.has(p.id));
+  const selectedRecipe = selected !== null ? recipes[selected] : null;
+
+  const toggleMeal = (meal) => setMeals(prev => (prev.includes(meal)
+    ? prev.filter(m => m !== meal)
+    : MEALS.filter(m => m === meal || prev.includes(m))));
+
+  const generate = () => {
+    setSelected(null);
+    onGenerate({ text: text.trim(), usePantry: usePantry && pantryCount > 0, days, people, meals });
+  };
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
+        Back
+      </button>
+
+      <div className="text-center space-y-2">
+        <h2 className="text-2xl font-bold text-zinc-100">Meal Plan</h2>
+        <p className="text-zinc-500">A few days of meals from what you have, perishables first, with one shopping list.</p>
+      </div>
+
+      <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-6 space-y-4">
+        <label className="block">
+          <span className="block text-sm font-medium text-zinc-400 mb-3">What do you have?</span>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="chicken, eggs, spinach, rice, yoghurt..."
+            className="w-full h-24 bg-zinc-950 border border-zinc-800 rounded-xl p-4 text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50 focus:ring-1 focus:ring-emerald-500/20 resize-none transition-all"
+          />
+        </label>
+        {pantryCount > 0 && (
+          <label className="flex items-center gap-2 text-sm text-zinc-400 cursor-pointer">
+            <input type="checkbox" checked={usePantry} onChange={(e) => setUsePantry(e.target.checked)} className="accent-emerald-500" />
+            Also use my pantry ({pantryCount} items, soonest to expire first)
+          </label>
+        )}
+        <div className="grid grid-cols-2 gap-3">
+          <label className="text-xs text-zinc-500">
+            Days
+            <input
+              type="number"
+              min={1}
+              max={MAX_DAYS}
+              value={days}
+              onChange={(e) => setDays(Math.min(MAX_DAYS, Math.max(1, Math.round(Number(e.target.value)) || 1)))}
+              className={`mt-1 ${numberClass}`}
+            />
+          </label>
+          <label className="text-xs text-zinc-500">
+            People
+            <input
+              type="number"
+              min={1}
+              max={MAX_PEOPLE}
+              value={people}
+              onChange={(e) => setPeople(Math.min(MAX_PEOPLE, Math.max(1, Math.round(Number(e.target.value)) || 1)))}
+              className={`mt-1 ${numberClass}`}
+            />
+          </label>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {MEALS.map(meal => (
+            <button
+              key={meal}
+              onClick={() => toggleMeal(meal)}
+              aria-pressed={meals.includes(meal)}
+              className={`text-sm px-3 py-1.5 rounded-full border capitalize transition-colors ${meals.includes(meal) ? 'bg-emerald-500/10 border-emerald-500/30 text-emerald-400' : 'bg-zinc-900 border-zinc-800 text-zinc-500 hover:border-zinc-700'}`}
+            >
+              {meal}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <button
+        onClick={generate}
+        disabled={!canGenerate}
+        className="w-full py-4 rounded-xl font-semibold bg-gradient-to-r from-teal-500 to-emerald-500 text-zinc-950 hover:from-teal-400 hover:to-emerald-400 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg shadow-teal-500/20 hover:shadow-teal-500/30"
+      >
+        {loading ? (
+          <span className="flex items-center justify-center gap-2"><Spinner /> Planning {days * meals.length} meals...</span>
+        ) : !online ? 'Plan when back online' : plan ? 'Plan again' : 'Plan my meals'}
+      </button>
+
+      {loading && (
+        <button onClick={onCancel} className="w-full py-2 text-sm text-zinc-500 hover:text-zinc-300 transition-colors">
+          Cancel
+        </button>
+      )}
+
+      <p className="text-center text-xs text-zinc-600">
+        {online
+          ? `One text-only request for ${days * meals.length} meals · estimated ${formatRange(estimate.range.water)} ml water`
+          : "You're offline. Meal plans need a connection, so they aren't queued like scans."}
+      </p>
+
+      {error && (
+        <div className="rounded-xl bg-red-500/10 border border-red-500/20 p-4 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      {plan && (
+        <div className="space-y-3">
+          <div className="flex items-start justify-between gap-3">
+            <h3 className="text-sm font-medium text-zinc-400">
+              {plan.days} day{plan.days === 1 ? '' : 's'} for {plan.people} {plan.people === 1 ? 'person' : 'people'}
+            </h3>
+            {!loading && recipes.length > 1 && (
+              <ExportMenu recipes={recipes.filter(Boolean)} label="Export plan" units={units} onPrint={onPrint} className="text-right" />
+            )}
+          </div>
+
+          {Array.from({ length: plan.days }, (_, i) => i + 1).map(day => (
+            <div key={day} className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-3">
+              <h4 className="px-2 pb-2 text-xs font-medium text-zinc-500 uppercase tracking-wider">{dayLabel(plan, day)}</h4>
+              <div className={`grid gap-2 ${COLUMNS[plan.meals.length]}`}>
+                {plan.meals.map(meal => {
+                  const index = slotIndex(plan, day, meal);
+                  const recipe = recipes[index];
+                  if (!recipe) {
+                    return (
+                      <div key={meal} className="rounded-xl border border-dashed border-zinc-800 p-3 text-sm text-zinc-600">
+                        <div className="text-[11px] uppercase tracking-wider mb-1">{meal}</div>
+                        {loading ? 'Planning...' : 'Nothing planned'}
+                      </div>
+                    );
+                  }
+                  return (
+                    <div
+                      key={meal}
+                      className={`relative rounded-xl border p-3 transition-colors ${selected === index ? 'border-emerald-500/40 bg-emerald-500/5' : 'border-zinc-800 bg-zinc-950/50 hover:border-zinc-700'}`}
+                    >
+                      <button onClick={() => setSelected(selected === index ? null : index)} className="w-full text-left pr-6">
+                        <div className="text-[11px] uppercase tracking-wider text-zinc-500 mb-1">{meal}</div>
+                        <div className="text-sm font-medium text-zinc-100">{recipe.name}</div>
+                        {recipe.time?.label && <div className="text-xs text-zinc-600 mt-0.5">{recipe.time.label}</div>}
+                      </button>
+                      {swapping === index ? (
+                        <button onClick={onCancel} aria-label="Cancel swap" className="absolute right-2 top-2 text-zinc-400 hover:text-zinc-200">
+                          <Spinner />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => onSwap(index)}
+                          disabled={loading || swapping !== null || !online}
+                          aria-label={`Swap ${recipe.name}`}
+                          title={online ? `Swap for another ${meal} · ~${formatRange(swapEstimate.range.water)} ml water` : 'Swapping needs a connection'}
+                          className="absolute right-2 top-2 text-zinc-500 hover:text-emerald-400 disabled:opacity-30 transition-colors"
+                        >
+                          ↻
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+
+          {selectedRecipe && (
+            <RecipeCard recipe={selectedRecipe} expanded onToggle={() => setSelected(null)} units={units} onUnitsChange={onUnitsChange}>
+              <RecipeActions
+                picked={pickedIds.has(planMealId(plan, selected))}
+                onTogglePick={() => onTogglePick(selected)}
+                onCook={() => onCook(selected)}
+              />
+              <ExportMenu recipes={[selectedRecipe]} units={units} onPrint={onPrint} className="mt-4" />
+            </RecipeCard>
+          )}
+
+          {!loading && (
+            <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5">
+              <div className="flex items-center justify-between gap-3 mb-3">
+                <h3 className="text-sm font-medium text-zinc-400">Shopping for this plan</h3>
+                {planned.length > 0 && (
+                  <button
+                    onClick={onPickAll}
+                    disabled={allPicked}
+                    className="text-xs text-emerald-400 hover:text-emerald-300 disabled:text-zinc-600 transition-colors"
+                  >
+                    {allPicked ? 'On your shopping list' : 'Add all to my shopping list'}
+                  </button>
+                )}
+              </div>
+              {groups.length === 0 ? (
+                <p className="text-sm text-zinc-600">Nothing to buy: you have everything this plan needs.</p>
+              ) : (
+                <div className="space-y-3">
+                  {groups.map(group => (
+                    <div key={group.key}>
+                      <h4 className="text-xs font-medium text-zinc-500 uppercase tracking-wider mb-1">{group.label}</h4>
+                      <ul className="text-sm text-zinc-300 space-y-0.5">
+                        {group.items.map(item => (
+                          <li key={item.key} className="flex gap-3">
+                            <span>{item.name}</span>
+                            <span className="ml-auto text-xs text-zinc-600 truncate">{item.recipes.join(', ')}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MealPlanView
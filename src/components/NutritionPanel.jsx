@@ -0,0 +1,37 @@
+const FIELDS = [
+  { key: 'protein', label: 'Protein' },
+  { key: 'carbs', label: 'Carbs' },
+  { key: 'fat', label: 'Fat' },
+  { key: 'fiber', label: 'Fiber' },
+];
+
+// Per-serving nutrition estimated on the server from the ingredient lines.
+// Recipes saved before estimates existed render nothing.
+function NutritionPanel({ nutrition }) {
+  if (!nutrition) return null;
+  const { perServing, matched, unmatched } = nutrition;
+
+  return (
+    <div className="pt-4">
+      <h5 className="text-xs font-medium text-zinc-500 uppercase tracking-wider mb-3">Nutrition per serving</h5>
+      <div className="grid grid-cols-5 gap-2 text-center">
+        <div className="rounded-lg bg-zinc-900 border border-zinc-800 py-2">
+          <div className="text-sm font-semibold text-zinc-100">{perServing.calories}</div>
+          <div className="text-xs text-zinc-500">kcal</div>
+        </div>
+        {FIELDS.map(field => (
+          <div key={field.key} className="rounded-lg bg-zinc-900 border border-zinc-800 py-2">
+            <div className="text-sm font-semibold text-zinc-100">{perServing[field.key]} g</div>
+            <div className="text-xs text-zinc-500">{field.label}</div>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-zinc-600 mt-2">
+        Estimated from {matched} of {matched + unmatched.length} ingredients
+        {unmatched.length > 0 && ` (not counted: ${unmatched.join(', ')})`}.
+      </p>
+    </div>
+  )
+}
+
+export default NutritionPanel
@@ -0,0 +1,147 @@
+import { useState } from 'react'
+import { mergeIntoPantry } from '../lib/pantry.js'
+import { FRESHNESS_STYLES, daysLeft, describeDaysLeft, freshnessOf } from '../lib/freshness.js'
+
+const UNITS = ['', 'pcs', 'g', 'kg', 'ml', 'l', 'cup', 'tbsp', 'pack', 'can', 'jar'];
+
+const inputClass = 'bg-zinc-950 border border-zinc-800 rounded-lg px-2 py-1.5 text-sm text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50';
+
+function PantryView({ pantry, setPantry, onCook, onUseItUp, onCancel, loading, error, onBack, sharedWith }) {
+  const [name, setName] = useState('');
+
+  const update = (id, fields) =>
+    setPantry(prev => prev.map(item => (item.id === id ? { ...item, ...fields } : item)));
+
+  const remove = (id) => setPantry(prev => prev.filter(item => item.id !== id));
+
+  const add = (e) => {
+    e.preventDefault();
+    const names = name.split(',').map(s => s.trim()).filter(Boolean);
+    if (names.length) setPantry(prev => mergeIntoPantry(prev, names).pantry);
+    setName('');
+  };
+
+  // Soonest best-before first, undated items alphabetically after them
+  const sorted = pantry
+    .map(item => ({ ...item, days: daysLeft(item.bestBefore) }))
+    .sort((a, b) => (a.days ?? Infinity) - (b.days ?? Infinity) || a.name.localeCompare(b.name));
+  const atRiskCount = sorted.filter(item => item.days !== null && item.days <= 3).length;
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
+        Back
+      </button>
+
+      <div className="text-center space-y-2">
+        <h2 className="text-2xl font-bold text-zinc-100">My Pantry</h2>
+        <p className="text-zinc-500">
+          {sharedWith ? `Shared with ${sharedWith}.` : 'Saved on this device.'} Add scans and lists to keep it up to date.
+        </p>
+      </div>
+
+      <form onSubmit={add} className="flex gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Add items, e.g. eggs, rice, spinach"
+          className={`${inputClass} flex-1 px-4 py-3 rounded-xl`}
+        />
+        <button type="submit" className="px-5 rounded-xl bg-zinc-800 text-zinc-200 text-sm font-medium hover:bg-zinc-700 transition-colors">
+          Add
+        </button>
+      </form>
+
+      {sorted.length === 0 ? (
+        <p className="text-center text-sm text-zinc-600 py-8">Your pantry is empty.</p>
+      ) : (
+        <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 divide-y divide-zinc-800/50">
+          {sorted.map(item => (
+            <div key={item.id} className="p-4 flex flex-wrap items-center gap-3">
+              <div className="flex-1 min-w-32">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium text-zinc-200">{item.name}</span>
+                  {item.days !== null && (
+                    <span className={`text-xs px-2 py-0.5 rounded-full border ${FRESHNESS_STYLES[freshnessOf(item.days)]}`}>
+                      {describeDaysLeft(item.days)}
+                    </span>
+                  )}
+                </div>
+                <div className="text-xs text-zinc-600">Added {new Date(item.addedAt).toLocaleDateString()}</div>
+              </div>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={item.quantity ?? ''}
+                onChange={(e) => update(item.id, { quantity: e.target.value === '' ? null : Number(e.target.value) })}
+                placeholder="Qty"
+                aria-label={`${item.name} quantity`}
+                className={`${inputClass} w-20`}
+              />
+              <select
+                value={item.unit}
+                onChange={(e) => update(item.id, { unit: e.target.value })}
+                aria-label={`${item.name} unit`}
+                className={inputClass}
+              >
+                {UNITS.map(unit => <option key={unit} value={unit}>{unit || 'unit'}</option>)}
+              </select>
+              <label className="flex items-center gap-2 text-xs text-zinc-500">
+                Best before
+                <input
+                  type="date"
+                  value={item.bestBefore ?? ''}
+                  onChange={(e) => update(item.id, { bestBefore: e.target.value || null })}
+                  className={inputClass}
+                />
+              </label>
+              <button
+                onClick={() => remove(item.id)}
+                aria-label={`Remove ${item.name}`}
+                className="text-zinc-600 hover:text-red-400 transition-colors px-2"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {sorted.length > 0 && (
+        <button
+          onClick={onUseItUp}
+          disabled={loading}
+          className="w-full py-4 rounded-xl font-semibold bg-gradient-to-r from-amber-400 to-emerald-500 text-zinc-950 hover:from-amber-300 hover:to-emerald-400 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg shadow-amber-500/20"
+        >
+          Use it up{atRiskCount > 0 && <span className="font-normal opacity-75"> · {atRiskCount} expiring soon</span>}
+        </button>
+      )}
+
+      {sorted.length > 0 && (
+        <button
+          onClick={onCook}
+          disabled={loading}
+          className="w-full py-3 rounded-xl font-medium bg-zinc-800 text-zinc-200 hover:bg-zinc-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {loading ? 'Finding recipes...' : `Get recipes from my pantry (${sorted.length})`}
+        </button>
+      )}
+
+      {loading && (
+        <button onClick={onCancel} className="w-full py-2 text-sm text-zinc-500 hover:text-zinc-300 transition-colors">
+          Cancel
+        </button>
+      )}
+
+      {error && (
+        <div className="rounded-xl bg-red-500/10 border border-red-500/20 p-4 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PantryView
@@ -0,0 +1,57 @@
+const timeOf = (iso) => new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Connection banner: shown while offline or while queued requests wait to be
+// sent. Queued requests can be dropped before they go out; scans whose photos
+// couldn't be stored on the device are flagged, as closing the app loses them.
+function PendingRequests({ pending, online, onRemove, onOpenSaved }) {
+  if (online && !pending.length) return null;
+
+  return (
+    <div className="mb-8 rounded-2xl bg-amber-500/5 border border-amber-500/20 p-4 space-y-3" role="status">
+      <div>
+        <p className="text-sm font-medium text-amber-300">
+          {online ? 'Back online, sending your queued requests...' : "You're offline"}
+        </p>
+        {!online && (
+          <p className="text-xs text-zinc-500 mt-1">
+            {pending.length
+              ? "Queued requests are sent automatically when the connection returns; you'll see the recipes here."
+              : 'New scans and ingredient lists will be queued and sent when the connection returns.'}
+            {' '}
+            <button onClick={onOpenSaved} className="text-amber-200/80 underline hover:text-amber-100">
+              Saved recipes
+            </button>
+            {' '}still work offline.
+          </p>
+        )}
+      </div>
+
+      {pending.length > 0 && (
+        <ul className="space-y-1.5">
+          {pending.map(request => (
+            <li key={request.id} className="flex items-center gap-3 text-sm">
+              <span className="w-1.5 h-1.5 rounded-full bg-amber-400 animate-pulse shrink-0" />
+              <span className="text-zinc-300 truncate">{request.label}</span>
+              {request.unsaved ? (
+                <span className="text-xs text-amber-400/80 shrink-0" title="There was no room to store the photos on this device">
+                  keep the app open to send this
+                </span>
+              ) : (
+                <span className="text-xs text-zinc-600 shrink-0">queued {timeOf(request.queuedAt)}</span>
+              )}
+              <button
+                onClick={() => onRemove(request.id)}
+                aria-label={`Don't send ${request.label}`}
+                className="ml-auto text-xs text-zinc-500 hover:text-zinc-300 transition-colors"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default PendingRequests
@@ -0,0 +1,88 @@
+import { useRef } from 'react'
+import { MAX_PHOTOS, PHOTO_LOCATIONS, formatBytes } from '../lib/image.js'
+
+// Drop zone plus one tile per photo, each tagged with where it was taken
+function PhotoPicker({ photos, setPhotos, preparing, onFiles }) {
+  const fileInputRef = useRef(null);
+  const full = photos.length >= MAX_PHOTOS;
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    onFiles([...e.dataTransfer.files]);
+  };
+
+  const update = (id, fields) =>
+    setPhotos(prev => prev.map(photo => (photo.id === id ? { ...photo, ...fields } : photo)));
+
+  const remove = (id) => setPhotos(prev => prev.filter(photo => photo.id !== id));
+
+  return (
+    <div className="space-y-4">
+      {photos.length > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+          {photos.map((photo, i) => (
+            <div key={photo.id} className="relative rounded-xl bg-zinc-900/50 border border-zinc-800 p-2 space-y-2">
+              <img src={photo.preview} alt={`Photo ${i + 1}`} className="h-28 w-full object-cover rounded-lg" />
+              <button
+                onClick={() => remove(photo.id)}
+                aria-label={`Remove photo ${i + 1}`}
+                className="absolute top-3 right-3 w-6 h-6 rounded-full bg-zinc-950/80 text-zinc-400 hover:text-red-400 text-sm transition-colors"
+              >
+                ×
+              </button>
+              <select
+                value={photo.location}
+                onChange={(e) => update(photo.id, { location: e.target.value })}
+                aria-label={`Photo ${i + 1} location`}
+                className="w-full bg-zinc-950 border border-zinc-800 rounded-lg px-2 py-1 text-xs text-zinc-300 capitalize focus:outline-none focus:border-emerald-500/50"
+              >
+                {PHOTO_LOCATIONS.map(location => <option key={location} value={location}>{location}</option>)}
+              </select>
+              <p className="text-[10px] text-zinc-600 text-center">
+                {photo.width}×{photo.height} · {formatBytes(photo.originalBytes)} → {formatBytes(photo.bytes)}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!full && (
+        <div
+          onDrop={handleDrop}
+          onDragOver={(e) => e.preventDefault()}
+          onClick={() => fileInputRef.current?.click()}
+          className={`rounded-2xl border-2 border-dashed text-center cursor-pointer transition-all duration-300 border-zinc-700 hover:border-zinc-600 hover:bg-zinc-900/50 ${photos.length ? 'p-4' : 'p-8'}`}
+        >
+          {preparing ? (
+            <div className="py-4 text-sm text-zinc-500">Preparing photos...</div>
+          ) : photos.length ? (
+            <p className="text-sm text-zinc-400">+ Add another shot (freezer, cupboard...) · {photos.length}/{MAX_PHOTOS}</p>
+          ) : (
+            <div className="space-y-4 py-8">
+              <div className="w-16 h-16 rounded-2xl bg-zinc-800 flex items-center justify-center text-3xl mx-auto">
+                📷
+              </div>
+              <div>
+                <p className="text-zinc-300 font-medium">Drop your photos here</p>
+                <p className="text-zinc-600 text-sm mt-1">or click to browse · fridge, freezer and pantry shots are combined</p>
+              </div>
+            </div>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept="image/*,.heic,.heif"
+            onChange={(e) => {
+              onFiles([...e.target.files]);
+              e.target.value = '';
+            }}
+            className="hidden"
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PhotoPicker
@@ -0,0 +1,133 @@
+import { useState } from 'react'
+import { ALLERGENS, CALORIE_LIMITS, DIETS, DEFAULT_PREFERENCES, NUTRITION_TARGETS } from '../lib/preferences.js'
+
+const chipClass = (active) => `text-sm px-3 py-1.5 rounded-full border transition-colors ${active
+  ? 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30'
+  : 'bg-zinc-900 text-zinc-400 border-zinc-800 hover:border-zinc-700'}`;
+
+const TIME_LIMITS = [null, 15, 30, 45, 60];
+
+// Comma-separated text field backed by a string array
+function ListField({ label, value, onChange, placeholder }) {
+  const [text, setText] = useState(value.join(', '));
+  return (
+    <label className="block">
+      <span className="block text-sm font-medium text-zinc-400 mb-2">{label}</span>
+      <input
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={() => onChange(text.split(',').map(s => s.trim()).filter(Boolean))}
+        placeholder={placeholder}
+        className="w-full bg-zinc-950 border border-zinc-800 rounded-xl px-4 py-3 text-sm text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50"
+      />
+    </label>
+  )
+}
+
+function PreferencesView({ preferences, setPreferences, onBack }) {
+  const update = (fields) => setPreferences(prev => ({ ...prev, ...fields }));
+
+  const toggleAllergen = (key) => update({
+    allergens: preferences.allergens.includes(key)
+      ? preferences.allergens.filter(a => a !== key)
+      : [...preferences.allergens, key],
+  });
+
+  const targets = preferences.targets ?? [];
+  const toggleTarget = (key) => update({
+    targets: targets.includes(key) ? targets.filter(t => t !== key) : [...targets, key],
+  });
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
+        Back
+      </button>
+
+      <div className="text-center space-y-2">
+        <h2 className="text-2xl font-bold text-zinc-100">Preferences</h2>
+        <p className="text-zinc-500">Applied to every recipe request. Recipes that mention an allergen are removed.</p>
+      </div>
+
+      <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-6 space-y-6">
+        <div>
+          <h3 className="text-sm font-medium text-zinc-400 mb-2">Diet</h3>
+          <div className="flex flex-wrap gap-2">
+            {DIETS.map(diet => (
+              <button key={diet.label} onClick={() => update({ diet: diet.key })} className={chipClass(preferences.diet === diet.key)}>
+                {diet.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-zinc-400 mb-2">Allergies</h3>
+          <div className="flex flex-wrap gap-2">
+            {ALLERGENS.map(allergen => (
+              <button key={allergen.key} onClick={() => toggleAllergen(allergen.key)} className={chipClass(preferences.allergens.includes(allergen.key))}>
+                {allergen.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-zinc-400 mb-2">Max cook time</h3>
+          <div className="flex flex-wrap gap-2">
+            {TIME_LIMITS.map(minutes => (
+              <button key={minutes ?? 'any'} onClick={() => update({ maxMinutes: minutes })} className={chipClass(preferences.maxMinutes === minutes)}>
+                {minutes ? `${minutes} min` : 'Any'}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-zinc-400 mb-2">Nutrition per serving</h3>
+          <div className="flex flex-wrap gap-2">
+            {NUTRITION_TARGETS.map(target => (
+              <button key={target.key} onClick={() => toggleTarget(target.key)} className={chipClass(targets.includes(target.key))}>
+                {target.label} <span className="text-xs opacity-60">{target.hint}</span>
+              </button>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2 mt-2">
+            {CALORIE_LIMITS.map(kcal => (
+              <button key={kcal ?? 'any'} onClick={() => update({ maxCalories: kcal })} className={chipClass((preferences.maxCalories ?? null) === kcal)}>
+                {kcal ? `Under ${kcal} kcal` : 'Any calories'}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-zinc-600 mt-2">Estimated from the recipe's quantities, so treat it as a guide rather than a label.</p>
+        </div>
+
+        <ListField
+          key={`dislikes:${preferences.dislikes.join(',')}`}
+          label="Disliked ingredients"
+          value={preferences.dislikes}
+          onChange={(dislikes) => update({ dislikes })}
+          placeholder="mushrooms, olives, cilantro"
+        />
+
+        <ListField
+          key={`cuisines:${preferences.cuisines.join(',')}`}
+          label="Favourite cuisines"
+          value={preferences.cuisines}
+          onChange={(cuisines) => update({ cuisines })}
+          placeholder="Thai, Italian, Mexican"
+        />
+      </div>
+
+      <button
+        onClick={() => setPreferences(DEFAULT_PREFERENCES)}
+        className="w-full py-3 rounded-xl text-sm text-zinc-500 hover:text-zinc-300 transition-colors"
+      >
+        Clear all preferences
+      </button>
+    </div>
+  )
+}
+
+export default PreferencesView
@@ -0,0 +1,49 @@
+import { convertLine, formatLine } from '../lib/units.js'
+
+// Black-on-white layout that only exists on paper: the app itself is hidden
+// with `print:hidden`, and this is shown with `print:block`. Each recipe
+// starts on a new page.
+function PrintView({ recipes, units = 'metric' }) {
+  return (
+    <div className="hidden print:block bg-white text-black font-serif">
+      {recipes.map((recipe, i) => (
+        <article key={i} className="break-after-page last:break-after-auto">
+          <h1 className="text-3xl font-bold mb-2">{recipe.name}</h1>
+          {recipe.description && <p className="italic mb-3">{recipe.description}</p>}
+          <p className="text-sm mb-6">
+            {[
+              recipe.servings && `Serves ${recipe.servings}`,
+              recipe.prepMinutes && `Prep ${recipe.prepMinutes} min`,
+              recipe.cookMinutes && `Cook ${recipe.cookMinutes} min`,
+              !recipe.prepMinutes && !recipe.cookMinutes && recipe.time?.label,
+            ].filter(Boolean).join(' · ')}
+          </p>
+
+          {recipe.ingredients?.length > 0 && (
+            <section className="mb-6 break-inside-avoid">
+              <h2 className="text-lg font-bold mb-2">Ingredients</h2>
+              <ul className="list-disc pl-6 columns-2 gap-8">
+                {recipe.ingredients.map((line, j) => (
+                  <li key={j}>{formatLine(convertLine(line, { system: units }))}</li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {recipe.instructions?.length > 0 && (
+            <section>
+              <h2 className="text-lg font-bold mb-2">Method</h2>
+              <ol className="list-decimal pl-6 space-y-2">
+                {recipe.instructions.map((step, j) => (
+                  <li key={j} className="break-inside-avoid">{step}</li>
+                ))}
+              </ol>
+            </section>
+          )}
+        </article>
+      ))}
+    </div>
+  )
+}
+
+export default PrintView
@@ -0,0 +1,96 @@
+import { useState } from 'react'
+import { parseReceipt, recognizeReceipt } from '../lib/receipt.js'
+
+// Grocery receipt import for the Quick List: paste the receipt's text or read
+// a photo of it on the device, then untick anything that isn't food. The
+// recognised text stays editable, since OCR and till abbreviations both slip.
+// `onAdd` gets the names that are still ticked.
+function ReceiptImport({ onAdd, onClose }) {
+  const [text, setText] = useState('');
+  // 0-1 while a photo is being read
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [unticked, setUnticked] = useState([]);
+
+  const items = parseReceipt(text);
+  const kept = items.filter(item => !unticked.includes(item.name));
+
+  const readPhoto = async (file) => {
+    if (!file) return;
+    setError(null);
+    setProgress(0);
+    try {
+      setText(await recognizeReceipt(file, setProgress));
+      setUnticked([]);
+    } catch {
+      // The OCR engine is kept for offline use only once it has been loaded
+      setError(navigator.onLine === false
+        ? 'Reading receipt photos needs a connection the first time. Paste the text instead.'
+        : "Couldn't read that receipt. Try a flat, well-lit photo, or paste the text instead.");
+    }
+    setProgress(null);
+  };
+
+  const toggle = (name) => setUnticked(prev => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+
+  return (
+    <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-zinc-400">Import a receipt</h3>
+        <button onClick={onClose} className="text-xs text-zinc-500 hover:text-zinc-300 transition-colors">Close</button>
+      </div>
+
+      <label className={`block w-full py-3 rounded-xl border border-dashed border-zinc-700 text-center text-sm text-zinc-400 transition-colors ${progress === null ? 'cursor-pointer hover:border-emerald-500/50 hover:text-zinc-200' : 'opacity-60'}`}>
+        {progress === null ? '🧾 Read a photo of the receipt' : `Reading the receipt... ${Math.round(progress * 100)}%`}
+        <input
+          type="file"
+          accept="image/*"
+          capture="environment"
+          disabled={progress !== null}
+          onChange={(e) => {
+            readPhoto(e.target.files[0]);
+            e.target.value = '';
+          }}
+          className="hidden"
+        />
+      </label>
+      <p className="text-xs text-zinc-600">Read on your device, not by the AI: no vision cost, and the photo isn't uploaded.</p>
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={'Or paste the receipt text, e.g.\nCHKN BRST 500G   4.50\n2 x SS MLK 2L    2.30'}
+        className="w-full h-32 bg-zinc-950 border border-zinc-800 rounded-xl p-4 text-sm font-mono text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50 resize-none"
+      />
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {items.length > 0 && (
+        <ul className="space-y-1.5">
+          {items.map(item => (
+            <li key={item.name}>
+              <label className="flex items-center gap-3 text-sm cursor-pointer">
+                <input type="checkbox" checked={!unticked.includes(item.name)} onChange={() => toggle(item.name)} className="accent-emerald-500" />
+                <span className={unticked.includes(item.name) ? 'text-zinc-600 line-through' : 'text-zinc-200'}>{item.name}</span>
+                {item.quantity > 1 && <span className="text-xs text-zinc-600">×{item.quantity}</span>}
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+      {text.trim() && !items.length && (
+        <p className="text-xs text-zinc-500">No grocery lines found in that text.</p>
+      )}
+
+      <button
+        onClick={() => onAdd(kept.map(item => item.name))}
+        disabled={!kept.length}
+        className="w-full py-3 rounded-xl text-sm font-semibold bg-gradient-to-r from-teal-500 to-emerald-500 text-zinc-950 hover:from-teal-400 hover:to-emerald-400 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+      >
+        {kept.length ? `Add ${kept.length} item${kept.length === 1 ? '' : 's'} to my list` : 'Add to my list'}
+      </button>
+    </div>
+  )
+}
+
+export default ReceiptImport
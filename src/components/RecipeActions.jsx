@@ -0,0 +1,26 @@
+const buttonClass = 'text-xs px-3 py-1.5 rounded-lg border transition-colors';
+
+// Buttons under an expanded recipe: open it in cook mode, and "Cook this
+// week", which feeds the shopping list
+function RecipeActions({ picked, onTogglePick, onCook }) {
+  return (
+    <div className="mt-4 flex flex-wrap gap-2">
+      {onCook && (
+        <button onClick={onCook} className={`${buttonClass} bg-emerald-500 text-zinc-950 border-emerald-500 font-semibold hover:bg-emerald-400`}>
+          Start cooking
+        </button>
+      )}
+      <button
+        onClick={onTogglePick}
+        aria-pressed={picked}
+        className={`${buttonClass} ${picked
+          ? 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30'
+          : 'bg-zinc-900 text-zinc-400 border-zinc-800 hover:border-zinc-700'}`}
+      >
+        {picked ? '✓ Cooking this week' : '+ Cook this week'}
+      </button>
+    </div>
+  )
+}
+
+export default RecipeActions
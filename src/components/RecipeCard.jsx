@@ -0,0 +1,91 @@
+import RecipeIngredients from './RecipeIngredients.jsx'
+import NutritionPanel from './NutritionPanel.jsx'
+
+// One collapsible recipe in the results list. `badges` renders under the
+// description, `children` at the bottom of the expanded body. The star only
+// shows when `onToggleStar` is given; `units` is 'metric' or 'imperial'.
+function RecipeCard({ recipe, expanded, onToggle, badges, children, starred, onToggleStar, units = 'metric', onUnitsChange }) {
+  return (
+    <div className="relative rounded-2xl bg-zinc-900/50 border border-zinc-800 overflow-hidden hover:border-zinc-700 transition-colors">
+      {onToggleStar && (
+        <button
+          onClick={onToggleStar}
+          aria-label={starred ? 'Remove from favourites' : 'Add to favourites'}
+          aria-pressed={starred}
+          className={`absolute left-5 top-5 text-lg leading-none transition-colors ${starred ? 'text-amber-400' : 'text-zinc-600 hover:text-zinc-400'}`}
+        >
+          {starred ? '★' : '☆'}
+        </button>
+      )}
+      <button
+        onClick={onToggle}
+        className={`w-full p-5 text-left flex items-start justify-between gap-4 ${onToggleStar ? 'pl-12' : ''}`}
+      >
+        <div>
+          <h4 className="font-semibold text-zinc-100 mb-1">{recipe.name}</h4>
+          <p className="text-sm text-zinc-500">{recipe.description}</p>
+          {badges}
+        </div>
+        <div className="flex items-center gap-3 shrink-0">
+          {recipe.nutrition && (
+            <span className="text-xs text-zinc-500">{recipe.nutrition.perServing.calories} kcal</span>
+          )}
+          {recipe.time?.label && (
+            <span className="text-xs text-zinc-500">{recipe.time.label}</span>
+          )}
+          <svg
+            className={`w-5 h-5 text-zinc-600 transition-transform ${expanded ? 'rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </div>
+      </button>
+
+      {expanded && (
+        <div className="px-5 pb-5 pt-0 border-t border-zinc-800/50">
+          {(recipe.prepMinutes > 0 || recipe.cookMinutes > 0) && (
+            <div className="pt-4 flex gap-4 text-xs text-zinc-500">
+              {recipe.prepMinutes > 0 && <span>Prep {recipe.prepMinutes} min</span>}
+              {recipe.cookMinutes > 0 && <span>Cook {recipe.cookMinutes} min</span>}
+            </div>
+          )}
+
+          <RecipeIngredients recipe={recipe} units={units} onUnitsChange={onUnitsChange} />
+
+          <NutritionPanel nutrition={recipe.nutrition} />
+
+          {recipe.instructions && (
+            <div className="pt-4">
+              <h5 className="text-xs font-medium text-zinc-500 uppercase tracking-wider mb-3">Instructions</h5>
+              <ol className="space-y-2">
+                {recipe.instructions.map((step, j) => (
+                  <li key={j} className="flex gap-3 text-sm">
+                    <span className="w-5 h-5 rounded-full bg-zinc-800 text-zinc-500 text-xs flex items-center justify-center shrink-0 mt-0.5">
+                      {j + 1}
+                    </span>
+                    <span className="text-zinc-400">{step}</span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {recipe.missing && recipe.missing.length > 0 && (
+            <div className="mt-4 p-3 rounded-lg bg-amber-500/5 border border-amber-500/10">
+              <span className="text-xs text-amber-400">
+                You might need: {recipe.missing.join(', ')}
+              </span>
+            </div>
+          )}
+
+          {children}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RecipeCard
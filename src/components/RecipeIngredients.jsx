@@ -0,0 +1,55 @@
+import { useState } from 'react'
+import { UNIT_SYSTEMS, convertLine, formatLine } from '../lib/units.js'
+
+const stepClass = 'w-7 h-7 rounded-lg bg-zinc-800 text-zinc-300 hover:bg-zinc-700 disabled:opacity-40 transition-colors';
+
+// Quantified ingredient lines with a servings scaler and unit toggle.
+// Recipes saved before ingredient lines existed render nothing.
+function RecipeIngredients({ recipe, units, onUnitsChange }) {
+  const [servings, setServings] = useState(recipe.servings || null);
+  if (!recipe.ingredients?.length) return null;
+
+  const factor = recipe.servings && servings ? servings / recipe.servings : 1;
+
+  return (
+    <div className="pt-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h5 className="text-xs font-medium text-zinc-500 uppercase tracking-wider">Ingredients</h5>
+        <div className="flex items-center gap-3">
+          {recipe.servings && (
+            <div className="flex items-center gap-2 text-xs text-zinc-400">
+              <button onClick={() => setServings(servings - 1)} disabled={servings <= 1} aria-label="Fewer servings" className={stepClass}>−</button>
+              <span className="w-16 text-center">{servings} serving{servings === 1 ? '' : 's'}</span>
+              <button onClick={() => setServings(servings + 1)} disabled={servings >= 24} aria-label="More servings" className={stepClass}>+</button>
+            </div>
+          )}
+          {onUnitsChange && (
+            <div className="flex rounded-lg bg-zinc-900 border border-zinc-800 p-0.5">
+              {UNIT_SYSTEMS.map(system => (
+                <button
+                  key={system}
+                  onClick={() => onUnitsChange(system)}
+                  aria-pressed={units === system}
+                  className={`px-2 py-1 rounded-md text-xs capitalize transition-colors ${units === system ? 'bg-zinc-800 text-zinc-100' : 'text-zinc-500 hover:text-zinc-300'}`}
+                >
+                  {system}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+      <ul className="space-y-1.5">
+        {recipe.ingredients.map((line, i) => (
+          <li key={i} className="flex items-center gap-2 text-sm">
+            <span className={`w-1.5 h-1.5 rounded-full shrink-0 ${line.onHand ? 'bg-emerald-400' : 'bg-zinc-600'}`} />
+            <span className="text-zinc-300">{formatLine(convertLine(line, { factor, system: units }))}</span>
+            {!line.onHand && <span className="text-xs text-zinc-600">to buy</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default RecipeIngredients
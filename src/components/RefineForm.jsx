@@ -0,0 +1,69 @@
+import { useState } from 'react'
+import { formatRange } from '../lib/impact.js'
+
+const chipClass = 'text-xs px-3 py-1.5 rounded-full bg-zinc-900 border border-zinc-800 text-zinc-400 hover:border-zinc-700 hover:text-zinc-200 disabled:opacity-50 transition-colors';
+
+// Short follow-up instructions for the recipes on screen. Suggestions send
+// straight away; `onMore`, when given, adds a "3 more" chip. `estimate` is
+// the impact of one follow-up, quoted so it's clear it's a small request.
+// While `busy`, the submit button cancels instead. Follow-ups aren't queued
+// like scans, so the form is disabled and says why while not `online`.
+function RefineForm({ suggestions, placeholder, estimate, busy, disabled, online = true, onSubmit, onMore, onCancel, className = '' }) {
+  const [text, setText] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onSubmit(text.trim());
+    setText('');
+  };
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      <div className="flex flex-wrap gap-2">
+        {onMore && (
+          <button onClick={onMore} disabled={disabled} className={chipClass}>+ 3 more</button>
+        )}
+        {suggestions.map(suggestion => (
+          <button key={suggestion} onClick={() => onSubmit(suggestion)} disabled={disabled} className={chipClass}>
+            {suggestion}
+          </button>
+        ))}
+      </div>
+      <form onSubmit={submit} className="flex gap-2">
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={placeholder}
+          maxLength={200}
+          disabled={disabled}
+          className="flex-1 min-w-0 bg-zinc-950 border border-zinc-800 rounded-xl px-4 py-2.5 text-sm text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50 disabled:opacity-50"
+        />
+        {busy && onCancel ? (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 rounded-xl bg-zinc-800 text-zinc-400 text-sm font-medium hover:bg-zinc-700 transition-colors"
+          >
+            Refining… Cancel
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={disabled || !text.trim()}
+            className="px-4 rounded-xl bg-zinc-800 text-zinc-200 text-sm font-medium hover:bg-zinc-700 disabled:opacity-50 transition-colors"
+          >
+            {busy ? 'Refining…' : 'Refine'}
+          </button>
+        )}
+      </form>
+      <p className="text-[11px] text-zinc-600">
+        {online
+          ? `Text-only follow-up, no new scan · ~${formatRange(estimate.range.water)} ml water`
+          : "You're offline. Follow-ups need a connection, so they aren't queued like scans."}
+      </p>
+    </div>
+  )
+}
+
+export default RefineForm
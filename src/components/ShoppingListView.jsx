@@ -0,0 +1,162 @@
+import { useState } from 'react'
+import { addExtra, clearChecked, groupByAisle, shoppingItems, toMarkdown, toShareLink, toText, toggleChecked } from '../lib/shopping.js'
+
+const exportClass = 'flex-1 py-2 rounded-lg text-xs font-medium bg-zinc-900 border border-zinc-800 text-zinc-300 hover:border-zinc-700 transition-colors';
+
+// `shared` holds item names from an opened share link until they're accepted
+function ShoppingListView({ picked, setPicked, list, setList, have, shared, onSharedDone, onBack }) {
+  const [newItem, setNewItem] = useState('');
+  const [notice, setNotice] = useState(null);
+
+  const items = shoppingItems({ picked, extra: list.extra, checked: list.checked, cleared: list.cleared, have });
+  const groups = groupByAisle(items);
+  const remaining = items.filter(item => !item.checked).length;
+
+  const add = (e) => {
+    e.preventDefault();
+    setList(prev => addExtra(prev, newItem.split(',')));
+    setNewItem('');
+  };
+
+  const copy = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setNotice(`${label} copied to the clipboard`);
+    } catch {
+      setNotice("Couldn't copy; your browser blocked clipboard access");
+    }
+  };
+
+  // Web Share where available (phones), otherwise copy the link
+  const share = async () => {
+    const url = toShareLink(items);
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: 'Shopping list', url });
+        return;
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+      }
+    }
+    copy(url, 'Link');
+  };
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-zinc-500 hover:text-zinc-300 text-sm flex items-center gap-1 transition-colors">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
+        Back
+      </button>
+
+      <div className="text-center space-y-2">
+        <h2 className="text-2xl font-bold text-zinc-100">Shopping List</h2>
+        <p className="text-zinc-500">Built from the recipes you're cooking this week, minus what you already have.</p>
+      </div>
+
+      {shared?.length > 0 && (
+        <div className="rounded-xl bg-emerald-500/10 border border-emerald-500/20 p-4 text-sm text-emerald-300 space-y-3">
+          <p>Someone shared {shared.length} item{shared.length === 1 ? '' : 's'} with you: {shared.join(', ')}</p>
+          <div className="flex gap-3">
+            <button
+              onClick={() => {
+                setList(prev => addExtra(prev, shared));
+                onSharedDone();
+              }}
+              className="px-3 py-1.5 rounded-lg bg-emerald-500 text-zinc-950 text-xs font-semibold hover:bg-emerald-400 transition-colors"
+            >
+              Add to my list
+            </button>
+            <button onClick={onSharedDone} className="text-xs text-emerald-400/70 hover:text-emerald-300 transition-colors">
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="rounded-2xl bg-zinc-900/50 border border-zinc-800 p-5">
+        <h3 className="text-sm font-medium text-zinc-400 mb-3">Cooking this week ({picked.length})</h3>
+        {picked.length === 0 ? (
+          <p className="text-sm text-zinc-600">Pick recipes with "Cook this week" on any result or favourite.</p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {picked.map(p => (
+              <span key={p.id} className="inline-flex items-center rounded-full bg-zinc-800 text-zinc-300 text-sm">
+                <span className="pl-3 pr-1.5 py-1.5">{p.recipe.name}</span>
+                <button
+                  onClick={() => setPicked(prev => prev.filter(other => other.id !== p.id))}
+                  aria-label={`Remove ${p.recipe.name}`}
+                  className="pr-3 pl-1 py-1.5 text-zinc-500 hover:text-red-400 transition-colors"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={add} className="flex gap-2">
+        <input
+          value={newItem}
+          onChange={(e) => setNewItem(e.target.value)}
+          placeholder="Add items, e.g. coffee, bin bags"
+          className="flex-1 bg-zinc-950 border border-zinc-800 rounded-xl px-4 py-3 text-sm text-zinc-100 placeholder:text-zinc-600 focus:outline-none focus:border-emerald-500/50"
+        />
+        <button type="submit" className="px-5 rounded-xl bg-zinc-800 text-zinc-200 text-sm font-medium hover:bg-zinc-700 transition-colors">
+          Add
+        </button>
+      </form>
+
+      {groups.length === 0 ? (
+        <p className="text-center text-sm text-zinc-600 py-8">Nothing to buy.</p>
+      ) : (
+        <div className="space-y-4">
+          {groups.map(group => (
+            <div key={group.key} className="rounded-2xl bg-zinc-900/50 border border-zinc-800">
+              <h3 className="px-5 pt-4 text-xs font-medium text-zinc-500 uppercase tracking-wider">{group.label}</h3>
+              <ul className="p-2">
+                {group.items.map(item => (
+                  <li key={item.key}>
+                    <label className="flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-zinc-800/40 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={item.checked}
+                        onChange={() => setList(prev => toggleChecked(prev, item.key))}
+                        className="accent-emerald-500"
+                      />
+                      <span className={`text-sm ${item.checked ? 'text-zinc-600 line-through' : 'text-zinc-200'}`}>{item.name}</span>
+                      {item.recipes.length > 0 && (
+                        <span className="ml-auto text-xs text-zinc-600 truncate">{item.recipes.join(', ')}</span>
+                      )}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            <button onClick={() => copy(toText(groups), 'List')} className={exportClass}>Copy text</button>
+            <button onClick={() => copy(toMarkdown(groups), 'Markdown')} className={exportClass}>Copy Markdown</button>
+            <button onClick={share} disabled={!remaining} className={`${exportClass} disabled:opacity-50`}>Share link</button>
+          </div>
+          {notice && <p className="text-center text-xs text-zinc-500">{notice}</p>}
+          {items.length > remaining && (
+            <button
+              onClick={() => setList(prev => clearChecked(prev, items))}
+              className="w-full text-xs text-zinc-600 hover:text-zinc-400 transition-colors"
+            >
+              Clear ticked items
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ShoppingListView
@@ -0,0 +1,110 @@
+import { useEffect, useEffectEvent, useRef, useState } from 'react'
+import { ErrorKinds, householdRequest } from '../lib/api.js'
+import { applySync, nextBatch, startHousehold, toChanges, toRecords, trackChanges } from '../lib/household.js'
+import { useOnlineStatus } from './useOnlineStatus.js'
+
+// Local edits go out this long after the last one, so a burst of ticks on the
+// shopping list is one request
+const SYNC_DELAY_MS = 1500;
+// Other devices' edits are picked up this often while the app is open
+const POLL_INTERVAL_MS = 30000;
+
+// Keeps `data` ({ pantry, favourites, picked, shoppingList }) in sync with the
+// household saved in `household` (see lib/household.js). `setData` gets the
+// merged data after a sync brings in other devices' changes.
+export function useHouseholdSync({ household, setHousehold, data, setData }) {
+  const online = useOnlineStatus();
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const householdId = household?.id ?? null;
+  const pending = household?.pending;
+
+  // A sync reply is applied to the latest data and household, which may have
+  // changed while the request was out
+  const latest = useRef({ household, data });
+  useEffect(() => {
+    latest.current = { household, data };
+  });
+
+  const sync = async () => {
+    if (!household || syncing || !navigator.onLine) return;
+    const sent = nextBatch(household.pending);
+    setSyncing(true);
+    try {
+      const reply = await householdRequest({
+        action: 'sync',
+        householdId: household.id,
+        memberId: household.memberId,
+        token: household.token,
+        cursor: household.cursor,
+        changes: toChanges(sent),
+      });
+      const current = latest.current;
+      if (current.household?.id === reply.household.id) {
+        const next = applySync(current.data, current.household, sent, reply);
+        if (next.data) setData(next.data);
+        setHousehold(next.household);
+      }
+      setError(null);
+    } catch (err) {
+      if (err.kind === ErrorKinds.NOT_A_MEMBER) setHousehold(null);
+      setError(err.message);
+    }
+    setSyncing(false);
+  };
+
+  // Local edits become pending changes as they happen
+  const track = useEffectEvent(() => {
+    if (!household) return;
+    const next = trackChanges(household, toRecords(data));
+    if (next !== household) setHousehold(next);
+  });
+  useEffect(() => {
+    track();
+  }, [data.pantry, data.favourites, data.picked, data.shoppingList, household]);
+
+  const syncFromEffect = useEffectEvent(() => sync());
+
+  // On joining, coming back online or to the tab, and every POLL_INTERVAL_MS
+  useEffect(() => {
+    if (!householdId || !online) return;
+    syncFromEffect();
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') syncFromEffect();
+    };
+    const interval = setInterval(onVisible, POLL_INTERVAL_MS);
+    document.addEventListener('visibilitychange', onVisible);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+  }, [householdId, online]);
+
+  // Shortly after local edits
+  useEffect(() => {
+    if (!householdId || !online || !pending || !Object.keys(pending).length) return;
+    const timer = setTimeout(syncFromEffect, SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [householdId, online, pending, syncing]);
+
+  // `action` is 'create' or 'join'; throws an ApiRequestError for the form
+  const connect = async (action, fields) => {
+    setHousehold(startHousehold(await householdRequest({ action, ...fields })));
+    setError(null);
+  };
+
+  // Leaves even when the server can't be told; this device keeps its copy
+  const leave = async () => {
+    if (!household) return;
+    try {
+      await householdRequest({ action: 'leave', householdId: household.id, memberId: household.memberId, token: household.token });
+    } catch {
+      // The membership stays on the server; it's harmless without the token
+    }
+    setHousehold(null);
+    setError(null);
+  };
+
+  return { syncing, error, online, sync, connect, leave };
+}
@@ -0,0 +1,16 @@
+import { useSyncExternalStore } from 'react'
+
+const subscribe = (onChange) => {
+  window.addEventListener('online', onChange);
+  window.addEventListener('offline', onChange);
+  return () => {
+    window.removeEventListener('online', onChange);
+    window.removeEventListener('offline', onChange);
+  };
+};
+
+// Whether the browser thinks it has a connection. `true` only means a network
+// is up, not that the server is reachable, so requests can still fail.
+export function useOnlineStatus() {
+  return useSyncExternalStore(subscribe, () => navigator.onLine);
+}
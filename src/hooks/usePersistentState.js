@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react'
+import { readJson, writeJson } from '../lib/storage.js'
+
+// useState that is loaded from and saved to localStorage under `key`
+export function usePersistentState(key, initialValue) {
+  const [value, setValue] = useState(() => readJson(key, initialValue));
+
+  useEffect(() => {
+    writeJson(key, value);
+  }, [key, value]);
+
+  return [value, setValue];
+}
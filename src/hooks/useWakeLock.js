@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react'
+
+// Keeps the screen on while `active`, using the Screen Wake Lock API where the
+// browser has it. The lock is dropped whenever the tab is hidden, so it's
+// requested again on return. Returns whether a lock is currently held.
+export function useWakeLock(active) {
+  const [locked, setLocked] = useState(false);
+
+  useEffect(() => {
+    if (!active || !('wakeLock' in navigator)) return;
+    let sentinel = null;
+    let cancelled = false;
+
+    const request = async () => {
+      try {
+        const next = await navigator.wakeLock.request('screen');
+        if (cancelled) {
+          next.release();
+          return;
+        }
+        sentinel = next;
+        setLocked(true);
+        next.addEventListener('release', () => setLocked(false));
+      } catch {
+        // Denied (e.g. low battery); the screen just follows its usual timeout
+      }
+    };
+
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') request();
+    };
+
+    request();
+    document.addEventListener('visibilitychange', onVisible);
+    return () => {
+      cancelled = true;
+      document.removeEventListener('visibilitychange', onVisible);
+      sentinel?.release();
+    };
+  }, [active]);
+
+  return locked;
+}
@@ -0,0 +1,240 @@
+import { readJson, writeJson } from './storage.js'
+
+// Random id for this browser, sent so the server can rate-limit per install
+// as well as per IP. It identifies nothing about the user.
+const clientToken = () => {
+  let token = readJson('clientToken', null);
+  if (!token) {
+    token = crypto.randomUUID();
+    writeJson('clientToken', token);
+  }
+  return token;
+};
+
+// Vercel stops functions at 30s; waiting much longer than that for the next
+// chunk means the connection is gone
+const IDLE_TIMEOUT_MS = 35000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 1000;
+
+// Why a request failed, so the UI can say something specific
+export const ErrorKinds = {
+  CANCELLED: 'cancelled',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  BUSY: 'busy',
+  SERVER: 'server',
+  RATE_LIMITED: 'rate-limited',
+  TOO_LARGE: 'too-large',
+  UNSUPPORTED_IMAGE: 'unsupported-image',
+  INVALID_REQUEST: 'invalid-request',
+  BAD_AI_RESPONSE: 'bad-ai-response',
+  NO_MATCH: 'no-match',
+  NOT_A_MEMBER: 'not-a-member',
+};
+
+// Worth another attempt without the user changing anything
+const TRANSIENT = [ErrorKinds.TIMEOUT, ErrorKinds.NETWORK, ErrorKinds.BUSY, ErrorKinds.SERVER];
+
+// 45 -> "45 seconds", 130 -> "3 minutes"
+const formatWait = (seconds) => {
+  if (!(seconds > 0)) return 'a moment';
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// User-facing messages. Kinds that aren't listed show what the server said,
+// or the fallback when it said nothing (e.g. a proxy's own 413 page).
+const MESSAGES = {
+  [ErrorKinds.CANCELLED]: () => 'Request cancelled.',
+  [ErrorKinds.TIMEOUT]: () => 'The request took too long. Please try again.',
+  [ErrorKinds.NETWORK]: () => "Couldn't reach the server. Check your connection and try again.",
+  [ErrorKinds.BUSY]: () => 'The AI service is busy right now. Please try again in a minute.',
+  [ErrorKinds.SERVER]: () => 'Something went wrong on our side. Please try again in a moment.',
+  [ErrorKinds.RATE_LIMITED]: ({ retryAfter }) =>
+    `You've made a lot of requests in a short time. Take a breather and try again in ${formatWait(retryAfter)}.`,
+  [ErrorKinds.BAD_AI_RESPONSE]: () => "The AI's answer came back garbled, even after a retry. Please try again.",
+  [ErrorKinds.NO_MATCH]: () => 'None of the suggested recipes fit your preferences. Try relaxing them or adding more ingredients.',
+  [ErrorKinds.NOT_A_MEMBER]: () => 'This device is no longer part of the household. Join again with an invite code.',
+};
+
+const FALLBACKS = {
+  [ErrorKinds.TOO_LARGE]: 'That was too much to upload. Try fewer or smaller photos.',
+  [ErrorKinds.UNSUPPORTED_IMAGE]: "That image format isn't supported. Use JPEG, PNG, WebP or GIF.",
+  [ErrorKinds.INVALID_REQUEST]: "The request wasn't accepted. Check what you entered and try again.",
+};
+
+export class ApiRequestError extends Error {
+  constructor(kind, { message, code, status, retryAfter } = {}) {
+    super(MESSAGES[kind]?.({ retryAfter }) ?? message ?? FALLBACKS[kind]);
+    this.name = 'ApiRequestError';
+    this.kind = kind;
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Server error codes (api/_lib/errors.js) to kinds. UPSTREAM_ERROR carries the
+// provider's HTTP status in `details`: 529 and 503 mean it's overloaded.
+const kindOf = (status, data) => {
+  switch (data?.code) {
+    case 'RATE_LIMITED': return ErrorKinds.RATE_LIMITED;
+    case 'PAYLOAD_TOO_LARGE': return ErrorKinds.TOO_LARGE;
+    case 'UNSUPPORTED_MEDIA_TYPE': return ErrorKinds.UNSUPPORTED_IMAGE;
+    case 'BAD_REQUEST':
+    case 'INVALID_INVITE':
+    case 'HOUSEHOLD_FULL':
+    case 'FORBIDDEN_ORIGIN':
+    case 'METHOD_NOT_ALLOWED': return ErrorKinds.INVALID_REQUEST;
+    case 'INVALID_AI_RESPONSE': return ErrorKinds.BAD_AI_RESPONSE;
+    case 'NO_MATCHING_RECIPES': return ErrorKinds.NO_MATCH;
+    case 'NOT_A_MEMBER': return ErrorKinds.NOT_A_MEMBER;
+    case 'UPSTREAM_ERROR': return [429, 503, 529].includes(data.details) ? ErrorKinds.BUSY : ErrorKinds.SERVER;
+    default:
+  }
+  if (status === 504) return ErrorKinds.TIMEOUT;
+  if (status === 413) return ErrorKinds.TOO_LARGE;
+  if (status === 429) return ErrorKinds.RATE_LIMITED;
+  if (status === 503 || status === 529) return ErrorKinds.BUSY;
+  return ErrorKinds.SERVER;
+};
+
+const toError = (status, data, headers) => new ApiRequestError(kindOf(status, data), {
+  message: data?.error,
+  code: data?.code,
+  status,
+  retryAfter: data?.details?.retryAfter ?? (Number(headers?.get('Retry-After')) || undefined),
+});
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new ApiRequestError(ErrorKinds.CANCELLED));
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new ApiRequestError(ErrorKinds.CANCELLED));
+  }, { once: true });
+});
+
+// One request. `delivered` is set once any partial result reaches the
+// callbacks, after which a retry would show the user duplicates.
+const attempt = async (body, { onIngredients, onRecipe, onRetry }, signal, progress) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  let idle;
+  const resetIdle = () => {
+    clearTimeout(idle);
+    idle = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, IDLE_TIMEOUT_MS);
+  };
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel, { once: true });
+  resetIdle();
+
+  const failed = (err) => {
+    if (err instanceof ApiRequestError) return err;
+    if (signal?.aborted) return new ApiRequestError(ErrorKinds.CANCELLED);
+    if (timedOut) return new ApiRequestError(ErrorKinds.TIMEOUT);
+    return new ApiRequestError(ErrorKinds.NETWORK);
+  };
+
+  try {
+    const response = await fetch('/api/analyze', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Token': clientToken() },
+      body: JSON.stringify({ ...body, stream: true }),
+      signal: controller.signal,
+    });
+
+    // Validation, config and rate-limit errors are sent as plain JSON before
+    // any streaming starts; a platform timeout may not be JSON at all
+    if (!response.headers.get('Content-Type')?.includes('ndjson')) {
+      const data = await response.json().catch(() => null);
+      throw toError(response.ok ? 502 : response.status, data, response.headers);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handle = (event) => {
+      if (event.type === 'ingredients') {
+        progress.delivered = true;
+        onIngredients?.(event.ingredients, event.ingredientSources);
+      } else if (event.type === 'recipe') {
+        progress.delivered = true;
+        onRecipe?.(event.recipe, event.index);
+      } else if (event.type === 'retry') onRetry?.();
+      else return event;
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      resetIdle();
+      buffer += decoder.decode(value, { stream: !done });
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const final = handle(JSON.parse(line));
+        if (final) {
+          reader.cancel();
+          const { type, ...data } = final;
+          if (type === 'error') throw toError(502, data);
+          return data;
+        }
+      }
+
+      if (done) throw new ApiRequestError(ErrorKinds.NETWORK);
+    }
+  } catch (err) {
+    throw failed(err);
+  } finally {
+    clearTimeout(idle);
+    signal?.removeEventListener('abort', cancel);
+  }
+};
+
+// Calls /api/analyze in streaming mode. Partial results are handed to the
+// callbacks as they arrive; resolves with the final `done` payload and throws
+// an ApiRequestError otherwise. Transient failures are retried with backoff,
+// but only while nothing has been shown yet. Abort `signal` to cancel.
+export const streamAnalysis = async (body, handlers = {}, { signal } = {}) => {
+  const progress = { delivered: false };
+  for (let retry = 0; ; retry++) {
+    try {
+      return await attempt(body, handlers, signal, progress);
+    } catch (err) {
+      if (!TRANSIENT.includes(err.kind) || progress.delivered || retry >= MAX_RETRIES) throw err;
+      await wait(RETRY_BASE_MS * 2 ** retry + Math.random() * 250, signal);
+    }
+  }
+};
+
+// Calls /api/household (see api/household.js). Resolves with the JSON reply
+// and throws an ApiRequestError otherwise; sync runs again on its own, so
+// nothing is retried here.
+export const householdRequest = async (body, { signal } = {}) => {
+  let response;
+  try {
+    response = await fetch('/api/household', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Token': clientToken() },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch {
+    throw new ApiRequestError(signal?.aborted ? ErrorKinds.CANCELLED : ErrorKinds.NETWORK);
+  }
+  const data = await response.json().catch(() => null);
+  if (!response.ok) throw toError(response.status, data, response.headers);
+  return data;
+};
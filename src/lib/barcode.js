@@ -0,0 +1,258 @@
+// Grocery barcodes (EAN-13, UPC-A, EAN-8) without a vision model. Uses the
+// browser's BarcodeDetector where it exists; elsewhere a small scanline
+// decoder reads camera frames. Codes resolve against names the user has
+// taught this browser, then the product table in public/products.json
+// ({ "<EAN-13 or EAN-8>": { name, ingredient } }, an Open Food Facts export
+// for your region, see scripts/products.js), then the live Open Food Facts API.
+
+const FORMATS = ['ean_13', 'upc_a', 'ean_8'];
+
+// Frames are scaled to this width for the fallback decoder
+const SCAN_WIDTH = 640;
+
+// Bar/space widths (in modules) of each digit's left-hand "L" code. Right-hand
+// "R" codes have the same widths starting with a bar; "G" codes are reversed.
+const L_WIDTHS = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112']
+  .map(widths => [...widths].map(Number));
+const G_WIDTHS = L_WIDTHS.map(widths => [...widths].reverse());
+
+// EAN-13's first digit is carried by which of the six left digits use G codes
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Average per-module error above which a digit is rejected
+const MAX_DIGIT_ERROR = 0.3;
+
+export const hasValidChecksum = (code) => {
+  if (!/^(?:\d{8}|\d{12}|\d{13})$/.test(code)) return false;
+  const digits = [...code].map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+// UPC-A is EAN-13 with a leading zero; one key per product either way
+export const normalizeCode = (raw) => {
+  const code = String(raw).replace(/\D/g, '');
+  if (!hasValidChecksum(code)) return null;
+  return code.length === 12 ? `0${code}` : code;
+};
+
+// Closest digit to four runs in a width table, as { digit, error } where
+// error is the average difference per module
+const matchDigit = (runs, table) => {
+  const total = runs.reduce((sum, width) => sum + width, 0);
+  return table.reduce((best, widths, digit) => {
+    const error = runs.reduce((sum, width, i) => sum + Math.abs((width * 7) / total - widths[i]), 0) / 7;
+    return error < best.error ? { digit, error } : best;
+  }, { digit: null, error: Infinity });
+};
+
+// Guard bars are one module each
+const isGuard = (runs, module) => runs.every(width => width > module * 0.5 && width < module * 1.8);
+
+// Tries to read a code whose halves have `halfDigits` digits (6 for EAN-13,
+// 4 for EAN-8) from run `start`, the first bar of the start guard
+const decodeAt = (runs, start, halfDigits) => {
+  const runCount = 3 + halfDigits * 8 + 5 + 3;
+  if (start + runCount > runs.length) return null;
+  const span = runs.slice(start, start + runCount);
+  const module = span.reduce((sum, width) => sum + width, 0) / (halfDigits * 14 + 11);
+  const middle = 3 + halfDigits * 4;
+  if (!isGuard(span.slice(0, 3), module) || !isGuard(span.slice(middle, middle + 5), module)) return null;
+  // The start guard needs some quiet space before it
+  if (start > 0 && runs[start - 1] < module * 3) return null;
+
+  const digits = [];
+  let parity = '';
+  for (let i = 0; i < halfDigits; i++) {
+    const digitRuns = span.slice(3 + i * 4, 7 + i * 4);
+    const l = matchDigit(digitRuns, L_WIDTHS);
+    const g = halfDigits === 6 ? matchDigit(digitRuns, G_WIDTHS) : { error: Infinity };
+    const best = g.error < l.error ? g : l;
+    if (best.error > MAX_DIGIT_ERROR) return null;
+    digits.push(best.digit);
+    parity += best === g ? 'G' : 'L';
+  }
+  for (let i = 0; i < halfDigits; i++) {
+    const { digit, error } = matchDigit(span.slice(middle + 5 + i * 4, middle + 9 + i * 4), L_WIDTHS);
+    if (error > MAX_DIGIT_ERROR) return null;
+    digits.push(digit);
+  }
+
+  if (halfDigits === 4) return digits.join('');
+  const first = PARITY.indexOf(parity);
+  return first === -1 ? null : `${first}${digits.join('')}`;
+};
+
+// Reads a barcode from one line of grey values (0-255), scanned either way
+export const decodeLine = (values) => {
+  let min = 255;
+  let max = 0;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  if (max - min < 40) return null;
+  const threshold = (min + max) / 2;
+
+  // Alternating run widths, starting with a space
+  const runs = [];
+  let dark = false;
+  let width = 0;
+  for (const value of values) {
+    if ((value < threshold) === dark) {
+      width++;
+    } else {
+      runs.push(width);
+      dark = !dark;
+      width = 1;
+    }
+  }
+  runs.push(width);
+
+  const reversed = [...runs].reverse();
+  for (const line of [runs, reversed]) {
+    // Runs alternate space, bar, ...; only bars can start a code
+    const firstBar = line === runs || runs.length % 2 === 1 ? 1 : 0;
+    for (let start = firstBar; start < line.length; start += 2) {
+      for (const halfDigits of [6, 4]) {
+        const code = decodeAt(line, start, halfDigits);
+        if (code && hasValidChecksum(code)) return code;
+      }
+    }
+  }
+  return null;
+};
+
+// Scans a handful of rows and columns of an ImageData; barcodes can be held
+// either way round
+export const scanImageData = ({ data, width, height }) => {
+  const grey = (x, y) => {
+    const i = (y * width + x) * 4;
+    return (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+  };
+  for (const fraction of [0.5, 0.4, 0.6, 0.3, 0.7, 0.2, 0.8]) {
+    const y = Math.floor(height * fraction);
+    const code = decodeLine(Array.from({ length: width }, (_, x) => grey(x, y)));
+    if (code) return code;
+    const x = Math.floor(width * fraction);
+    const column = decodeLine(Array.from({ length: height }, (_, y2) => grey(x, y2)));
+    if (column) return column;
+  }
+  return null;
+};
+
+// Resolves to { native, detect(video) } where detect resolves to the codes
+// found in the current frame
+export const createBarcodeDetector = async () => {
+  if ('BarcodeDetector' in window) {
+    try {
+      const supported = await window.BarcodeDetector.getSupportedFormats();
+      const formats = FORMATS.filter(format => supported.includes(format));
+      if (formats.length) {
+        const detector = new window.BarcodeDetector({ formats });
+        return {
+          native: true,
+          detect: async (source) => (await detector.detect(source)).map(barcode => barcode.rawValue),
+        };
+      }
+    } catch {
+      // Fall back to the scanline decoder
+    }
+  }
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  return {
+    native: false,
+    detect: async (video) => {
+      if (!video.videoWidth) return [];
+      const scale = Math.min(1, SCAN_WIDTH / video.videoWidth);
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const code = scanImageData(context.getImageData(0, 0, canvas.width, canvas.height));
+      return code ? [code] : [];
+    },
+  };
+};
+
+// Generic names are what the recipe prompt wants ("hazelnut spread");
+// long ones are usually marketing copy, so the most specific category is
+// used instead
+const MAX_GENERIC_CHARS = 30;
+
+// Exports name categories in English; the API only has tags such as
+// "en:hazelnut-spreads"
+const categoryOf = (row) => row.main_category_en?.trim()
+  || row.categories_en?.split(',').pop().trim()
+  || row.categories_tags?.findLast(tag => tag.startsWith('en:'))?.slice(3).replaceAll('-', ' ');
+
+const ingredientFor = (row) => {
+  const generic = row.generic_name?.trim();
+  if (generic && generic.length <= MAX_GENERIC_CHARS) return generic.toLowerCase();
+  const category = categoryOf(row);
+  return category ? category.toLowerCase() : null;
+};
+
+// "Nutella" + "Hazelnut spread" + "400 g" -> "Nutella Hazelnut spread 400 g"
+const nameFor = (row) => {
+  const name = row.product_name.trim();
+  const brand = row.brands?.split(',')[0].trim();
+  const withBrand = brand && !name.toLowerCase().includes(brand.toLowerCase()) ? `${brand} ${name}` : name;
+  return [withBrand, row.quantity?.trim()].filter(Boolean).join(' ');
+};
+
+// { name, ingredient } for an Open Food Facts product (an export row or an
+// API result), or null when it lacks a name or anything to cook with
+export const toProduct = (row) => {
+  const ingredient = row.product_name?.trim() && ingredientFor(row);
+  return ingredient ? { name: nameFor(row), ingredient } : null;
+};
+
+const OFF_API = 'https://world.openfoodfacts.org/api/v2/product';
+const OFF_FIELDS = ['product_name', 'generic_name', 'brands', 'quantity', 'categories_tags'];
+const LOOKUP_TIMEOUT_MS = 5000;
+
+// Live answers for codes the table doesn't have, misses included, for as
+// long as the page is open
+const looked = new Map();
+
+// Asks Open Food Facts about one code. Offline, slow or failed lookups
+// resolve to null and aren't remembered, so a later scan can try again.
+const lookupOnline = (code) => {
+  if (!looked.has(code)) {
+    const url = `${OFF_API}/${code}.json?fields=${OFF_FIELDS.join(',')}`;
+    looked.set(code, fetch(url, { signal: AbortSignal.timeout(LOOKUP_TIMEOUT_MS) })
+      // Unknown codes come back as a 404 with status 0
+      .then(response => (response.ok || response.status === 404 ? response.json() : Promise.reject(new Error(response.statusText))))
+      .then(data => (data.status === 1 && data.product ? toProduct(data.product) : null))
+      .catch(() => {
+        looked.delete(code);
+        return null;
+      }));
+  }
+  return looked.get(code);
+};
+
+let products = null;
+
+// The bundled table is only fetched once something is scanned
+const loadProducts = () => {
+  products ??= fetch('/products.json')
+    .then(response => (response.ok ? response.json() : {}))
+    .catch(() => {
+      products = null;
+      return {};
+    });
+  return products;
+};
+
+// Resolves to { code, name, ingredient } or null when the product is
+// unknown. `learned` maps codes to names the user typed in, which win over
+// the table, which wins over Open Food Facts.
+export const lookupProduct = async (code, learned = {}) => {
+  if (learned[code]) return { code, name: learned[code], ingredient: learned[code] };
+  const product = (await loadProducts())[code] ?? await lookupOnline(code);
+  return product ? { code, name: product.name, ingredient: product.ingredient } : null;
+};
@@ -0,0 +1,52 @@
+import { normalizeName } from './pantry.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days from today until a YYYY-MM-DD best-before date (negative once past)
+export const daysLeft = (bestBefore, now = new Date()) => {
+  if (!bestBefore) return null;
+  const [y, m, d] = bestBefore.split('-').map(Number);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((new Date(y, m - 1, d) - today) / DAY_MS);
+};
+
+// 'expired' | 'expiring' (≤1 day) | 'use-soon' (≤3 days) | 'fresh', or null without a date
+export const freshnessOf = (days) => {
+  if (days === null) return null;
+  if (days < 0) return 'expired';
+  if (days <= 1) return 'expiring';
+  if (days <= 3) return 'use-soon';
+  return 'fresh';
+};
+
+export const FRESHNESS_STYLES = {
+  expired: 'bg-red-500/10 text-red-400 border-red-500/20',
+  expiring: 'bg-orange-500/10 text-orange-400 border-orange-500/20',
+  'use-soon': 'bg-amber-500/10 text-amber-400 border-amber-500/20',
+  fresh: 'bg-zinc-800 text-zinc-500 border-zinc-700',
+};
+
+export const describeDaysLeft = (days) => {
+  if (days < 0) return `Expired ${-days}d ago`;
+  if (days === 0) return 'Use today';
+  if (days === 1) return '1 day left';
+  return `${days} days left`;
+};
+
+// Pantry items as the { name, daysLeft, freshness } hints "use it up" mode expects
+export const toUseItUpItems = (pantry, now = new Date()) => pantry.map((item) => {
+  const days = daysLeft(item.bestBefore, now);
+  return {
+    name: item.name,
+    ...(days !== null && { daysLeft: days, freshness: freshnessOf(days) }),
+  };
+});
+
+// How much soon-to-expire food a recipe rescues: more urgent items weigh more
+const URGENCY_WEIGHT = { expired: 3, expiring: 3, 'use-soon': 2, fresh: 1 };
+
+export const rescueScore = (recipe, pantry, now = new Date()) => (recipe.usesAtRisk || []).reduce((score, name) => {
+  const item = pantry.find(p => normalizeName(p.name) === normalizeName(name));
+  const freshness = item ? freshnessOf(daysLeft(item.bestBefore, now)) : null;
+  return score + (URGENCY_WEIGHT[freshness] ?? 1);
+}, 0);
@@ -0,0 +1,54 @@
+// Local history of analyses and the favourites library. History entries are
+// { id, createdAt, mode, ingredients, ingredientSources, recipes, impact,
+// atRisk, excluded };
+// favourites copy the recipe so they survive the history being trimmed.
+
+export const MAX_HISTORY = 50;
+
+export const createEntry = ({ mode, ingredients, ingredientSources = [], recipes, impact, atRisk = [], excluded = [] }) => ({
+  id: crypto.randomUUID(),
+  createdAt: new Date().toISOString(),
+  mode,
+  ingredients,
+  ingredientSources,
+  recipes,
+  impact,
+  atRisk,
+  excluded,
+});
+
+export const addEntry = (history, entry) => [entry, ...history].slice(0, MAX_HISTORY);
+
+export const favouriteId = (entryId, index) => `${entryId}:${index}`;
+
+export const toggleFavourite = (favourites, { entry, index }) => {
+  const id = favouriteId(entry.id, index);
+  if (favourites.some(f => f.id === id)) return favourites.filter(f => f.id !== id);
+  return [{
+    id,
+    savedAt: new Date().toISOString(),
+    entryId: entry.id,
+    recipe: entry.recipes[index],
+    ingredients: entry.ingredients,
+  }, ...favourites];
+};
+
+const MODE_LABELS = { photo: 'Photo scan', text: 'Quick List', 'use-it-up': 'Use it up', refine: 'Follow-up', 'meal-plan': 'Meal plan' };
+export const modeLabel = (mode) => MODE_LABELS[mode] ?? mode;
+
+const searchableText = (recipe, ingredients = []) => [
+  recipe.name,
+  recipe.description,
+  ...(recipe.ingredients || []).map(line => line.item),
+  ...(recipe.instructions || []),
+  ...(recipe.missing || []),
+  ...ingredients,
+].join(' ').toLowerCase();
+
+// Matches every word of `query` against name, steps and ingredients, and
+// optionally caps the cook time
+export const matchesFilter = (recipe, ingredients, { query = '', maxMinutes = null }) => {
+  if (maxMinutes && !(recipe.time?.minutes && recipe.time.minutes <= maxMinutes)) return false;
+  const text = searchableText(recipe, ingredients);
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
@@ -0,0 +1,147 @@
+// Household sync on this device. The shared state (pantry, favourites, the
+// recipes picked for the week and the shopping list's extra, ticked and
+// cleared items) is flattened into records keyed "<collection>/<key>", so
+// every item is merged on its own by api/_lib/household/sync.js. The saved
+// household is { id, name, inviteCode, members, memberId, token, cursor,
+// baseline, pending, lastSyncedAt }: `baseline` is each record as last agreed
+// with the server (as JSON) and `pending` the local edits not sent yet,
+// stamped with the time they were made.
+import { normalizeName } from './pantry.js'
+
+// Changes sent per request; the rest follow in the next sync
+const MAX_BATCH = 200;
+
+const byId = (collection, list) => list.map(item => [`${collection}/${item.id}`, item]);
+
+export const toRecords = ({ pantry, favourites, picked, shoppingList }) => Object.fromEntries([
+  ...byId('pantry', pantry),
+  ...byId('favourites', favourites),
+  ...byId('picked', picked),
+  ...shoppingList.extra.map(name => [`shopping/extra:${normalizeName(name)}`, name]),
+  ...shoppingList.checked.map(key => [`shopping/checked:${key}`, true]),
+  ...shoppingList.cleared.map(key => [`shopping/cleared:${key}`, true]),
+]);
+
+// Existing items keep their place, new ones are appended (favourites are
+// kept newest first, like toggleFavourite does)
+const mergeList = (collection, list, records) => {
+  const prefix = `${collection}/`;
+  const known = new Set(list.map(item => item.id));
+  const merged = [
+    ...list.filter(item => `${prefix}${item.id}` in records).map(item => records[`${prefix}${item.id}`]),
+    ...Object.entries(records)
+      .filter(([key]) => key.startsWith(prefix) && !known.has(key.slice(prefix.length)))
+      .map(([, value]) => value),
+  ];
+  return collection === 'favourites' ? merged.sort((a, b) => b.savedAt.localeCompare(a.savedAt)) : merged;
+};
+
+const shoppingKeys = (records, kind) => Object.keys(records)
+  .filter(key => key.startsWith(`shopping/${kind}:`))
+  .map(key => key.slice(`shopping/${kind}:`.length));
+
+// The inverse of toRecords, keeping the order of what `data` already had
+export const fromRecords = (records, data) => {
+  const extra = new Map(shoppingKeys(records, 'extra').map(key => [key, records[`shopping/extra:${key}`]]));
+  const keptExtra = data.shoppingList.extra.filter(name => extra.delete(normalizeName(name)));
+  return {
+    pantry: mergeList('pantry', data.pantry, records),
+    favourites: mergeList('favourites', data.favourites, records),
+    picked: mergeList('picked', data.picked, records),
+    shoppingList: {
+      extra: [...keptExtra, ...extra.values()],
+      checked: shoppingKeys(records, 'checked'),
+      cleared: shoppingKeys(records, 'cleared'),
+    },
+  };
+};
+
+// A just created or joined household. Everything already on this device
+// becomes a pending change, so joining merges it into the household.
+export const startHousehold = ({ household, member }) => ({
+  ...household,
+  memberId: member.id,
+  token: member.token,
+  cursor: 0,
+  baseline: {},
+  pending: {},
+  lastSyncedAt: null,
+});
+
+const lastKnown = (household, pending, key) => {
+  if (key in pending) return pending[key].deleted ? undefined : JSON.stringify(pending[key].value);
+  return household.baseline[key];
+};
+
+// Records local edits as pending changes, timed when they happen rather
+// than when they're sent. Returns `household` itself when nothing changed.
+export const trackChanges = (household, records, now = Date.now()) => {
+  const pending = { ...household.pending };
+  let changed = false;
+
+  for (const [key, value] of Object.entries(records)) {
+    if (JSON.stringify(value) !== lastKnown(household, pending, key)) {
+      pending[key] = { value, updatedAt: now };
+      changed = true;
+    }
+  }
+  for (const key of new Set([...Object.keys(household.baseline), ...Object.keys(pending)])) {
+    if (!(key in records) && lastKnown(household, pending, key) !== undefined) {
+      pending[key] = { deleted: true, updatedAt: now };
+      changed = true;
+    }
+  }
+  return changed ? { ...household, pending } : household;
+};
+
+// The next batch of pending changes, as { recordKey: entry }
+export const nextBatch = (pending) => Object.fromEntries(Object.entries(pending).slice(0, MAX_BATCH));
+
+// A batch in the API's format
+export const toChanges = (batch) => Object.entries(batch).map(([recordKey, entry]) => {
+  const slash = recordKey.indexOf('/');
+  return { collection: recordKey.slice(0, slash), key: recordKey.slice(slash + 1), ...entry };
+});
+
+// Folds a sync reply into the device's data and household. `sent` is the
+// batch the request carried. Returns { data, household }, with `data` null
+// when nothing came back to apply.
+export const applySync = (data, household, sent, { changes, cursor, full, household: info }) => {
+  const pending = { ...household.pending };
+  const baseline = full ? {} : { ...household.baseline };
+
+  // Accepted unless the server says otherwise below; edits made while the
+  // request was out stay pending
+  for (const [key, entry] of Object.entries(sent)) {
+    if (pending[key]?.updatedAt === entry.updatedAt) delete pending[key];
+    if (entry.deleted) delete baseline[key];
+    else baseline[key] = JSON.stringify(entry.value);
+  }
+
+  const records = toRecords(data);
+  for (const change of changes) {
+    const key = `${change.collection}/${change.key}`;
+    // A newer local edit goes out with the next sync instead
+    if (pending[key] && pending[key].updatedAt > change.updatedAt) continue;
+    delete pending[key];
+    if (change.deleted) {
+      delete records[key];
+      delete baseline[key];
+    } else {
+      records[key] = change.value;
+      baseline[key] = JSON.stringify(change.value);
+    }
+  }
+  // A full copy lists every live item: anything else here was deleted on
+  // another device while this one was away
+  if (full) {
+    Object.keys(records).forEach(key => {
+      if (!(key in baseline) && !(key in pending)) delete records[key];
+    });
+  }
+
+  return {
+    data: changes.length || full ? fromRecords(records, data) : null,
+    household: { ...household, ...info, cursor, baseline, pending, lastSyncedAt: new Date().toISOString() },
+  };
+};
@@ -0,0 +1,93 @@
+// Prepares a photo for upload: applies EXIF orientation, downscales to what
+// the vision model actually uses and re-encodes as JPEG. Smaller uploads mean
+// fewer input tokens, which is most of a photo scan's footprint.
+
+// Claude resizes anything larger than this anyway (long edge / total pixels)
+export const MAX_DIMENSION = 1568;
+const MAX_PIXELS = 1_150_000;
+const JPEG_QUALITY = 0.85;
+
+const decode = async (file) => {
+  // 'from-image' bakes the EXIF orientation into the decoded pixels
+  if ('createImageBitmap' in window) {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Fall through to <img>, which some browsers decode more formats with (e.g. HEIC in Safari)
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const toBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))),
+    type,
+    quality,
+  ));
+
+const toDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Resolves to { data (base64), mediaType, preview (data URL), width, height,
+// originalBytes, bytes }. Rejects when the browser can't decode the file.
+export const prepareImage = async (file) => {
+  let source;
+  try {
+    source = await decode(file);
+  } catch {
+    throw new Error(/heic|heif/i.test(file.type || file.name)
+      ? "This browser can't read HEIC photos. Try taking the photo as JPEG, or use Safari."
+      : "That file couldn't be read as an image.");
+  }
+
+  const width = source.width;
+  const height = source.height;
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(width, height), Math.sqrt(MAX_PIXELS / (width * height)));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+
+  const ctx = canvas.getContext('2d');
+  // JPEG has no alpha: flatten transparent PNGs onto white rather than black
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  source.close?.();
+
+  const blob = await toBlob(canvas, 'image/jpeg', JPEG_QUALITY);
+  const preview = await toDataUrl(blob);
+  return {
+    data: preview.split(',')[1],
+    mediaType: blob.type,
+    preview,
+    width: canvas.width,
+    height: canvas.height,
+    originalBytes: file.size,
+    bytes: blob.size,
+  };
+};
+
+export const formatBytes = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// Multi-photo scans: one shot per storage spot, matching the server's limits
+export const MAX_PHOTOS = 6;
+export const PHOTO_LOCATIONS = ['fridge', 'fridge door', 'freezer', 'pantry', 'counter', 'other'];
+
+// Suggests the next spot so a fridge → door → freezer series needs no edits
+export const nextLocation = (photos) =>
+  PHOTO_LOCATIONS.find(location => !photos.some(p => p.location === location)) ?? 'other';
@@ -0,0 +1,47 @@
+// IndexedDB store for the photos of queued scans, which are too big for
+// localStorage. Photos are saved under the queued request's id. Every call
+// rejects when IndexedDB isn't available (some private modes).
+const DB_NAME = 'fridge-check';
+const STORE = 'queuedImages';
+
+let opening = null;
+
+const openDb = () => {
+  opening ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(err => {
+    opening = null;
+    throw err;
+  });
+  return opening;
+};
+
+// Runs `action` on the store and resolves with its result once the
+// transaction has committed
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const saveImages = (id, images) => withStore('readwrite', store => store.put(images, id));
+
+// Resolves with undefined when nothing is stored under `id`
+export const loadImages = (id) => withStore('readonly', store => store.get(id));
+
+export const deleteImages = (id) => withStore('readwrite', store => store.delete(id));
+
+// Deletes photos whose request is no longer queued
+export const pruneImages = async (keepIds) => {
+  const keep = new Set(keepIds);
+  const ids = await withStore('readonly', store => store.getAllKeys());
+  await Promise.all(ids.filter(id => !keep.has(id)).map(deleteImages));
+};
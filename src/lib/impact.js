@@ -0,0 +1,195 @@
+// Environmental impact estimates for AI requests. Every figure is a range:
+// published measurements for hosted models vary a lot, and providers don't
+// report energy per request, so `mid` is a best guess and `low`/`high` span
+// the published spread. Coefficients are rounded; see SOURCES.
+
+export const SOURCES = [
+  {
+    id: 'epoch-2025',
+    title: 'Epoch AI (2025), "How much energy does ChatGPT use?"',
+    url: 'https://epoch.ai/gradient-updates/how-much-energy-does-chatgpt-use',
+    note: '~0.3 Wh for a typical GPT-4o reply of ~500 output tokens; input tokens cost far less per token than output.',
+  },
+  {
+    id: 'samsi-2023',
+    title: 'Samsi et al. (2023), "From Words to Watts: Benchmarking the Energy Costs of Large Language Model Inference"',
+    url: 'https://arxiv.org/abs/2310.03003',
+    note: 'Measured energy per generated token for 7B-65B models; basis for the small/large model spread.',
+  },
+  {
+    id: 'luccioni-2024',
+    title: 'Luccioni, Jernite & Strubell (2024), "Power Hungry Processing: Watts Driving the Cost of AI Deployment?"',
+    url: 'https://arxiv.org/abs/2311.16863',
+    note: 'Image inputs cost more than text of similar length; basis for the image token weight.',
+  },
+  {
+    id: 'li-2023',
+    title: 'Li et al. (2023), "Making AI Less \'Thirsty\': Uncovering and Addressing the Secret Water Footprint of AI Models"',
+    url: 'https://arxiv.org/abs/2304.03271',
+    note: 'On-site cooling water (WUE) and off-site water used to generate electricity, in L/kWh.',
+  },
+  {
+    id: 'ember-2024',
+    title: 'Ember (2024), "Global Electricity Review 2024"',
+    url: 'https://ember-energy.org/latest-insights/global-electricity-review-2024/',
+    note: 'Grid carbon intensity for 2023 by region, in gCO₂/kWh.',
+  },
+  {
+    id: 'google-2024',
+    title: 'Google (2024), "Environmental Report"',
+    url: 'https://sustainability.google/reports/google-2024-environmental-report/',
+    note: 'Fleet-wide data centre PUE of ~1.10; older or smaller facilities run higher.',
+  },
+];
+
+const range = (low, mid, high) => ({ low, mid, high });
+
+// Wh per 1,000 tokens at the accelerator and server, before data centre
+// overhead. Image tokens are input tokens weighted for the vision encoder.
+export const MODEL_PROFILES = {
+  small: {
+    label: 'Small model',
+    inputWh: range(0.01, 0.02, 0.06),
+    outputWh: range(0.05, 0.15, 0.4),
+    sources: ['samsi-2023', 'epoch-2025'],
+  },
+  medium: {
+    label: 'Mid-size model',
+    inputWh: range(0.03, 0.08, 0.25),
+    outputWh: range(0.3, 0.6, 2),
+    sources: ['epoch-2025', 'samsi-2023'],
+  },
+  large: {
+    label: 'Large model',
+    inputWh: range(0.1, 0.25, 0.8),
+    outputWh: range(1, 2, 6),
+    sources: ['samsi-2023', 'epoch-2025'],
+  },
+};
+
+// Matched against the model name the API reports; anything unknown counts as mid-size
+const MODEL_CLASSES = [
+  [/haiku|mini|nano|flash|\b[1-9]b\b|1[0-3]b\b|llama3\.2|phi|gemma/i, 'small'],
+  [/opus|gpt-4(?!o|\.1)|o1|o3|70b|405b/i, 'large'],
+];
+
+export const IMAGE_TOKEN_WEIGHT = range(1, 1.3, 2);
+
+// Power usage effectiveness: total facility energy per unit of IT energy
+export const PUE = range(1.08, 1.12, 1.4);
+
+// gCO₂ per kWh, and water per kWh: on-site cooling plus off-site generation
+export const REGIONS = {
+  us: {
+    label: 'United States',
+    co2PerKwh: range(300, 369, 450),
+    waterLPerKwh: range(2, 3.7, 5.5),
+  },
+  eu: {
+    label: 'European Union',
+    co2PerKwh: range(150, 244, 350),
+    waterLPerKwh: range(1.2, 2.5, 4),
+  },
+  world: {
+    label: 'World average',
+    co2PerKwh: range(400, 480, 550),
+    waterLPerKwh: range(1.5, 3.5, 6),
+  },
+};
+
+export const DEFAULT_REGION = 'us';
+
+export const profileFor = (model) => {
+  const match = MODEL_CLASSES.find(([pattern]) => pattern.test(model || ''));
+  return MODEL_PROFILES[match ? match[1] : 'medium'];
+};
+
+// Anthropic's published approximation for vision input: (width × height) / 750
+export const imageTokensFor = ({ width, height }) => Math.ceil((width * height) / 750);
+
+const LEVELS = ['low', 'mid', 'high'];
+
+// { tokens, water (ml), energy (kWh), co2 (g) } using mid values, plus
+// `range` with [low, high] for each and the profile/region they came from.
+// `imageTokens` is the part of `inputTokens` that came from photos.
+export const calculateImpact = ({ inputTokens, outputTokens, imageTokens = 0, model, region = DEFAULT_REGION }) => {
+  const profile = profileFor(model);
+  const grid = REGIONS[region] ?? REGIONS[DEFAULT_REGION];
+  const image = Math.min(imageTokens, inputTokens);
+  const text = inputTokens - image;
+
+  const at = (level) => {
+    const wh = (text / 1000) * profile.inputWh[level]
+      + (image / 1000) * profile.inputWh[level] * IMAGE_TOKEN_WEIGHT[level]
+      + (outputTokens / 1000) * profile.outputWh[level];
+    const kwh = (wh * PUE[level]) / 1000;
+    return { energy: kwh, water: kwh * grid.waterLPerKwh[level] * 1000, co2: kwh * grid.co2PerKwh[level] };
+  };
+  const [low, mid, high] = LEVELS.map(at);
+
+  return {
+    tokens: { input: inputTokens, output: outputTokens, image, total: inputTokens + outputTokens },
+    water: mid.water,
+    energy: mid.energy,
+    co2: mid.co2,
+    range: {
+      water: [low.water, high.water],
+      energy: [low.energy, high.energy],
+      co2: [low.co2, high.co2],
+    },
+    model: model || null,
+    profile: profile.label,
+    region: REGIONS[region] ? region : DEFAULT_REGION,
+    phoneCharges: mid.energy / 0.01,
+    drinkingGlasses: mid.water / 250,
+  };
+};
+
+// Typical request sizes, from the prompts in api/_lib/prompts.js and the
+// replies they get back
+const PROMPT_TOKENS = { photo: 330, text: 260, 'use-it-up': 420, refine: 300, 'meal-plan': 450 };
+const TOKENS_PER_INGREDIENT = 4;
+const TYPICAL_OUTPUT_TOKENS = 850;
+// Follow-ups send back and receive whole recipes, and meal plans return one
+// per meal, so both scale with the count
+const TOKENS_PER_RECIPE = 270;
+const DEFAULT_PHOTO = { width: 1240, height: 930 };
+
+// Pre-request estimate for a mode, so the UI quotes the same model as the results.
+// For "refine", `recipeCount` is how many recipes are sent and returned.
+// `calls` is how many model calls share the output (meal plans are split up),
+// each sending the prompt again.
+export const estimateRequest = (mode, { model, region, photos = [], ingredientCount = 12, recipeCount = 1, calls = 1 } = {}) => {
+  const shots = mode === 'photo' ? (photos.length ? photos : [DEFAULT_PHOTO]) : [];
+  const imageTokens = shots.reduce((sum, photo) => sum + imageTokensFor(photo), 0);
+  const listTokens = mode === 'photo' ? 0 : ingredientCount * TOKENS_PER_INGREDIENT;
+  const recipeTokens = mode === 'refine' ? recipeCount * TOKENS_PER_RECIPE : 0;
+  const outputTokens = mode === 'refine' ? recipeTokens
+    : mode === 'meal-plan' ? recipeCount * TOKENS_PER_RECIPE : TYPICAL_OUTPUT_TOKENS;
+  return {
+    ...calculateImpact({
+      inputTokens: calls * ((PROMPT_TOKENS[mode] ?? PROMPT_TOKENS.text) + listTokens + recipeTokens + imageTokens),
+      outputTokens,
+      imageTokens,
+      model,
+      region,
+    }),
+    estimate: true,
+  };
+};
+
+// How much less a Quick List uses than a photo scan, as a whole percentage
+export const textSavingsPercent = (options) => {
+  const photo = estimateRequest('photo', options);
+  const text = estimateRequest('text', options);
+  return Math.max(0, Math.round((1 - text.energy / photo.energy) * 100));
+};
+
+const trim = (value, digits) => Number(value.toFixed(digits)).toString();
+
+// [0.8, 3.1] -> "0.8–3.1"; collapses when both ends round the same
+export const formatRange = ([low, high], digits = 1) => {
+  const a = trim(low, digits);
+  const b = trim(high, digits);
+  return a === b ? a : `${a}–${b}`;
+};
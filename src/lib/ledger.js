@@ -0,0 +1,145 @@
+// Persisted log of every AI request's estimated footprint, feeding the impact
+// dashboard and the monthly budget. Entries are
+// { id, at, mode, refresh, cached, tokens, water, energy, co2, saved }, where
+// `saved` is what a cache hit would have cost.
+import { estimateRequest } from './impact.js'
+
+// A couple of years of daily use; older entries drop off first
+export const MAX_LEDGER = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const METRICS = {
+  water: { label: 'Water', unit: 'ml', scale: 1, digits: 1 },
+  energy: { label: 'Energy', unit: 'Wh', scale: 1000, digits: 2 },
+  co2: { label: 'CO₂', unit: 'g', scale: 1, digits: 2 },
+};
+
+// Ledger values in display units (ml, Wh, g)
+const metricValue = (value, metric) => value * METRICS[metric].scale;
+export const formatMetric = (value, metric) =>
+  `${metricValue(value, metric).toFixed(METRICS[metric].digits)} ${METRICS[metric].unit}`;
+
+export const createLedgerEntry = ({ mode, refresh = false, impact, at = new Date() }) => ({
+  id: crypto.randomUUID(),
+  at: at.toISOString(),
+  mode,
+  refresh,
+  cached: Boolean(impact.cached),
+  tokens: { input: impact.tokens.input, output: impact.tokens.output, image: impact.tokens.image ?? 0 },
+  model: impact.model ?? null,
+  water: impact.water,
+  energy: impact.energy,
+  co2: impact.co2,
+  saved: impact.saved ? { water: impact.saved.water, energy: impact.saved.energy, co2: impact.saved.co2 } : null,
+});
+
+export const addToLedger = (ledger, entry) => [...ledger, entry].slice(-MAX_LEDGER);
+
+const sum = (entries, pick) => entries.reduce((total, entry) => total + (pick(entry) || 0), 0);
+
+export const totalsOf = (entries) => ({
+  requests: entries.length,
+  water: sum(entries, e => e.water),
+  energy: sum(entries, e => e.energy),
+  co2: sum(entries, e => e.co2),
+  savedWater: sum(entries, e => e.saved?.water),
+});
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Weeks start on Monday
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+};
+
+export const entriesThisMonth = (ledger, now = new Date()) => ledger.filter(entry => {
+  const at = new Date(entry.at);
+  return at.getFullYear() === now.getFullYear() && at.getMonth() === now.getMonth();
+});
+
+// The last `count` days or weeks, oldest first, with per-mode totals so charts
+// can stack photo scans against text requests. Empty periods are kept.
+export const bucketLedger = (ledger, { period = 'day', count = 14, now = new Date() } = {}) => {
+  const start = period === 'week' ? startOfWeek : startOfDay;
+  const current = start(now);
+  const buckets = Array.from({ length: count }, (_, i) => {
+    const from = new Date(current);
+    if (period === 'week') from.setDate(from.getDate() - 7 * (count - 1 - i));
+    else from.setDate(from.getDate() - (count - 1 - i));
+    return { from, entries: [] };
+  });
+
+  for (const entry of ledger) {
+    const key = start(new Date(entry.at)).getTime();
+    buckets.find(bucket => bucket.from.getTime() === key)?.entries.push(entry);
+  }
+
+  return buckets.map(({ from, entries }) => ({
+    from,
+    label: period === 'week'
+      ? from.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })
+      : from.toLocaleDateString(undefined, { weekday: 'narrow' }),
+    photo: totalsOf(entries.filter(e => e.mode === 'photo')),
+    text: totalsOf(entries.filter(e => e.mode !== 'photo')),
+    total: totalsOf(entries),
+  }));
+};
+
+// Photo scans vs text requests (Quick List, pantry and use it up), averaged
+// over requests that actually ran so cache hits don't flatter either side
+export const compareModes = (ledger) => {
+  const side = (entries) => {
+    const ran = entries.filter(e => !e.cached);
+    const totals = totalsOf(ran);
+    return {
+      ...totalsOf(entries),
+      average: ran.length
+        ? { water: totals.water / ran.length, energy: totals.energy / ran.length, co2: totals.co2 / ran.length }
+        : null,
+    };
+  };
+  return {
+    photo: side(ledger.filter(e => e.mode === 'photo')),
+    text: side(ledger.filter(e => e.mode !== 'photo')),
+  };
+};
+
+// Estimated savings: what text requests avoided compared with a photo scan
+// (follow-ups and meal plans don't count, no scan would have done their job),
+// what cache hits avoided, and what switching the photo scans to Quick Lists
+// would still save. Uses the same estimates the UI quotes before a request.
+const NOT_SCAN_ALTERNATIVES = ['photo', 'refine', 'meal-plan'];
+
+export const estimateSavings = (ledger, options) => {
+  const photoCost = estimateRequest('photo', options);
+  const textCost = estimateRequest('text', options);
+  const ran = ledger.filter(e => !e.cached);
+  const texts = ran.filter(e => !NOT_SCAN_ALTERNATIVES.includes(e.mode) && !e.refresh);
+  const photos = ran.filter(e => e.mode === 'photo');
+
+  const saving = (count, metric) => count * Math.max(0, photoCost[metric] - textCost[metric]);
+  return {
+    byQuickList: { water: saving(texts.length, 'water'), energy: saving(texts.length, 'energy'), co2: saving(texts.length, 'co2') },
+    byCache: {
+      water: sum(ledger, e => e.saved?.water),
+      energy: sum(ledger, e => e.saved?.energy),
+      co2: sum(ledger, e => e.saved?.co2),
+    },
+    potential: { water: saving(photos.length, 'water'), energy: saving(photos.length, 'energy'), co2: saving(photos.length, 'co2') },
+  };
+};
+
+// Monthly water budget check for a request about to be made. Returns null
+// without a budget, otherwise { used, projected, budget, over }.
+export const checkBudget = (ledger, budgetMl, estimate, now = new Date()) => {
+  if (!budgetMl) return null;
+  const used = totalsOf(entriesThisMonth(ledger, now)).water;
+  const projected = used + estimate.water;
+  return { used, projected, budget: budgetMl, over: projected > budgetMl };
+};
+
+export const daysLeftInMonth = (now = new Date()) =>
+  Math.round((new Date(now.getFullYear(), now.getMonth() + 1, 1) - startOfDay(now)) / DAY_MS);
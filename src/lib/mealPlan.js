@@ -0,0 +1,53 @@
+// Weekly meal plans (see api/_lib/mealPlan.js). A plan is { id, createdAt,
+// days, people, meals, ingredients, recipes, impact }, where each recipe has
+// the `day` (1-based) and `meal` it's planned for.
+import { favouriteId } from './history.js'
+
+export const MEALS = ['breakfast', 'lunch', 'dinner'];
+export const MAX_DAYS = 7;
+export const MAX_PEOPLE = 12;
+export const DEFAULT_SETTINGS = { days: 3, people: 2, meals: MEALS };
+// How many model calls the server splits a plan into; planChunks in
+// api/_lib/mealPlan.js asks for whole days, at most this many meals per call
+const MAX_MEALS_PER_CALL = 3;
+
+export const planCalls = (days, meals) => Math.ceil(days / Math.max(1, Math.floor(MAX_MEALS_PER_CALL / meals.length)));
+
+export const createPlan = ({ days, people, meals, ingredients }) => ({
+  id: crypto.randomUUID(),
+  createdAt: new Date().toISOString(),
+  days,
+  people,
+  meals,
+  ingredients,
+  recipes: [],
+  impact: null,
+});
+
+// Day 1 is the day the plan was made: "Mon 20 Oct"
+export const dayLabel = (plan, day) => {
+  const date = new Date(plan.createdAt);
+  date.setDate(date.getDate() + day - 1);
+  return date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+};
+
+// Index of the recipe planned for a slot, or -1 while it hasn't arrived
+export const slotIndex = (plan, day, meal) => plan.recipes.findIndex(recipe => recipe?.day === day && recipe.meal === meal);
+
+// Same id scheme as history entries, so plan meals can be picked and cooked
+export const planMealId = (plan, index) => favouriteId(plan.id, index);
+
+// A swap is a targeted follow-up; the server tells the model to avoid the
+// other recipes in the plan
+export const swapInstruction = (recipe) => `Swap it for a different ${recipe.meal} using my ingredients`;
+
+// Keeps the slot when the replacement comes back
+export const replaceMeal = (plan, index, recipe) => ({
+  ...plan,
+  recipes: plan.recipes.map((old, i) => (i === index ? { ...recipe, day: old.day, meal: old.meal } : old)),
+});
+
+// Every meal as a picked-recipe entry, for the combined shopping list
+export const planAsPicked = (plan) => plan.recipes
+  .map((recipe, index) => recipe && { id: planMealId(plan, index), recipe, have: plan.ingredients })
+  .filter(Boolean);
@@ -0,0 +1,53 @@
+// Analyze requests made without a connection wait here and are sent, oldest
+// first, once the browser is back online. The queue is persisted with the
+// rest of the app's state, except for photos: those go to IndexedDB (see
+// imageStore.js) and are put back into the request when it's sent.
+import { deleteImages, loadImages, saveImages } from './imageStore.js'
+
+export const MAX_PENDING = 5;
+
+export const isOffline = () => navigator.onLine === false;
+
+const shorten = (text, max = 40) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+// "Photo scan (2 photos)", "Recipes for chicken, rice, broccoli"
+export const describeRequest = (body) => {
+  if (body.mode === 'photo') {
+    const count = body.images?.length ?? 1;
+    return `Photo scan (${count} photo${count === 1 ? '' : 's'})`;
+  }
+  if (body.mode === 'use-it-up') return `Use it up (${body.items.length} items)`;
+  return `Recipes for ${shorten(body.ingredients)}`;
+};
+
+// `request` is { body, fallbackError, options, screen }: what runAnalysis
+// needs to send it later, and the screen to show the results on. Photos are
+// stored apart; when that fails they stay in the body and the request is
+// marked `unsaved`, since it's then unlikely to survive closing the app.
+export const createRequest = async (request) => {
+  const queued = { ...request, id: crypto.randomUUID(), label: describeRequest(request.body), queuedAt: new Date().toISOString() };
+  if (!request.body.images) return queued;
+  try {
+    await saveImages(queued.id, request.body.images);
+    return { ...queued, body: { ...request.body, images: null }, imagesStored: true };
+  } catch {
+    return { ...queued, unsaved: true };
+  }
+};
+
+// The oldest requests are dropped past MAX_PENDING; their photos are cleared
+// out by pruneImages on the next start
+export const enqueueRequest = (queue, request) => [...queue, request].slice(-MAX_PENDING);
+
+// The body to send, with its photos back in place. Resolves with null when
+// they're gone (site data cleared, say).
+export const restoreBody = async (request) => {
+  if (!request.imagesStored) return request.body;
+  const images = await loadImages(request.id).catch(() => undefined);
+  return images ? { ...request.body, images } : null;
+};
+
+// Call once a request has left the queue
+export const discardRequest = (request) => {
+  if (request.imagesStored) deleteImages(request.id).catch(() => {});
+};
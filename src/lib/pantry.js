@@ -0,0 +1,45 @@
+// Pantry items: { id, name, quantity, unit, addedAt, bestBefore }.
+// `quantity` and `bestBefore` (YYYY-MM-DD) are optional.
+
+// "Tomatoes " / "tomato" / "TOMATOES" all refer to the same pantry item
+export const normalizeName = (name) => {
+  const base = name.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (base.endsWith('ies') && base.length > 4) return `${base.slice(0, -3)}y`;
+  if (/(?:ches|shes|sses|xes|oes)$/.test(base)) return base.slice(0, -2);
+  if (base.endsWith('s') && !base.endsWith('ss') && base.length > 3) return base.slice(0, -1);
+  return base;
+};
+
+export const createItem = ({ name, quantity = null, unit = '', bestBefore = null }) => ({
+  id: crypto.randomUUID(),
+  name: name.trim(),
+  quantity,
+  unit,
+  addedAt: new Date().toISOString(),
+  bestBefore,
+});
+
+// Adds names (or partial items) that aren't in the pantry yet. Returns the new
+// list and how many items were actually added.
+export const mergeIntoPantry = (pantry, entries) => {
+  const known = new Set(pantry.map(item => normalizeName(item.name)));
+  const added = [];
+
+  for (const entry of entries) {
+    const fields = typeof entry === 'string' ? { name: entry } : entry;
+    const key = normalizeName(fields.name || '');
+    if (!key || known.has(key)) continue;
+    known.add(key);
+    added.push(createItem(fields));
+  }
+
+  return { pantry: [...pantry, ...added], added: added.length };
+};
+
+export const formatItem = (item) => {
+  if (item.quantity === null || item.quantity === undefined || item.quantity === '') return item.name;
+  return `${item.name} (${item.quantity}${item.unit ? ` ${item.unit}` : ''})`;
+};
+
+// The pantry as a Quick List string for text mode
+export const pantryToIngredientList = (pantry) => pantry.map(formatItem).join(', ');
@@ -0,0 +1,56 @@
+// Saved dietary profile, sent with every /api/analyze request. The keys match
+// the ones api/_lib/preferences.js understands.
+
+export const DIETS = [
+  { key: null, label: 'No restriction' },
+  { key: 'vegetarian', label: 'Vegetarian' },
+  { key: 'vegan', label: 'Vegan' },
+  { key: 'pescatarian', label: 'Pescatarian' },
+];
+
+export const ALLERGENS = [
+  { key: 'peanuts', label: 'Peanuts' },
+  { key: 'tree-nuts', label: 'Tree nuts' },
+  { key: 'dairy', label: 'Dairy' },
+  { key: 'eggs', label: 'Eggs' },
+  { key: 'gluten', label: 'Gluten' },
+  { key: 'soy', label: 'Soy' },
+  { key: 'fish', label: 'Fish' },
+  { key: 'shellfish', label: 'Shellfish' },
+  { key: 'sesame', label: 'Sesame' },
+];
+
+// Per-serving targets, checked against each recipe's nutrition estimate
+export const NUTRITION_TARGETS = [
+  { key: 'high-protein', label: 'High protein', hint: '25 g+' },
+  { key: 'high-fiber', label: 'High fiber', hint: '8 g+' },
+  { key: 'low-carb', label: 'Low carb', hint: '≤20 g' },
+];
+
+export const CALORIE_LIMITS = [null, 400, 600, 800];
+
+export const DEFAULT_PREFERENCES = {
+  diet: null,
+  allergens: [],
+  dislikes: [],
+  maxMinutes: null,
+  cuisines: [],
+  targets: [],
+  maxCalories: null,
+};
+
+// Profiles saved before nutrition targets existed have no `targets` or
+// `maxCalories`, hence the optional chaining
+export const hasPreferences = (prefs) => Boolean(
+  prefs.diet || prefs.allergens.length || prefs.dislikes.length || prefs.maxMinutes || prefs.cuisines.length
+  || prefs.targets?.length || prefs.maxCalories
+);
+
+// Short summary for buttons and notices, e.g. "Vegetarian · no peanuts"
+export const summarizePreferences = (prefs) => [
+  prefs.diet && DIETS.find(d => d.key === prefs.diet)?.label,
+  prefs.allergens.length && `no ${prefs.allergens.map(a => ALLERGENS.find(x => x.key === a)?.label.toLowerCase() ?? a).join(', ')}`,
+  prefs.maxMinutes && `≤${prefs.maxMinutes} min`,
+  ...(prefs.targets ?? []).map(t => NUTRITION_TARGETS.find(x => x.key === t)?.label.toLowerCase() ?? t),
+  prefs.maxCalories && `<${prefs.maxCalories} kcal`,
+].filter(Boolean).join(' · ');
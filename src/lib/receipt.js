@@ -0,0 +1,99 @@
+// Grocery receipts to ingredient names, from pasted text or a photo read by
+// OCR in the browser. The receipt never goes to the AI; only the items the
+// user keeps end up in a (text-only) request.
+import { normalizeName } from './pantry.js'
+
+// Lines that are never groceries
+const SKIP_LINE = /\b(?:sub-?total|total|tax|vat|change|cash|card|visa|mastercard|amex|debit|credit|balance|tender|payment|auth|approved|receipt|thank|store|tel|phone|www|https?|savings?|discount|coupon|voucher|loyalty|points|member|items? sold|cashier|till|trans(?:action)?|invoice|rounding|refund|deposit|carrier bag|bag charge|opening hours)\b/i;
+
+// Weight and multi-buy detail lines under an item: "0.452 kg @ £2.20/kg"
+const DETAIL_LINE = /@|\/\s?(?:kg|lb)\b|\bper (?:kg|lb)\b/i;
+
+const PRICE = /(?:^|\s)-?[$£€]?\s?\d+[.,]\d{2}(?:\s?[A-Z*]{1,2})?\s*$/;
+
+// Sizes and pack counts: "500G", "1.5L", "6PK", "12 ct"
+const SIZE = /\b\d+(?:[.,]\d+)?\s?(?:g|kg|ml|cl|l|ltr|oz|lb|lbs|pk|pack|ct|x)\b/gi;
+
+// Common till abbreviations; an empty string drops the word
+const ABBREVIATIONS = {
+  org: '', organic: '', frsh: '', fresh: '', loose: '', lg: '', lrg: '', large: '', med: '', sml: '', small: '', ea: '', pk: '', value: '', essentials: '', basics: '',
+  chkn: 'chicken', chk: 'chicken', brst: 'breast', bnls: 'boneless', sknls: 'skinless', thgh: 'thighs', grnd: 'ground', bf: 'beef', mnc: 'mince',
+  prk: 'pork', saus: 'sausages', bcn: 'bacon', slmn: 'salmon',
+  mlk: 'milk', ss: 'semi-skimmed', whl: 'whole', chs: 'cheese', ched: 'cheddar', mozz: 'mozzarella', btr: 'butter', yog: 'yoghurt', yogh: 'yoghurt', crm: 'cream',
+  brd: 'bread', wht: 'white', wmeal: 'wholemeal', frz: 'frozen',
+  tom: 'tomatoes', toms: 'tomatoes', pot: 'potatoes', pots: 'potatoes', oni: 'onions', onin: 'onions', crt: 'carrots', carr: 'carrots', mush: 'mushrooms', mshrm: 'mushrooms',
+  brocc: 'broccoli', broc: 'broccoli', spin: 'spinach', lett: 'lettuce', cuc: 'cucumber', pep: 'pepper', pepr: 'pepper', grn: 'green', rd: 'red', ylw: 'yellow',
+  bnna: 'bananas', bana: 'bananas', appl: 'apples', strwb: 'strawberries', stwbry: 'strawberries', lem: 'lemons',
+  veg: 'vegetable', ckd: 'cooked', tin: 'tinned', cnd: 'canned',
+};
+
+// One receipt line to { name, quantity } or null when it isn't an item
+export const parseLine = (line) => {
+  let text = line.trim();
+  if (!/[a-z]{3}/i.test(text) || SKIP_LINE.test(text) || DETAIL_LINE.test(text)) return null;
+
+  let quantity = 1;
+  text = text
+    .replace(PRICE, '')
+    .replace(/^\d{4,}\s+/, '') // PLU or product codes
+    .replace(/^(\d+)\s?[x*]\s+/i, (_, count) => {
+      quantity = Number(count);
+      return '';
+    })
+    .replace(/\s[x*]\s?(\d+)$/i, (_, count) => {
+      quantity = Number(count);
+      return '';
+    })
+    .replace(SIZE, ' ');
+
+  const name = text
+    .toLowerCase()
+    .replace(/[^a-z' -]/g, ' ')
+    .split(/\s+/)
+    .map(word => ABBREVIATIONS[word] ?? word)
+    .filter(word => word.length > 1)
+    .join(' ');
+  return name.length >= 3 ? { name, quantity } : null;
+};
+
+// Whole receipt to [{ name, quantity }], repeats merged. When most lines
+// carry a price, lines without one are headers or addresses and are dropped.
+export const parseReceipt = (text) => {
+  const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+  const priced = lines.filter(line => PRICE.test(line.trim()));
+  const candidates = priced.length >= lines.length / 2 ? priced : lines;
+
+  const items = new Map();
+  for (const line of candidates) {
+    const item = parseLine(line);
+    if (!item) continue;
+    const key = normalizeName(item.name);
+    const existing = items.get(key);
+    items.set(key, existing ? { ...existing, quantity: existing.quantity + item.quantity } : item);
+  }
+  return [...items.values()];
+};
+
+// Reads a receipt photo in the browser with tesseract.js. The OCR engine and
+// its English model come from the app itself (/ocr/, see vite.config.js), are
+// only downloaded when first needed and are then kept for offline use; the
+// photo itself stays on the device. `onProgress` gets 0-1 while it reads.
+export const recognizeReceipt = async (file, onProgress) => {
+  const { createWorker } = await import('tesseract.js');
+  const worker = await createWorker('eng', undefined, {
+    workerPath: '/ocr/worker.min.js',
+    corePath: '/ocr/core',
+    langPath: '/ocr/lang',
+    // A plain worker, so the service worker serves its files offline
+    workerBlobURL: false,
+    logger: (message) => {
+      if (message.status === 'recognizing text') onProgress?.(message.progress);
+    },
+  });
+  try {
+    const { data } = await worker.recognize(file);
+    return data.text;
+  } finally {
+    await worker.terminate();
+  }
+};
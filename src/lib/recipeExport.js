@@ -0,0 +1,85 @@
+// Recipe export: plain text and Markdown for notes apps, and schema.org
+// Recipe JSON-LD for recipe managers (Paprika, Mealie, ...). Every function
+// takes a list of recipes, so one recipe and a whole result set share a path.
+import { convertLine, formatLine } from './units.js'
+
+const ingredientLines = (recipe, system) =>
+  (recipe.ingredients ?? []).map(line => formatLine(convertLine(line, { system })));
+
+const timeSummary = (recipe) => [
+  recipe.servings && `Serves ${recipe.servings}`,
+  recipe.prepMinutes && `Prep ${recipe.prepMinutes} min`,
+  recipe.cookMinutes && `Cook ${recipe.cookMinutes} min`,
+  !recipe.prepMinutes && !recipe.cookMinutes && recipe.time?.label,
+].filter(Boolean).join(' · ');
+
+const oneText = (recipe, system) => [
+  recipe.name.toUpperCase(),
+  recipe.description,
+  timeSummary(recipe),
+  recipe.ingredients?.length && ['Ingredients:', ...ingredientLines(recipe, system).map(line => `- ${line}`)].join('\n'),
+  recipe.instructions?.length && ['Method:', ...recipe.instructions.map((step, i) => `${i + 1}. ${step}`)].join('\n'),
+].filter(Boolean).join('\n\n');
+
+export const toText = (recipes, { system = 'metric' } = {}) =>
+  recipes.map(recipe => oneText(recipe, system)).join('\n\n\n');
+
+const oneMarkdown = (recipe, system) => [
+  `## ${recipe.name}`,
+  recipe.description && `_${recipe.description}_`,
+  timeSummary(recipe),
+  recipe.ingredients?.length && ['### Ingredients', ...ingredientLines(recipe, system).map(line => `- ${line}`)].join('\n'),
+  recipe.instructions?.length && ['### Method', ...recipe.instructions.map((step, i) => `${i + 1}. ${step}`)].join('\n'),
+].filter(Boolean).join('\n\n');
+
+export const toMarkdown = (recipes, { system = 'metric' } = {}) =>
+  recipes.map(recipe => oneMarkdown(recipe, system)).join('\n\n---\n\n');
+
+// 75 -> "PT1H15M"
+export const isoDuration = (minutes) => {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `PT${h ? `${h}H` : ''}${m || !h ? `${m}M` : ''}`;
+};
+
+const nutritionJsonLd = ({ calories, protein, carbs, fat, fiber }) => ({
+  '@type': 'NutritionInformation',
+  servingSize: '1 serving',
+  calories: `${calories} kcal`,
+  proteinContent: `${protein} g`,
+  carbohydrateContent: `${carbs} g`,
+  fatContent: `${fat} g`,
+  fiberContent: `${fiber} g`,
+});
+
+const oneJsonLd = (recipe, system) => {
+  const total = (recipe.prepMinutes ?? 0) + (recipe.cookMinutes ?? 0) || recipe.time?.minutes;
+  return {
+    '@type': 'Recipe',
+    name: recipe.name,
+    ...(recipe.description && { description: recipe.description }),
+    ...(recipe.servings && { recipeYield: `${recipe.servings} servings` }),
+    ...(recipe.prepMinutes && { prepTime: isoDuration(recipe.prepMinutes) }),
+    ...(recipe.cookMinutes && { cookTime: isoDuration(recipe.cookMinutes) }),
+    ...(total && { totalTime: isoDuration(total) }),
+    ...(recipe.nutrition && { nutrition: nutritionJsonLd(recipe.nutrition.perServing) }),
+    recipeIngredient: ingredientLines(recipe, system),
+    recipeInstructions: (recipe.instructions ?? []).map(text => ({ '@type': 'HowToStep', text })),
+  };
+};
+
+// A single Recipe object, or an @graph of them for a set
+export const toJsonLd = (recipes, { system = 'metric' } = {}) => {
+  const items = recipes.map(recipe => oneJsonLd(recipe, system));
+  const json = items.length === 1
+    ? { '@context': 'https://schema.org', ...items[0] }
+    : { '@context': 'https://schema.org', '@graph': items };
+  return JSON.stringify(json, null, 2);
+};
+
+// "Spinach & Feta Omelette" -> "spinach-feta-omelette"
+export const exportFileName = (recipes, extension) => {
+  const base = recipes.length === 1 ? recipes[0].name : 'recipes';
+  const slug = base.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+  return `${slug || 'recipe'}.${extension}`;
+};
@@ -0,0 +1,40 @@
+// Follow-up requests on the recipes already on screen (see api/_lib/refine.js).
+// A refinement is { instruction, target, action, count }: `target` is a recipe
+// index or null for the whole set, `action` is "revise" or "more", and
+// `count` is how many recipes "more" adds.
+
+export const RECIPE_SUGGESTIONS = ['Make it spicier', 'Make it vegetarian', 'No oven', 'Make it quicker'];
+export const SET_SUGGESTIONS = ['No oven', 'Make them quicker', 'Make them vegetarian', 'Fewer ingredients'];
+
+// "more" asks for three new recipes unless a number is given, up to five
+const MORE_COUNT = 3;
+const MAX_MORE = 5;
+
+// Free text from the set-wide box: "make #2 spicier" targets the second recipe
+// as shown, "give me 4 more" asks for new ones. `order` maps displayed
+// position to recipe index.
+export const parseRefinement = (text, order) => {
+  const instruction = text.trim();
+  const numbered = instruction.match(/#(\d+)\b/);
+  const position = numbered ? Number(numbered[1]) - 1 : -1;
+  if (position >= 0 && position < order.length) {
+    return { instruction: instruction.replace(/\s*#\d+\b/, ' it').replace(/\s+/g, ' ').trim(), target: order[position], action: 'revise' };
+  }
+  const more = instruction.match(/^(?:give me |suggest |show me )?(?:(\d+) |a few |some )?more\b/i);
+  if (more) {
+    const count = more[1] ? Math.min(Math.max(Number(more[1]), 1), MAX_MORE) : MORE_COUNT;
+    return { instruction: instruction.replace(/^.*?\bmore\b\s*(?:recipes?)?\s*/i, ''), target: null, action: 'more', count };
+  }
+  return { instruction, target: null, action: 'revise' };
+};
+
+// Applies returned recipes to the current list. Works on partial (sparse)
+// results too, so streamed recipes can be shown as they arrive: until its
+// replacement comes in, each old recipe stays put.
+export const mergeRefinement = (recipes, refined, { target = null, action = 'revise' }) => {
+  if (action === 'more') return [...recipes, ...refined.filter(Boolean)];
+  if (target !== null) {
+    return refined[0] ? recipes.map((recipe, i) => (i === target ? refined[0] : recipe)) : recipes;
+  }
+  return recipes.map((recipe, i) => refined[i] ?? recipe);
+};
@@ -0,0 +1,127 @@
+// Shopping list built from the recipes picked for this week. Picked recipes
+// are { id, recipe, have, addedAt }, where `have` is the ingredient list the
+// recipe was suggested from; the persisted list state is { extra, checked,
+// cleared }: hand-added names, normalized names ticked off, and names cleared
+// off the list after shopping.
+import { normalizeName } from './pantry.js'
+
+export const EMPTY_LIST = { extra: [], checked: [], cleared: [] };
+
+// First match wins, so the more specific aisles come first
+export const AISLES = [
+  { key: 'frozen', label: 'Frozen', pattern: /\b(?:frozen|ice cream|peas)\b/i },
+  { key: 'spices', label: 'Herbs, spices & condiments', pattern: /\b(?:salt|(?<!bell |red |green |yellow |sweet )pepper(?:corns?)?|paprika|cumin|oregano|thyme|rosemary|cinnamon|chili flakes|curry|spices?|sauce|ketchup|mustard|mayo(?:nnaise)?|vinegar|soy|sriracha|seasoning|stock|bouillon|dried)\b/i },
+  { key: 'produce', label: 'Fruit & veg', pattern: /\b(?:apples?|bananas?|lemons?|limes?|oranges?|berr(?:y|ies)|tomato(?:es)?|potato(?:es)?|onions?|garlic|ginger|carrots?|celery|lettuce|spinach|kale|cabbage|broccoli|cauliflower|courgettes?|zucchini|aubergines?|eggplants?|cucumbers?|peppers?|chill?ies|mushrooms?|avocados?|herbs?|basil|parsley|cilantro|coriander|mint|chives|scallions?|spring onions?|leeks?|shallots?|green beans|bean sprouts|squash|pumpkin|corn|sweet potato(?:es)?|fruit|salad)\b/i },
+  { key: 'dairy', label: 'Dairy & eggs', pattern: /\b(?:milk|cheese|cheddar|parmesan|mozzarella|feta|butter|cream|yogh?urt|eggs?|crème fraîche|sour cream)\b/i },
+  { key: 'meat', label: 'Meat & fish', pattern: /\b(?:chicken|beef|pork|bacon|ham|lamb|turkey|sausages?|mince|steak|fish|salmon|tuna|cod|prawns?|shrimps?|tofu|tempeh)\b/i },
+  { key: 'bakery', label: 'Bakery', pattern: /\b(?:bread|baguette|rolls?|buns?|tortillas?|wraps?|pitta|pita|naan|croissants?)\b/i },
+  { key: 'pantry', label: 'Pantry & dry goods', pattern: /\b(?:rice|pasta|spaghetti|noodles?|flour|sugar|oats|lentils|chickpeas|beans|quinoa|couscous|oil|honey|nuts?|seeds?|tinned|canned|cans?|breadcrumbs|cereal|crackers)\b/i },
+  { key: 'drinks', label: 'Drinks', pattern: /\b(?:juice|wine|beer|coffee|tea|water|soda)\b/i },
+];
+
+const OTHER = { key: 'other', label: 'Other' };
+
+export const aisleFor = (name) => AISLES.find(aisle => aisle.pattern.test(name)) ?? OTHER;
+
+// Drops "optional:" / "(optional)" and quantities the model sometimes adds
+const cleanName = (name) => name
+  .replace(/\(optional\)|^optional:?\s*/gi, '')
+  .replace(/^[\d½¼¾/.\s]+(?:g|kg|ml|l|tbsp|tsp|cups?)?\s+(?:of\s+)?/i, '')
+  .trim();
+
+// Missing items from the picked recipes plus hand-added ones, minus anything
+// already on hand. Each item lists the recipes that need it.
+export const shoppingItems = ({ picked, extra = [], checked = [], cleared = [], have = [] }) => {
+  const onHand = new Set([...have, ...picked.flatMap(p => p.have || []), ...cleared].map(normalizeName));
+  const ticked = new Set(checked);
+  const items = new Map();
+
+  const add = (rawName, recipeName) => {
+    const name = cleanName(rawName);
+    const key = normalizeName(name);
+    if (!key || onHand.has(key)) return;
+    const item = items.get(key) ?? { key, name, aisle: aisleFor(name).key, recipes: [], checked: ticked.has(key) };
+    if (recipeName && !item.recipes.includes(recipeName)) item.recipes.push(recipeName);
+    items.set(key, item);
+  };
+
+  picked.forEach(({ recipe }) => recipe.missing?.forEach(name => add(name, recipe.name)));
+  extra.forEach(name => add(name));
+  return [...items.values()];
+};
+
+// [{ key, label, items }] in aisle order, skipping empty aisles
+export const groupByAisle = (items) => [...AISLES, OTHER]
+  .map(({ key, label }) => ({
+    key,
+    label,
+    items: items.filter(item => item.aisle === key).sort((a, b) => a.name.localeCompare(b.name)),
+  }))
+  .filter(group => group.items.length);
+
+export const toggleChecked = (list, key) => ({
+  ...list,
+  checked: list.checked.includes(key) ? list.checked.filter(k => k !== key) : [...list.checked, key],
+});
+
+export const addExtra = (list, names) => {
+  const known = new Set(list.extra.map(normalizeName));
+  const added = names.map(n => n.trim()).filter(n => n && !known.has(normalizeName(n)));
+  return { ...list, extra: [...list.extra, ...added], cleared: uncleared(list, added) };
+};
+
+const uncleared = (list, names) => {
+  const keys = new Set(names.map(normalizeName));
+  return (list.cleared ?? []).filter(key => !keys.has(key));
+};
+
+// Ticked items leave the list; a recipe's items come back when it's picked again
+export const clearChecked = (list, items) => {
+  const done = items.filter(item => item.checked).map(item => item.key);
+  const doneSet = new Set(done);
+  return {
+    extra: list.extra.filter(name => !doneSet.has(normalizeName(name))),
+    checked: list.checked.filter(key => !doneSet.has(key)),
+    cleared: [...new Set([...(list.cleared ?? []), ...done])],
+  };
+};
+
+export const togglePicked = (picked, { id, recipe, have }) => (picked.some(p => p.id === id)
+  ? picked.filter(p => p.id !== id)
+  : [...picked, { id, recipe, have, addedAt: new Date().toISOString() }]);
+
+// Picking a recipe puts its items back even if they were cleared before
+export const restoreItems = (list, recipe) => ({ ...list, cleared: uncleared(list, recipe.missing || []) });
+
+export const toText = (groups) => groups
+  .map(group => [`${group.label}:`, ...group.items.map(item => `${item.checked ? '✓' : '-'} ${item.name}`)].join('\n'))
+  .join('\n\n');
+
+export const toMarkdown = (groups) => ['# Shopping list', ...groups.map(group =>
+  [`## ${group.label}`, ...group.items.map(item => `- [${item.checked ? 'x' : ' '}] ${item.name}`)].join('\n'))]
+  .join('\n\n');
+
+// Share links carry the unticked item names in the URL fragment, so nothing
+// is uploaded; opening one adds the items to the receiver's list.
+const SHARE_PARAM = 'list';
+
+export const toShareLink = (items, base = `${window.location.origin}${window.location.pathname}`) => {
+  const names = items.filter(item => !item.checked).map(item => item.name);
+  const bytes = new TextEncoder().encode(JSON.stringify(names));
+  const encoded = btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `${base}#${SHARE_PARAM}=${encoded}`;
+};
+
+// Item names from a share-link fragment, or null when there isn't one
+export const readShareLink = (hash = window.location.hash) => {
+  const match = hash.match(new RegExp(`[#&]${SHARE_PARAM}=([\\w-]+)`));
+  if (!match) return null;
+  try {
+    const binary = atob(match[1].replace(/-/g, '+').replace(/_/g, '/'));
+    const names = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    return Array.isArray(names) ? names.filter(n => typeof n === 'string' && n.trim()).slice(0, 200) : null;
+  } catch {
+    return null;
+  }
+};
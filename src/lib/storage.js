@@ -0,0 +1,20 @@
+// localStorage helpers. Every key is namespaced and values are JSON; storage
+// errors (private mode, quota) are swallowed so the app keeps working in memory.
+const PREFIX = 'fridge-check:';
+
+export const readJson = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch {
+    // Not persisted this time; state still lives in memory
+  }
+};
@@ -0,0 +1,79 @@
+// Step timers for cook mode: durations are read out of free-text instructions
+// ("simmer 10 minutes", "bake for 1 hr 15 min", "rest 2-3 minutes").
+
+const UNIT_SECONDS = [
+  [/^h(?:ours?|rs?)?$/i, 3600],
+  [/^m(?:inutes?|ins?)?$/i, 60],
+  [/^s(?:econds?|ecs?)?$/i, 1],
+];
+
+const FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75 };
+
+const NUMBER = '(\\d+(?:\\.\\d+)?\\s*[½¼¾]?|[½¼¾])';
+const DURATION = new RegExp(`${NUMBER}(?:\\s*(?:-|–|to)\\s*${NUMBER})?\\s*(hours?|hrs?|minutes?|mins?|seconds?|secs?)\\b`, 'gi');
+
+const toNumber = (text) => text.trim().split(/\s*(?=[½¼¾])/)
+  .reduce((sum, part) => sum + (FRACTIONS[part] ?? Number(part)), 0);
+
+const unitSeconds = (unit) => UNIT_SECONDS.find(([pattern]) => pattern.test(unit))[1];
+
+// [{ label, seconds }] in the order they appear. Ranges use the upper bound,
+// and "1 hour 15 minutes" becomes one timer.
+export const findDurations = (step) => {
+  const found = [];
+  let previous = null;
+
+  for (const match of step.matchAll(DURATION)) {
+    const [label, low, high, unit] = match;
+    const seconds = Math.round(toNumber(high ?? low) * unitSeconds(unit));
+    const gap = previous ? step.slice(previous.end, match.index) : null;
+
+    if (previous && previous.unitSeconds > unitSeconds(unit) && /^\s*(?:and\s*)?$/.test(gap)) {
+      previous.timer.seconds += seconds;
+      previous.timer.label = step.slice(previous.start, match.index + label.length);
+    } else {
+      const timer = { label, seconds };
+      if (seconds > 0) found.push(timer);
+      previous = { timer, start: match.index };
+    }
+    previous.end = match.index + label.length;
+    previous.unitSeconds = unitSeconds(unit);
+  }
+  return found;
+};
+
+// 75 -> "1:15", 3725 -> "1:02:05"
+export const formatClock = (totalSeconds) => {
+  const seconds = Math.max(0, Math.ceil(totalSeconds));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+// Timer state is { total, endsAt } while running and { total, remaining }
+// while paused, so a running timer keeps counting across a reload.
+export const startTimer = (timer, now = Date.now()) =>
+  ({ total: timer.total, endsAt: now + (timer.remaining ?? timer.total) * 1000 });
+
+export const pauseTimer = (timer, now = Date.now()) =>
+  ({ total: timer.total, remaining: secondsLeft(timer, now) });
+
+export const secondsLeft = (timer, now = Date.now()) =>
+  (timer.endsAt ? Math.max(0, (timer.endsAt - now) / 1000) : timer.remaining ?? timer.total);
+
+// Three short beeps; needs an AudioContext created during a user gesture
+export const playAlarm = (audio) => {
+  if (!audio) return;
+  for (let i = 0; i < 3; i++) {
+    const start = audio.currentTime + i * 0.35;
+    const osc = audio.createOscillator();
+    const gain = audio.createGain();
+    osc.frequency.value = 880;
+    gain.gain.setValueAtTime(0.3, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+    osc.connect(gain).connect(audio.destination);
+    osc.start(start);
+    osc.stop(start + 0.25);
+  }
+};
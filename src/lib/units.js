@@ -0,0 +1,74 @@
+// Client-side scaling and metric/imperial conversion for structured recipe
+// ingredient lines ({ quantity, unit, item, onHand }). Units arrive in the
+// canonical spellings api/_lib/schema.js normalizes to.
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const MASS_G = { g: 1, kg: 1000, oz: 28.3495, lb: 453.592 };
+const VOLUME_ML = { ml: 1, l: 1000, tsp: 4.929, tbsp: 14.787, 'fl oz': 29.574, cup: 240 };
+
+// Spoons read fine in both systems, so they're only converted when it helps
+const SPOONS = ['tsp', 'tbsp'];
+
+const toMetric = (quantity, unit) => {
+  if (MASS_G[unit]) {
+    const grams = quantity * MASS_G[unit];
+    return grams >= 1000 ? { quantity: grams / 1000, unit: 'kg' } : { quantity: grams, unit: 'g' };
+  }
+  if (VOLUME_ML[unit] && !SPOONS.includes(unit)) {
+    const ml = quantity * VOLUME_ML[unit];
+    return ml >= 1000 ? { quantity: ml / 1000, unit: 'l' } : { quantity: ml, unit: 'ml' };
+  }
+  return { quantity, unit };
+};
+
+const toImperial = (quantity, unit) => {
+  if (MASS_G[unit]) {
+    const oz = (quantity * MASS_G[unit]) / MASS_G.oz;
+    return oz >= 16 ? { quantity: oz / 16, unit: 'lb' } : { quantity: oz, unit: 'oz' };
+  }
+  if (VOLUME_ML[unit] && !SPOONS.includes(unit)) {
+    const ml = quantity * VOLUME_ML[unit];
+    if (ml < VOLUME_ML.tbsp) return { quantity: ml / VOLUME_ML.tsp, unit: 'tsp' };
+    if (ml < VOLUME_ML.cup / 4) return { quantity: ml / VOLUME_ML.tbsp, unit: 'tbsp' };
+    return { quantity: ml / VOLUME_ML.cup, unit: 'cup' };
+  }
+  return { quantity, unit };
+};
+
+// Scales by `factor` (target servings / recipe servings), then converts
+export const convertLine = (line, { factor = 1, system = 'metric' } = {}) => {
+  if (line.quantity === null || line.quantity === undefined) return line;
+  const scaled = line.quantity * factor;
+  const { quantity, unit } = system === 'imperial' ? toImperial(scaled, line.unit) : toMetric(scaled, line.unit);
+  return { ...line, quantity, unit };
+};
+
+const FRACTIONS = [[0, ''], [0.125, '⅛'], [0.25, '¼'], [1 / 3, '⅓'], [0.5, '½'], [2 / 3, '⅔'], [0.75, '¾'], [1, '']];
+
+// Kitchen-friendly numbers: fractions for spoons, cups and whole items,
+// rounded decimals for weights and volumes
+export const formatQuantity = (quantity, unit) => {
+  if (quantity === null || quantity === undefined) return '';
+  if (['g', 'ml'].includes(unit)) {
+    const step = quantity >= 100 ? 10 : quantity >= 20 ? 5 : 1;
+    return String(Math.max(step, Math.round(quantity / step) * step));
+  }
+  if (['kg', 'l', 'oz', 'lb'].includes(unit)) {
+    return String(Number(quantity.toFixed(quantity >= 10 ? 0 : 1)));
+  }
+  const whole = Math.floor(quantity);
+  const [fraction, glyph] = FRACTIONS.reduce((best, candidate) =>
+    (Math.abs(quantity - whole - candidate[0]) < Math.abs(quantity - whole - best[0]) ? candidate : best));
+  const total = whole + (fraction === 1 ? 1 : 0);
+  if (!total && !glyph) return '⅛';
+  return `${total || ''}${glyph}`;
+};
+
+const PLURAL_UNITS = { cup: 'cups' };
+
+export const formatLine = (line) => {
+  const amount = formatQuantity(line.quantity, line.unit);
+  const unit = line.unit && (line.quantity > 1 && PLURAL_UNITS[line.unit] ? PLURAL_UNITS[line.unit] : line.unit);
+  return [amount, unit, line.item].filter(Boolean).join(' ');
+};
@@ -0,0 +1,49 @@
+// Service worker: keeps the app shell so Fridge Check opens without a
+// connection. The build prepends `self.SHELL`, the version and file list of
+// that build (see vite.config.js). Results need nothing here; they're saved in
+// the browser's history, which works offline once the shell loads.
+const { version, files, ocrVersion } = self.SHELL;
+const CACHE = `fridge-check-${version}`;
+// Receipt OCR's engine and model (/ocr/) are too big to fetch on install for
+// a feature not everyone uses; they're kept the first time a receipt photo is
+// read and only replaced when tesseract.js changes
+const OCR_CACHE = `fridge-check-ocr-${ocrVersion}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(files)).then(() => self.skipWaiting()));
+});
+
+// Old builds' caches go once this one takes over
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith('fridge-check-') && key !== CACHE && key !== OCR_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Pages: network first, so a deploy shows up straight away, falling back to
+// the cached shell. Everything else in the shell: cache first, it's all
+// content-hashed or versioned with the build. The API is never cached here.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (url.pathname.startsWith('/ocr/')) {
+    event.respondWith(caches.open(OCR_CACHE).then(async (cache) => {
+      const cached = await cache.match(request);
+      if (cached) return cached;
+      const response = await fetch(request);
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    }));
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match('/', { cacheName: CACHE })));
+    return;
+  }
+  event.respondWith(caches.match(request, { cacheName: CACHE }).then(cached => cached ?? fetch(request)));
+});
@@ -0,0 +1,148 @@
+// Drives the /api/analyze handler end to end with the mock provider: plain
+// JSON, streaming, cache hits and a malformed first reply that gets repaired.
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import handler from '../api/analyze.js';
+
+process.env.AI_PROVIDER = 'mock';
+process.env.CACHE_DRIVER = 'memory';
+process.env.RATE_LIMIT_DRIVER = 'none';
+
+// Just the parts of Vercel's response the handler uses
+const createResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: undefined, chunks: [], ended: false };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.json = (data) => { res.body = data; res.ended = true; return res; };
+  res.write = (chunk) => { res.chunks.push(chunk); return true; };
+  res.end = () => { res.ended = true; return res; };
+  return res;
+};
+
+const post = async (body) => {
+  const res = createResponse();
+  await handler({ method: 'POST', headers: { host: 'localhost' }, body }, res);
+  return res;
+};
+
+const eventsOf = (res) => res.chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+
+// Every test asks about different ingredients, so nothing is served from an
+// earlier test's cache entry unless that's the point
+let run = 0;
+const freshIngredients = () => `eggs, rice, spinach, test item ${++run}`;
+
+beforeEach(() => {
+  delete process.env.MOCK_SCENARIO;
+});
+
+describe('POST /api/analyze', () => {
+  test('returns validated recipes as JSON', async () => {
+    const res = await post({ mode: 'text', ingredients: freshIngredients() });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.cached, false);
+    assert.equal(res.body.repaired, false);
+    assert.equal(res.body.model, 'mock-fixtures');
+    assert.ok(res.body.recipes.length > 0);
+    assert.ok(res.body.recipes.every(recipe => recipe.name && recipe.nutrition));
+    assert.ok(res.body.usage.input_tokens > 0 && res.body.usage.output_tokens > 0);
+  });
+
+  test('repairs a malformed reply', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    process.env.MOCK_SCENARIO = 'malformed';
+    const res = await post({ mode: 'text', ingredients: freshIngredients() });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.repaired, true);
+    assert.ok(res.body.recipes.every(recipe => recipe.name));
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  test('streams ingredients, each recipe and then the result', async () => {
+    const res = await post({ mode: 'text', ingredients: freshIngredients(), stream: true });
+    const events = eventsOf(res);
+    const done = events.at(-1);
+
+    assert.equal(res.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+    assert.ok(res.ended);
+    assert.equal(events[0].type, 'ingredients');
+    assert.equal(done.type, 'done');
+    assert.equal(done.cached, false);
+    const recipes = events.filter(event => event.type === 'recipe');
+    assert.deepEqual(recipes.map(event => event.index), done.recipes.map((_, i) => i));
+    assert.deepEqual(recipes.map(event => event.recipe), done.recipes);
+  });
+
+  test('tells stream listeners to discard a malformed attempt', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    process.env.MOCK_SCENARIO = 'malformed';
+    const events = eventsOf(await post({ mode: 'text', ingredients: freshIngredients(), stream: true }));
+    const retry = events.findIndex(event => event.type === 'retry');
+    const done = events.at(-1);
+
+    assert.notEqual(retry, -1);
+    // The invalid recipes never went out, only the repaired ones
+    assert.ok(events.slice(0, retry).every(event => event.type !== 'recipe'));
+    assert.equal(events.slice(retry).filter(event => event.type === 'recipe').length, done.recipes.length);
+    assert.equal(done.repaired, true);
+  });
+
+  test('serves a repeat request from the cache at no cost', async () => {
+    const ingredients = freshIngredients();
+    const first = await post({ mode: 'text', ingredients });
+    // Same list in another order and case, so the same cache key
+    const again = await post({ mode: 'text', ingredients: ingredients.split(', ').reverse().join(', ').toUpperCase() });
+
+    assert.equal(again.statusCode, 200);
+    assert.equal(again.body.cached, true);
+    assert.deepEqual(again.body.usage, { input_tokens: 0, output_tokens: 0 });
+    assert.deepEqual(again.body.savedUsage, first.body.usage);
+    assert.deepEqual(again.body.recipes, first.body.recipes);
+  });
+
+  test('replays a cached result through the stream events', async () => {
+    const ingredients = freshIngredients();
+    await post({ mode: 'text', ingredients });
+    const events = eventsOf(await post({ mode: 'text', ingredients, stream: true }));
+    const done = events.at(-1);
+
+    assert.equal(done.type, 'done');
+    assert.equal(done.cached, true);
+    assert.equal(events.filter(event => event.type === 'recipe').length, done.recipes.length);
+  });
+
+  test('streams a week-long meal plan slot by slot', async () => {
+    const events = eventsOf(await post({ mode: 'meal-plan', ingredients: freshIngredients(), days: 7, stream: true }));
+    const done = events.at(-1);
+    const indices = events.filter(event => event.type === 'recipe').map(event => event.index);
+
+    assert.equal(done.type, 'done');
+    assert.deepEqual(done.plan, { days: 7, people: 2, meals: ['breakfast', 'lunch', 'dinner'] });
+    assert.equal(done.recipes.length, 21);
+    assert.deepEqual(indices.sort((a, b) => a - b), done.recipes.map((_, i) => i));
+    assert.equal(events.filter(event => event.type === 'ingredients').length, 1);
+  });
+
+  test('rejects a request without image or ingredients', async () => {
+    const res = await post({ mode: 'text' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'BAD_REQUEST');
+  });
+
+  test('rejects a request without a body', async () => {
+    const res = await post(undefined);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'BAD_REQUEST');
+  });
+
+  test('only accepts POST', async () => {
+    const res = createResponse();
+    await handler({ method: 'GET', headers: { host: 'localhost' }, body: {} }, res);
+
+    assert.equal(res.statusCode, 405);
+  });
+});
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, test } from 'node:test';
+import { decodeLine, hasValidChecksum, lookupProduct, normalizeCode, toProduct } from '../src/lib/barcode.js';
+
+// A few real products in the shape scripts/products.js writes
+const TABLE = readFileSync(new URL('./fixtures/products.json', import.meta.url), 'utf8');
+
+// Module patterns (1 = bar) of each digit's left-hand "L" code; "R" codes are
+// the inverse and "G" codes the inverse reversed
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+const invert = (bits) => [...bits].map(bit => (bit === '1' ? '0' : '1')).join('');
+
+// The modules of an EAN-13 or EAN-8 code, quiet zones included
+const encode = (code) => {
+  const digits = [...code].map(Number);
+  const first = code.length === 13 ? digits.shift() : null;
+  const half = digits.length / 2;
+  const left = digits.slice(0, half).map((digit, i) => (first !== null && PARITY[first][i] === 'G'
+    ? [...invert(L_CODES[digit])].reverse().join('')
+    : L_CODES[digit]));
+  const right = digits.slice(half).map(digit => invert(L_CODES[digit]));
+  return `${'0'.repeat(10)}101${left.join('')}01010${right.join('')}101${'0'.repeat(10)}`;
+};
+
+// One scanline: `scale` pixels per module, black bars on white
+const scanline = (modules, scale = 3) => [...modules].flatMap(bit => Array(scale).fill(bit === '1' ? 20 : 230));
+
+describe('hasValidChecksum', () => {
+  test('checks the last digit of EAN-13, UPC-A and EAN-8 codes', () => {
+    assert.equal(hasValidChecksum('3017620422003'), true);
+    assert.equal(hasValidChecksum('3017620422004'), false);
+    assert.equal(hasValidChecksum('036000291452'), true);
+    assert.equal(hasValidChecksum('96385074'), true);
+    assert.equal(hasValidChecksum('12345'), false);
+  });
+});
+
+describe('normalizeCode', () => {
+  test('turns UPC-A into EAN-13 and drops invalid codes', () => {
+    assert.equal(normalizeCode('036000291452'), '0036000291452');
+    assert.equal(normalizeCode('3017620 422003'), '3017620422003');
+    assert.equal(normalizeCode('3017620422004'), null);
+  });
+});
+
+describe('decodeLine', () => {
+  test('reads EAN-13 and EAN-8 codes', () => {
+    assert.equal(decodeLine(scanline(encode('3017620422003'))), '3017620422003');
+    assert.equal(decodeLine(scanline(encode('5449000000996'))), '5449000000996');
+    assert.equal(decodeLine(scanline(encode('96385074'))), '96385074');
+  });
+
+  test('reads a code held upside down', () => {
+    assert.equal(decodeLine(scanline(encode('3017620422003')).reverse()), '3017620422003');
+  });
+
+  test('copes with uneven widths and a grey background', () => {
+    const values = scanline(encode('4006381333931'), 4).map((value, i) => (value > 128 ? 170 : 60) + (i % 3) * 8);
+    assert.equal(decodeLine(values), '4006381333931');
+  });
+
+  test('returns null for a line without a barcode', () => {
+    assert.equal(decodeLine(Array(300).fill(200)), null);
+    assert.equal(decodeLine(scanline('0000011001100110000'.repeat(8))), null);
+  });
+});
+
+describe('toProduct', () => {
+  test('names products from an export row or an API result', () => {
+    assert.deepEqual(
+      toProduct({ product_name: 'Spaghetti n.5', brands: 'Barilla,Barilla Group', quantity: '500 g', generic_name: 'Spaghetti' }),
+      { name: 'Barilla Spaghetti n.5 500 g', ingredient: 'spaghetti' },
+    );
+    assert.deepEqual(
+      toProduct({ product_name: 'Prince', brands: 'LU', main_category_en: 'Chocolate biscuits', generic_name: 'Biscuits fourrés parfum chocolat au blé complet' }),
+      { name: 'LU Prince', ingredient: 'chocolate biscuits' },
+    );
+    assert.deepEqual(
+      toProduct({ product_name: 'Nutella', categories_tags: ['en:spreads', 'en:hazelnut-spreads', 'fr:pates-a-tartiner'] }),
+      { name: 'Nutella', ingredient: 'hazelnut spreads' },
+    );
+  });
+
+  test('returns null without a name or anything to cook with', () => {
+    assert.equal(toProduct({ product_name: ' ', generic_name: 'Water' }), null);
+    assert.equal(toProduct({ product_name: 'Gift card' }), null);
+  });
+});
+
+describe('lookupProduct', () => {
+  // Serves the fixture table and answers Open Food Facts lookups from `online`
+  const mockFetch = (t, online = {}) => t.mock.method(globalThis, 'fetch', async (url) => {
+    if (url === '/products.json') return new Response(TABLE);
+    const code = new URL(url).pathname.split('/').pop().replace('.json', '');
+    if (online[code] === 'error') return new Response('', { status: 503 });
+    return online[code]
+      ? Response.json({ status: 1, product: online[code] })
+      : Response.json({ status: 0 }, { status: 404 });
+  });
+
+  const offCalls = () => globalThis.fetch.mock.calls.filter(call => call.arguments[0] !== '/products.json').length;
+
+  test('names the user taught win over the table', async (t) => {
+    mockFetch(t);
+    assert.deepEqual(await lookupProduct('3017620422003', { '3017620422003': 'chocolate spread' }), {
+      code: '3017620422003', name: 'chocolate spread', ingredient: 'chocolate spread',
+    });
+    assert.deepEqual(await lookupProduct('3017620422003'), {
+      code: '3017620422003', name: 'Nutella hazelnut spread 400 g', ingredient: 'hazelnut chocolate spread',
+    });
+    assert.equal(offCalls(), 0);
+  });
+
+  test('asks Open Food Facts once about codes the table lacks', async (t) => {
+    mockFetch(t, { '0036000291452': { product_name: 'Tissues', generic_name: 'Facial tissues' } });
+
+    assert.deepEqual(await lookupProduct('0036000291452'), { code: '0036000291452', name: 'Tissues', ingredient: 'facial tissues' });
+    assert.deepEqual(await lookupProduct('0036000291452'), { code: '0036000291452', name: 'Tissues', ingredient: 'facial tissues' });
+    assert.equal(await lookupProduct('96385074'), null);
+    assert.equal(await lookupProduct('96385074'), null);
+    assert.equal(offCalls(), 2);
+  });
+
+  test('tries again after a failed lookup', async (t) => {
+    const fetch = mockFetch(t, { '5000112637922': 'error' });
+    assert.equal(await lookupProduct('5000112637922'), null);
+
+    fetch.mock.mockImplementation(async () => Response.json({ status: 1, product: { product_name: 'Coke Zero', generic_name: 'Cola' } }));
+    assert.deepEqual(await lookupProduct('5000112637922'), { code: '5000112637922', name: 'Coke Zero', ingredient: 'cola' });
+  });
+});
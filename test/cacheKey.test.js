@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { cacheKeyFor, normalizeIngredient, normalizeIngredientList } from '../api/_lib/cacheKey.js';
+
+const provider = { name: 'mock', model: 'mock-fixtures' };
+
+describe('normalizeIngredient', () => {
+  test('lowercases, trims and singularises each word', () => {
+    assert.equal(normalizeIngredient('  Cherry Tomatoes '), 'cherry tomato');
+    assert.equal(normalizeIngredient('Berries'), 'berry');
+    assert.equal(normalizeIngredient('peaches'), 'peach');
+    assert.equal(normalizeIngredient('hummus'), 'hummus');
+    assert.equal(normalizeIngredient('Swiss cheese!'), 'swiss cheese');
+  });
+});
+
+describe('normalizeIngredientList', () => {
+  test('splits on commas, lines and "and", then sorts and removes repeats', () => {
+    assert.deepEqual(
+      normalizeIngredientList('Eggs, rice\nspinach and egg; Rice & tomatoes'),
+      ['egg', 'rice', 'spinach', 'tomato'],
+    );
+  });
+});
+
+describe('cacheKeyFor', () => {
+  const key = (body, preferences = null) => cacheKeyFor(body, preferences, provider);
+
+  test('the same ingredients share a key however they are written', () => {
+    assert.equal(
+      key({ mode: 'text', ingredients: 'eggs, rice, spinach' }),
+      key({ mode: 'text', ingredients: 'Rice, spinach,  Eggs' }),
+    );
+    assert.notEqual(
+      key({ mode: 'text', ingredients: 'eggs, rice' }),
+      key({ mode: 'text', ingredients: 'eggs, rice, spinach' }),
+    );
+  });
+
+  test('preferences, mode and model are part of the key', () => {
+    const body = { mode: 'text', ingredients: 'eggs, rice' };
+    const vegetarian = { diet: 'vegetarian', allergens: ['peanuts', 'milk'], dislikes: [], cuisines: [] };
+
+    assert.notEqual(key(body), key(body, vegetarian));
+    assert.equal(key(body, vegetarian), key(body, { ...vegetarian, allergens: ['Milk', 'Peanuts'] }));
+    assert.notEqual(key(body), cacheKeyFor(body, null, { ...provider, model: 'other' }));
+  });
+
+  test('"more" follow-ups asking for a different number get their own key', () => {
+    const refinement = (count) => ({
+      mode: 'refine',
+      refinement: { ingredients: ['eggs'], recipes: [{ name: 'Omelette' }], instruction: '', target: null, action: 'more', count },
+    });
+
+    assert.equal(key(refinement(3)), key(refinement(3)));
+    assert.notEqual(key(refinement(3)), key(refinement(5)));
+  });
+
+  test('unknown modes are not cached', () => {
+    assert.equal(key({ mode: 'chat' }), null);
+  });
+});
@@ -0,0 +1,209 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createHousehold, joinHousehold, syncHousehold } from '../api/_lib/household/households.js';
+import { createMemoryHouseholdStore } from '../api/_lib/household/memory.js';
+import {
+  TOMBSTONE_TTL_MS, changesSince, emptyRecords, mergeChanges, pruneTombstones, validateChanges,
+} from '../api/_lib/household/sync.js';
+import { applySync, nextBatch, startHousehold, toChanges, toRecords, trackChanges } from '../src/lib/household.js';
+
+const NOW = Date.UTC(2026, 0, 15);
+
+const newHousehold = () => ({ seq: 0, prunedSeq: 0, records: emptyRecords() });
+
+const pantryChange = (key, value, updatedAt) => ({ collection: 'pantry', key, value, updatedAt });
+
+describe('validateChanges', () => {
+  test('keeps only the known fields', () => {
+    assert.deepEqual(
+      validateChanges([{ collection: 'pantry', key: 'a', value: { name: 'eggs' }, updatedAt: 1, by: 'someone', seq: 9 }]),
+      [pantryChange('a', { name: 'eggs' }, 1)],
+    );
+    assert.deepEqual(
+      validateChanges([{ collection: 'shopping', key: 'checked:eggs', deleted: true, value: 'ignored', updatedAt: 2 }]),
+      [{ collection: 'shopping', key: 'checked:eggs', deleted: true, updatedAt: 2 }],
+    );
+  });
+
+  test('rejects unknown collections, missing values and bad times', () => {
+    assert.throws(() => validateChanges([{ collection: 'history', key: 'a', value: 1, updatedAt: 1 }]), { status: 400 });
+    assert.throws(() => validateChanges([{ collection: 'pantry', key: 'a', updatedAt: 1 }]), { status: 400 });
+    assert.throws(() => validateChanges([{ collection: 'pantry', key: 'a', value: 1, updatedAt: 'today' }]), { status: 400 });
+    assert.throws(() => validateChanges({}), { status: 400 });
+  });
+});
+
+describe('mergeChanges', () => {
+  test('the newest write wins and the loser is reported', () => {
+    const household = newHousehold();
+    mergeChanges(household, [pantryChange('a', 'new', 200)], 'member-a', NOW);
+    const lost = mergeChanges(household, [pantryChange('a', 'old', 100)], 'member-b', NOW);
+
+    assert.deepEqual(lost, [pantryChange('a', 'old', 100)]);
+    assert.equal(household.records.pantry.a.value, 'new');
+    assert.equal(household.seq, 1);
+  });
+
+  test('equal times go to the same member whatever the order', () => {
+    const forwards = newHousehold();
+    mergeChanges(forwards, [pantryChange('a', 'from a', 100)], 'member-a', NOW);
+    mergeChanges(forwards, [pantryChange('a', 'from b', 100)], 'member-b', NOW);
+    const backwards = newHousehold();
+    mergeChanges(backwards, [pantryChange('a', 'from b', 100)], 'member-b', NOW);
+    mergeChanges(backwards, [pantryChange('a', 'from a', 100)], 'member-a', NOW);
+
+    assert.equal(forwards.records.pantry.a.value, 'from b');
+    assert.equal(backwards.records.pantry.a.value, 'from b');
+  });
+
+  test('times from the future are capped at the server clock', () => {
+    const household = newHousehold();
+    mergeChanges(household, [pantryChange('a', 'fast clock', NOW + 60_000)], 'member-a', NOW);
+    mergeChanges(household, [pantryChange('a', 'later edit', NOW + 1)], 'member-b', NOW + 1);
+
+    assert.equal(household.records.pantry.a.updatedAt, NOW + 1);
+    assert.equal(household.records.pantry.a.value, 'later edit');
+  });
+
+  test('deletions stay behind as tombstones', () => {
+    const household = newHousehold();
+    mergeChanges(household, [pantryChange('a', 'eggs', 100)], 'member-a', NOW);
+    mergeChanges(household, [{ collection: 'pantry', key: 'a', deleted: true, updatedAt: 200 }], 'member-b', NOW);
+
+    assert.deepEqual(household.records.pantry.a, { deleted: true, updatedAt: 200, by: 'member-b', seq: 2 });
+    assert.deepEqual(changesSince(household, 1).changes, [
+      { collection: 'pantry', key: 'a', deleted: true, updatedAt: 200, by: 'member-b' },
+    ]);
+  });
+});
+
+describe('changesSince', () => {
+  test('sends what came after the cursor plus the winners of lost changes', () => {
+    const household = newHousehold();
+    mergeChanges(household, [pantryChange('a', 'a1', 100), pantryChange('b', 'b1', 100)], 'member-a', NOW);
+    const lost = mergeChanges(household, [pantryChange('a', 'stale', 50)], 'member-b', NOW);
+    const { changes, cursor, full } = changesSince(household, 2, lost);
+
+    assert.equal(full, false);
+    assert.equal(cursor, 2);
+    assert.deepEqual(changes.map(change => [change.key, change.value]), [['a', 'a1']]);
+  });
+
+  test('sends a full copy once tombstones the device needed are gone', () => {
+    const household = newHousehold();
+    const old = NOW - TOMBSTONE_TTL_MS - 10;
+    mergeChanges(household, [pantryChange('a', 'eggs', old), pantryChange('b', 'milk', old)], 'member-a', NOW);
+    mergeChanges(household, [{ collection: 'pantry', key: 'a', deleted: true, updatedAt: old + 1 }], 'member-a', NOW);
+    pruneTombstones(household, NOW);
+
+    assert.equal(household.prunedSeq, 3);
+    assert.equal('a' in household.records.pantry, false);
+    const { changes, full } = changesSince(household, 2);
+    assert.equal(full, true);
+    assert.deepEqual(changes.map(change => change.key), ['b']);
+    assert.equal(changesSince(household, 3).full, false);
+  });
+});
+
+describe('households', () => {
+  test('devices join with the invite code however it is typed', async () => {
+    const store = createMemoryHouseholdStore();
+    const created = await createHousehold(store, { name: 'Flat 3', deviceName: 'Phone' }, NOW);
+    const typed = created.household.inviteCode.toLowerCase().replace(/^(.{4})/, '$1-');
+    const joined = await joinHousehold(store, { inviteCode: typed, deviceName: 'Tablet' }, NOW);
+
+    assert.equal(joined.household.id, created.household.id);
+    assert.deepEqual(joined.household.members.map(member => member.name), ['Phone', 'Tablet']);
+    assert.equal(JSON.stringify(joined).includes('tokenHash'), false);
+  });
+
+  test('rejects unknown invite codes and wrong tokens', async () => {
+    const store = createMemoryHouseholdStore();
+    const { household, member } = await createHousehold(store, {}, NOW);
+
+    await assert.rejects(joinHousehold(store, { inviteCode: 'ABCD2345' }, NOW), { code: 'INVALID_INVITE' });
+    await assert.rejects(
+      syncHousehold(store, { householdId: household.id, memberId: member.id, token: 'guess', cursor: 0, changes: [] }, NOW),
+      { code: 'NOT_A_MEMBER' },
+    );
+  });
+});
+
+// Two devices syncing through a real store with the app's own sync code
+describe('syncing devices', () => {
+  const emptyData = () => ({ pantry: [], favourites: [], picked: [], shoppingList: { extra: [], checked: [], cleared: [] } });
+
+  const setup = async () => {
+    const store = createMemoryHouseholdStore();
+    const created = await createHousehold(store, { deviceName: 'A' }, NOW);
+    const joined = await joinHousehold(store, { inviteCode: created.household.inviteCode, deviceName: 'B' }, NOW);
+    return {
+      store,
+      a: { data: emptyData(), household: startHousehold(created) },
+      b: { data: emptyData(), household: startHousehold(joined) },
+    };
+  };
+
+  // One round of what useHouseholdSync does: note local edits, send them and
+  // fold in the reply
+  const sync = async (store, device, now) => {
+    const household = trackChanges(device.household, toRecords(device.data), now);
+    const sent = nextBatch(household.pending);
+    const reply = await syncHousehold(store, {
+      householdId: household.id,
+      memberId: household.memberId,
+      token: household.token,
+      cursor: household.cursor,
+      changes: validateChanges(toChanges(sent)),
+    }, now);
+    const { data, household: next } = applySync(device.data, household, sent, reply);
+    return { data: data ?? device.data, household: next };
+  };
+
+  const eggs = { id: 'eggs', name: 'eggs', addedAt: '2026-01-15' };
+
+  test('an item added on one device shows up on the other', async () => {
+    const { store, a, b } = await setup();
+    a.data.pantry = [eggs];
+    a.data.shoppingList.extra = ['Bread'];
+    const syncedA = await sync(store, a, NOW);
+    const syncedB = await sync(store, b, NOW + 1);
+
+    assert.deepEqual(syncedB.data, syncedA.data);
+    assert.deepEqual(syncedA.household.pending, {});
+    assert.deepEqual(syncedB.household.pending, {});
+  });
+
+  test('conflicting edits settle on the later one everywhere', async () => {
+    const { store, a, b } = await setup();
+    a.data.pantry = [eggs];
+    let devA = await sync(store, a, NOW);
+    let devB = await sync(store, b, NOW + 1);
+
+    devA = { ...devA, data: { ...devA.data, pantry: [{ ...eggs, quantity: 6 }] } };
+    devA = { ...devA, household: trackChanges(devA.household, toRecords(devA.data), NOW + 10) };
+    devB = { ...devB, data: { ...devB.data, pantry: [{ ...eggs, quantity: 12 }] } };
+    devB = { ...devB, household: trackChanges(devB.household, toRecords(devB.data), NOW + 20) };
+
+    devB = await sync(store, devB, NOW + 30);
+    devA = await sync(store, devA, NOW + 31);
+    devB = await sync(store, devB, NOW + 32);
+
+    assert.equal(devA.data.pantry[0].quantity, 12);
+    assert.deepEqual(devB.data, devA.data);
+  });
+
+  test('a deletion reaches a device that was away', async () => {
+    const { store, a, b } = await setup();
+    a.data.pantry = [eggs];
+    let devA = await sync(store, a, NOW);
+    let devB = await sync(store, b, NOW + 1);
+    assert.deepEqual(devB.data.pantry, [eggs]);
+
+    devA = await sync(store, { ...devA, data: { ...devA.data, pantry: [] } }, NOW + 10);
+    devB = await sync(store, devB, NOW + 20);
+
+    assert.deepEqual(devA.household.pending, {});
+    assert.deepEqual(devB.data.pantry, []);
+  });
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { MAX_MEALS_PER_CALL, MEALS, placeInPlan, planChunks, prepareMealPlan, runMealPlan } from '../api/_lib/mealPlan.js';
+import { mealPlanPrompt } from '../api/_lib/prompts.js';
+import { MEAL_PLAN_FORMAT } from '../api/_lib/schema.js';
+import { createMockProvider } from '../api/_lib/providers/mock.js';
+
+// The output budget of every other mode, which fits the function's time limit
+const DEFAULT_MAX_TOKENS = 1500;
+
+const weekPlan = () => prepareMealPlan({ ingredients: 'eggs, rice, spinach', days: 7, meals: MEALS });
+
+// Splits the plan the way api/analyze.js does
+const partsFor = (mealPlan) => planChunks(mealPlan).map(chunk => ({
+  content: mealPlanPrompt(mealPlan, chunk, { format: MEAL_PLAN_FORMAT }),
+  format: MEAL_PLAN_FORMAT,
+  transformRecipe: placeInPlan(chunk, mealPlan.meals),
+  maxTokens: chunk.maxTokens,
+}));
+
+describe('planChunks', () => {
+  test('a full week is asked for in short replies that cover every day once', () => {
+    const chunks = planChunks(weekPlan());
+    const days = chunks.flatMap(({ first, last }) => Array.from({ length: last - first + 1 }, (_, i) => first + i));
+
+    assert.deepEqual(days, [1, 2, 3, 4, 5, 6, 7]);
+    assert.ok(chunks.every(chunk => chunk.maxTokens <= DEFAULT_MAX_TOKENS));
+  });
+
+  test('fewer meals a day fit more days in each reply', () => {
+    const chunks = planChunks({ days: 7, meals: ['dinner'] });
+
+    assert.deepEqual(chunks.map(({ first, last }) => [first, last]), [[1, 3], [4, 6], [7, 7]]);
+    assert.ok(chunks.every(({ first, last }) => last - first + 1 <= MAX_MEALS_PER_CALL));
+  });
+});
+
+describe('runMealPlan', () => {
+  test('runs one call per chunk and streams every slot once', async () => {
+    const provider = createMockProvider({});
+    const calls = [];
+    const complete = provider.complete.bind(provider);
+    provider.complete = (options) => {
+      calls.push(options.maxTokens);
+      return complete(options);
+    };
+    const mealPlan = weekPlan();
+    const parts = partsFor(mealPlan);
+    const streamed = [];
+
+    const { analysis, repaired } = await runMealPlan(provider, { parts, mealPlan }, {
+      onIngredients: () => {},
+      onRecipe: (recipe, index) => streamed.push(index),
+    });
+
+    assert.deepEqual(calls, parts.map(part => part.maxTokens));
+    assert.equal(repaired, false);
+    const slots = Array.from({ length: 21 }, (_, slot) => [Math.floor(slot / 3) + 1, MEALS[slot % 3]]);
+    assert.deepEqual(analysis.recipes.map(recipe => [recipe.day, recipe.meal]), slots);
+    assert.deepEqual(streamed.sort((a, b) => a - b), Array.from({ length: 21 }, (_, slot) => slot));
+  });
+
+  test('fails the plan if a chunk fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const provider = createMockProvider({});
+    const mealPlan = weekPlan();
+    // The last chunk's recipes all land outside its days
+    const parts = partsFor(mealPlan).map((part, i, all) => (i === all.length - 1 ? { ...part, transformRecipe: () => null } : part));
+
+    await assert.rejects(runMealPlan(provider, { parts, mealPlan }), { code: 'NO_MATCHING_RECIPES' });
+  });
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { prepareRefinement } from '../api/_lib/refine.js';
+import { mergeRefinement, parseRefinement } from '../src/lib/refine.js';
+
+describe('parseRefinement', () => {
+  // Recipes shown in the order 2, 0, 1
+  const order = [2, 0, 1];
+
+  test('"#n" targets the recipe shown in that position', () => {
+    assert.deepEqual(parseRefinement('make #2 spicier', order), { instruction: 'make it spicier', target: 0, action: 'revise' });
+    assert.deepEqual(parseRefinement('make #7 spicier', order), { instruction: 'make #7 spicier', target: null, action: 'revise' });
+  });
+
+  test('"more" asks for three new recipes unless a number is given', () => {
+    assert.deepEqual(parseRefinement('more', order), { instruction: '', target: null, action: 'more', count: 3 });
+    assert.deepEqual(parseRefinement('Give me some more recipes', order), { instruction: '', target: null, action: 'more', count: 3 });
+    assert.deepEqual(parseRefinement('give me 4 more vegetarian', order), { instruction: 'vegetarian', target: null, action: 'more', count: 4 });
+  });
+
+  test('the number asked for is kept between one and five', () => {
+    assert.equal(parseRefinement('12 more', order).count, 5);
+    assert.equal(parseRefinement('0 more', order).count, 1);
+  });
+
+  test('anything else revises the whole set', () => {
+    assert.deepEqual(parseRefinement('  no oven ', order), { instruction: 'no oven', target: null, action: 'revise' });
+    assert.equal(parseRefinement('no more dairy', order).action, 'revise');
+  });
+});
+
+describe('mergeRefinement', () => {
+  const recipes = ['a', 'b', 'c'];
+  // Streamed results are sparse until every recipe is in
+  const arrived = (byIndex) => Object.assign([], byIndex);
+
+  test('"more" appends whatever has arrived', () => {
+    assert.deepEqual(mergeRefinement(recipes, arrived({ 1: 'e' }), { action: 'more' }), ['a', 'b', 'c', 'e']);
+  });
+
+  test('a targeted revision replaces just that recipe', () => {
+    assert.deepEqual(mergeRefinement(recipes, ['B'], { target: 1 }), ['a', 'B', 'c']);
+    assert.deepEqual(mergeRefinement(recipes, [], { target: 1 }), recipes);
+  });
+
+  test('a set revision replaces recipes as they arrive', () => {
+    assert.deepEqual(mergeRefinement(recipes, arrived({ 0: 'A', 2: 'C' }), {}), ['A', 'b', 'C']);
+  });
+});
+
+describe('prepareRefinement', () => {
+  const recipes = [{ name: 'Omelette', ingredients: [{ quantity: 3, unit: '', item: 'eggs' }], instructions: ['Whisk.'], extra: 'dropped' }];
+
+  test('sends a slim copy of the recipes and how many to return', () => {
+    const refinement = prepareRefinement({ ingredients: 'eggs, milk', recipes, instruction: ' no   dairy ' });
+
+    assert.deepEqual(refinement, {
+      ingredients: ['eggs', 'milk'],
+      recipes: [{ name: 'Omelette', ingredients: ['3 eggs'], instructions: ['Whisk.'] }],
+      instruction: 'no dairy',
+      target: null,
+      action: 'revise',
+      count: 1,
+    });
+  });
+
+  test('"more" defaults to three and accepts one to five', () => {
+    assert.equal(prepareRefinement({ recipes, action: 'more' }).count, 3);
+    assert.equal(prepareRefinement({ recipes, action: 'more', count: 5 }).count, 5);
+    assert.throws(() => prepareRefinement({ recipes, action: 'more', count: 6 }), { status: 400 });
+    assert.throws(() => prepareRefinement({ recipes, action: 'more', count: '2' }), { status: 400 });
+  });
+
+  test('rejects requests it cannot act on', () => {
+    assert.throws(() => prepareRefinement({ recipes, instruction: '' }), { status: 400 });
+    assert.throws(() => prepareRefinement({ recipes: [], instruction: 'spicier' }), { status: 400 });
+    assert.throws(() => prepareRefinement({ recipes, instruction: 'spicier', target: 3 }), { status: 400 });
+    assert.throws(() => prepareRefinement({ recipes, action: 'more', target: 0 }), { status: 400 });
+  });
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createAnalysisStreamParser } from '../api/_lib/streamParser.js';
+
+const analysis = {
+  ingredients: ['eggs', 'rice "jasmine"', 'soy sauce'],
+  recipes: [
+    { name: 'Fried rice', ingredients: [{ item: 'rice' }], instructions: ['Fry the {rice}.', 'Add [soy] sauce.'] },
+    { name: 'Omelette', ingredients: [{ item: 'eggs' }], instructions: ['Whisk.\\nCook.'] },
+  ],
+};
+
+// Feeds `text` to a new parser in pieces of `size` characters and records
+// what it reports
+const parse = (text, size) => {
+  const events = [];
+  const parser = createAnalysisStreamParser({
+    onIngredients: (ingredients) => events.push(['ingredients', ingredients]),
+    onRecipe: (recipe, index) => events.push(['recipe', index, recipe]),
+  });
+  for (let i = 0; i < text.length; i += size) parser.push(text.slice(i, i + size));
+  return events;
+};
+
+const expected = [
+  ['ingredients', analysis.ingredients],
+  ['recipe', 0, analysis.recipes[0]],
+  ['recipe', 1, analysis.recipes[1]],
+];
+
+describe('createAnalysisStreamParser', () => {
+  test('reports the ingredients and each recipe once they close', () => {
+    assert.deepEqual(parse(JSON.stringify(analysis, null, 2), 1000), expected);
+  });
+
+  test('gives the same result however the text is chunked', () => {
+    const text = JSON.stringify(analysis);
+    for (const size of [1, 2, 3, 7, 48]) assert.deepEqual(parse(text, size), expected);
+  });
+
+  test('ignores brackets and quotes inside strings', () => {
+    const text = JSON.stringify({ ingredients: ['a ] b', 'c } d', 'e \\" f'], recipes: [{ name: 'x { y [' }] });
+    assert.deepEqual(parse(text, 5), [
+      ['ingredients', ['a ] b', 'c } d', 'e \\" f']],
+      ['recipe', 0, { name: 'x { y [' }],
+    ]);
+  });
+
+  test('reports recipes before the document is complete', () => {
+    const text = JSON.stringify(analysis);
+    const cut = text.indexOf('"Omelette"');
+    assert.deepEqual(parse(text.slice(0, cut), 10), expected.slice(0, 2));
+  });
+
+  test('skips text before the JSON and a recipe that does not parse', () => {
+    const text = 'Here you go:\n{"ingredients":["eggs"],"recipes":[{"name": 1 2},{"name":"Omelette"}]}';
+    assert.deepEqual(parse(text, 4), [
+      ['ingredients', ['eggs']],
+      // Still counted, so later recipes keep their index
+      ['recipe', 1, { name: 'Omelette' }],
+    ]);
+  });
+
+  test('only treats the top-level "recipes" array as recipes', () => {
+    const text = JSON.stringify({ notes: [{ name: 'not a recipe' }], ingredients: [], recipes: [{ name: 'A' }] });
+    assert.deepEqual(parse(text, 3), [
+      ['ingredients', []],
+      ['recipe', 0, { name: 'A' }],
+    ]);
+  });
+});
@@ -1,8 +1,125 @@
-import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { createReadStream, readdirSync, readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { dirname } from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Serves api/*.js during `npm run dev` with just enough of Vercel's req/res
+// helpers, so the app runs without `vercel dev` (e.g. with AI_PROVIDER=mock).
+const apiRoutes = () => ({
+  name: 'fridge-check-api',
+  configureServer(server) {
+    server.middlewares.use('/api', async (req, res, next) => {
+      const route = req.url.split('?')[0].replace(/^\/+|\/+$/g, '')
+      if (!/^[a-z-]+$/.test(route)) return next()
+
+      let mod
+      try {
+        mod = await server.ssrLoadModule(`/api/${route}.js`)
+      } catch {
+        return next()
+      }
+
+      const chunks = []
+      for await (const chunk of req) chunks.push(chunk)
+      const raw = Buffer.concat(chunks).toString()
+      try {
+        req.body = raw ? JSON.parse(raw) : {}
+      } catch {
+        req.body = raw
+      }
+
+      res.status = (code) => { res.statusCode = code; return res }
+      res.json = (data) => {
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify(data))
+        return res
+      }
+
+      try {
+        await mod.default(req, res)
+      } catch (err) {
+        server.ssrFixStacktrace(err)
+        next(err)
+      }
+    })
+  },
+})
+
+const packageDir = (name, from = import.meta.url) => dirname(createRequire(from).resolve(`${name}/package.json`))
+
+// tesseract.js loads its worker, WASM core and English model from a CDN
+// unless told otherwise, so receipt OCR serves its own copies under /ocr/
+// (see src/lib/receipt.js): straight from node_modules in dev, copied into
+// the build otherwise. Only the LSTM cores are needed, the default engine.
+const ocrAssets = () => {
+  const tesseract = packageDir('tesseract.js')
+  const core = packageDir('tesseract.js-core', `${tesseract}/package.json`)
+  const files = {
+    'ocr/worker.min.js': `${tesseract}/dist/worker.min.js`,
+    'ocr/core/tesseract-core-lstm.wasm.js': `${core}/tesseract-core-lstm.wasm.js`,
+    'ocr/core/tesseract-core-simd-lstm.wasm.js': `${core}/tesseract-core-simd-lstm.wasm.js`,
+    'ocr/lang/eng.traineddata.gz': `${packageDir('@tesseract.js-data/eng')}/4.0.0_best_int/eng.traineddata.gz`,
+  }
+
+  return {
+    name: 'fridge-check-ocr',
+    configureServer(server) {
+      server.middlewares.use('/ocr', (req, res, next) => {
+        const file = files[`ocr${req.url.split('?')[0]}`]
+        if (!file) return next()
+        res.setHeader('Content-Type', file.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+        createReadStream(file).pipe(res)
+      })
+    },
+    generateBundle() {
+      Object.entries(files).forEach(([fileName, file]) => this.emitFile({ type: 'asset', fileName, source: readFileSync(file) }))
+    },
+  }
+}
+
+// Emits dist/sw.js from src/sw.js with this build's shell: the page, every
+// bundled file and what's in public/. The version hashes the list, public/
+// and the worker itself, so a deploy that changes any of them gets a fresh
+// cache and the old one is dropped. The OCR files are left out of the shell
+// and cached on first use instead, under a version of their own.
+const serviceWorker = () => ({
+  name: 'fridge-check-sw',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const publicFiles = readdirSync('public', { recursive: true, withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => `${entry.parentPath.replace(/^public/, '')}/${entry.name}`.replace(/\\/g, '/'))
+    const names = Object.keys(bundle).filter(name => name !== 'index.html' && !name.endsWith('.map'))
+    const ocrFiles = names.filter(name => name.startsWith('ocr/'))
+    const files = [
+      '/',
+      ...names.filter(name => !ocrFiles.includes(name)).map(name => `/${name}`),
+      ...publicFiles,
+    ]
+    const worker = readFileSync('src/sw.js', 'utf8')
+    const hash = createHash('sha256').update(files.join('\n')).update(worker)
+    publicFiles.forEach(file => hash.update(readFileSync(`public${file}`)))
+    const version = hash.digest('hex').slice(0, 12)
+    const ocrHash = createHash('sha256')
+    ocrFiles.forEach(name => ocrHash.update(name).update(bundle[name].source))
+    const ocrVersion = ocrHash.digest('hex').slice(0, 12)
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: `self.SHELL = ${JSON.stringify({ version, files, ocrVersion })};\n${worker}`,
+    })
+  },
+})
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
+export default defineConfig(({ mode }) => {
+  // The API handlers read process.env, so expose .env files to them as well
+  Object.assign(process.env, loadEnv(mode, process.cwd(), ''))
+
+  return {
+    plugins: [react(), tailwindcss(), apiRoutes(), ocrAssets(), serviceWorker()],
+  }
 })